@@ -0,0 +1,178 @@
+/* ===================================
+   ACHIEVEMENTS - UNLOCKS FROM GAME EVENTS
+   What counts, and what has been unlocked
+   =================================== */
+
+/*
+ * An achievement is a plain object:
+ *   id         Unique id, also the key of its unlock and its text
+ *   icon       Emoji on the toast and in the gallery
+ *   check(run, totals)
+ *              True once it is earned. Checked after every game event.
+ *
+ * The game feeds AchievementStore.handle with these events:
+ *   { type: 'eat' }                              An apple eaten
+ *   { type: 'tick', length, topSpeed, tickLength }
+ *                                                A tick played; topSpeed is
+ *                                                whether the tick was at the
+ *                                                curve's minSpeed
+ *   { type: 'pause' }                            The player paused
+ *   { type: 'heeded', situation }                A coach warning was followed
+ *                                                and the danger passed
+ *   { type: 'over', cause }                      The game ended (engine cause)
+ *
+ * run is the current game's tally: { eaten, length, pauses, topSpeedTime
+ * (ms at top speed in a row), heeded, over, cause }. totals adds up across
+ * games: { heeded }. Names and descriptions live in the locale bundles under
+ * achievements.list.<id> (see i18n.js).
+ */
+
+const ACHIEVEMENTS_FORMAT = 'retro-snake-achievements';
+const ACHIEVEMENTS_VERSION = 1;
+const ACHIEVEMENTS_KEY = 'snakeAchievements';
+
+const ACHIEVEMENTS = [
+    { id: 'firstBite', icon: '🍎', check: run => run.eaten >= 1 },
+    { id: 'length25', icon: '🐍', check: run => run.length >= 25 },
+    { id: 'length50', icon: '🐉', check: run => run.length >= 50 },
+    { id: 'topSpeed', icon: '⚡', check: run => run.topSpeedTime > 0 },
+    { id: 'topSpeed30', icon: '🔥', check: run => run.topSpeedTime >= 30000 },
+    { id: 'neverPaused', icon: '🧘', check: run => run.over && run.pauses === 0 && run.eaten >= 20 },
+    { id: 'survivor10', icon: '🛡️', check: (run, totals) => totals.heeded >= 10 },
+    { id: 'boardCleared', icon: '🏆', check: run => run.cause === 'win' }
+];
+
+/**
+ * Empty store: nothing unlocked
+ */
+function createAchievements() {
+    return {
+        format: ACHIEVEMENTS_FORMAT,
+        version: ACHIEVEMENTS_VERSION,
+        unlocked: {},          // id -> ISO time of the unlock
+        totals: { heeded: 0 }
+    };
+}
+
+/**
+ * Fresh tally for a new game
+ */
+function createRunTally() {
+    return { eaten: 0, length: 0, pauses: 0, topSpeedTime: 0, heeded: 0, over: false, cause: null };
+}
+
+// AchievementStore Class - Tallies a game's events and keeps the unlocks in localStorage
+class AchievementStore {
+    /**
+     * @param {Storage} storage - Where to keep the unlocks (see StoredJson)
+     */
+    constructor(storage = localStorage) {
+        this.stored = new StoredJson(ACHIEVEMENTS_KEY, storage);
+        this.achievements = this.load();
+        this.run = createRunTally();
+    }
+
+    /**
+     * Read the store, starting a new one if it is missing or unreadable
+     */
+    load() {
+        return this.stored.read(createAchievements, saved => {
+            if (!saved || saved.format !== ACHIEVEMENTS_FORMAT || saved.version !== ACHIEVEMENTS_VERSION ||
+                !isRecord(saved.unlocked) || !saved.totals) {
+                return null;
+            }
+            return { ...createAchievements(), ...saved, totals: { ...createAchievements().totals, ...saved.totals } };
+        });
+    }
+
+    /**
+     * Write the store to storage
+     */
+    save() {
+        this.stored.write(this.achievements);
+    }
+
+    /**
+     * Start tallying a new game
+     */
+    start() {
+        this.run = createRunTally();
+    }
+
+    /**
+     * Count a game event and unlock whatever it earned
+     * @param {Object} event - See the event list above
+     * @returns {Array} Achievements unlocked by this event (usually none)
+     */
+    handle(event) {
+        const run = this.run;
+        switch (event.type) {
+            case 'eat':
+                run.eaten++;
+                break;
+            case 'tick':
+                run.length = event.length;
+                run.topSpeedTime = event.topSpeed ? run.topSpeedTime + event.tickLength : 0;
+                break;
+            case 'pause':
+                run.pauses++;
+                break;
+            case 'heeded':
+                run.heeded++;
+                this.achievements.totals.heeded++;
+                this.save();
+                break;
+            case 'over':
+                run.over = true;
+                run.cause = event.cause;
+                break;
+        }
+        return this.unlockEarned();
+    }
+
+    /**
+     * Unlock the achievements the tally now meets
+     */
+    unlockEarned() {
+        const earned = ACHIEVEMENTS.filter(achievement =>
+            !this.isUnlocked(achievement.id) && achievement.check(this.run, this.achievements.totals)
+        );
+        if (earned.length > 0) {
+            const now = new Date().toISOString();
+            earned.forEach(achievement => {
+                this.achievements.unlocked[achievement.id] = now;
+            });
+            this.save();
+        }
+        return earned;
+    }
+
+    /**
+     * Whether an achievement has been unlocked
+     */
+    isUnlocked(id) {
+        return typeof this.achievements.unlocked[id] === 'string';
+    }
+
+    /**
+     * When an achievement was unlocked (ISO time), or null
+     */
+    unlockedAt(id) {
+        return this.isUnlocked(id) ? this.achievements.unlocked[id] : null;
+    }
+
+    /**
+     * Number of achievements unlocked so far
+     */
+    get unlockedCount() {
+        return ACHIEVEMENTS.filter(achievement => this.isUnlocked(achievement.id)).length;
+    }
+}
+
+// Allow achievements to be checked from Node (with storage.js exports made global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ACHIEVEMENTS, ACHIEVEMENTS_FORMAT, ACHIEVEMENTS_VERSION, ACHIEVEMENTS_KEY,
+        createAchievements, createRunTally, AchievementStore
+    };
+}
@@ -0,0 +1,113 @@
+/* ===================================
+   ACHIEVEMENTS SCREEN - GALLERY AND TOASTS
+   Reads the AchievementStore, announces unlocks
+   =================================== */
+
+// How long an unlock toast stays on screen (ms)
+const TOAST_TIME = 4000;
+
+class AchievementsScreen {
+    /**
+     * @param {AchievementStore} store - Unlocks to show
+     * @param {Translator} i18n - Text in the player's language
+     */
+    constructor(store, i18n = new Translator()) {
+        this.store = store;
+        this.i18n = i18n;
+        this.panel = document.getElementById('achievementsPanel');
+        this.list = document.getElementById('achievementsList');
+        this.toasts = document.getElementById('toasts'); // Announced to screen readers
+
+        document.getElementById('achievementsCloseButton').addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Redraw the open gallery in the player's language
+     */
+    relabel() {
+        if (!this.panel.classList.contains('hidden')) {
+            this.render();
+        }
+    }
+
+    /**
+     * Show the gallery
+     */
+    open() {
+        this.panel.classList.remove('hidden');
+        this.panel.parentElement.classList.add('viewing-achievements');
+        this.render();
+    }
+
+    /**
+     * Hide the gallery and return to the game
+     */
+    close() {
+        this.panel.classList.add('hidden');
+        this.panel.parentElement.classList.remove('viewing-achievements');
+    }
+
+    /**
+     * One card per achievement: unlocked ones with their date, locked ones dimmed
+     */
+    render() {
+        document.getElementById('achievementsCount').textContent = this.i18n.t('achievements.count', {
+            unlocked: this.store.unlockedCount,
+            total: ACHIEVEMENTS.length
+        });
+
+        this.list.innerHTML = '';
+        ACHIEVEMENTS.forEach(achievement => {
+            const unlockedAt = this.store.unlockedAt(achievement.id);
+            const item = document.createElement('li');
+            item.className = unlockedAt ? 'achievement' : 'achievement locked';
+
+            const icon = document.createElement('span');
+            icon.className = 'achievement-icon';
+            icon.textContent = unlockedAt ? achievement.icon : '🔒';
+
+            const text = document.createElement('div');
+            const name = document.createElement('strong');
+            name.textContent = this.name(achievement);
+            const description = document.createElement('p');
+            description.textContent = this.i18n.t(`achievements.list.${achievement.id}.description`);
+            const status = document.createElement('small');
+            status.textContent = unlockedAt
+                ? this.i18n.t('achievements.unlockedOn', { date: this.i18n.date(unlockedAt) })
+                : this.i18n.t('achievements.locked');
+            text.append(name, description, status);
+
+            item.append(icon, text);
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * Achievement's name in the player's language
+     */
+    name(achievement) {
+        return this.i18n.t(`achievements.list.${achievement.id}.name`);
+    }
+
+    /**
+     * Pop up a toast for a fresh unlock; it removes itself after a few seconds
+     */
+    toast(achievement) {
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+
+        const icon = document.createElement('span');
+        icon.className = 'achievement-icon';
+        icon.textContent = achievement.icon;
+        const text = document.createElement('div');
+        const title = document.createElement('small');
+        title.textContent = this.i18n.t('achievements.unlocked');
+        const name = document.createElement('strong');
+        name.textContent = this.name(achievement);
+        text.append(title, name);
+
+        toast.append(icon, text);
+        this.toasts.appendChild(toast);
+        setTimeout(() => toast.remove(), TOAST_TIME);
+    }
+}
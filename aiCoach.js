@@ -3,108 +3,304 @@
    Monitors gameplay and provides hints
    =================================== */
 
+const RULES_KEY = 'snakeCoachRules';
+
+// Profile advice for rules without a situation, and for versus snakes
+const NO_ADJUST = { skip: false, urgent: false };
+
+// How long the coach's own notices (drill steps, pause) stay up before the
+// rules may talk over them (ms)
+const NOTICE_TIME = 3000;
+
+// Tight-room positions one debrief may search before it gives up on the
+// rest; keeps the game over frame quick on long snakes
+const DEBRIEF_BUDGET = 1000;
+
 class AICoach {
-    constructor() {
-        this.messageElement = document.getElementById('coachMessage');
+    /**
+     * @param {SoundEngine} sound - Plays the alert tones for warnings (optional)
+     * @param {Translator} i18n - Text in the player's language
+     * @param {Function} onHeeded - Called with the situation when a warned
+     *                              danger passes without a crash (optional)
+     * @param {Object} options - What the coach runs against, for use outside
+     *                           the browser: storage (localStorage), profile
+     *                           (a CoachProfile in that storage) and page
+     *                           (document; null = no coach panel to show in).
+     *                           onRulesChange is called after a rule is
+     *                           registered once the coach is built (optional).
+     */
+    constructor(sound = null, i18n = new Translator(), onHeeded = null, {
+        storage = localStorage,
+        profile = new CoachProfile(storage),
+        page = document,
+        onRulesChange = null
+    } = {}) {
+        this.sound = sound;
+        this.i18n = i18n;
+        this.onHeeded = onHeeded;
+        this.stored = new StoredJson(RULES_KEY, storage);
+        this.liveRegion = page && page.getElementById('coachMessage'); // Announced to screen readers
+        this.messageElement = page && page.getElementById('coachText');
+        this.severityElement = page && page.getElementById('coachSeverity');
+        this.statusElement = page && page.getElementById('coachStatus');
         this.lastMessage = '';
+        this.severity = 'info'; // Of the message on show
         this.messageTimer = null;
-        this.messageCooldown = 3000; // 3 seconds between messages
-        this.lastMessageTime = 0;
-        
-        // Message categories with priorities
-        this.messages = {
-            danger: [
-                "⚠️ Wall ahead! Turn now!",
-                "🚨 Danger zone! Change direction!",
-                "⛔ You're heading into a wall!"
-            ],
-            selfTrap: [
-                "🔄 You're boxing yourself in!",
-                "⚡ Tight space! Plan your escape!",
-                "🎯 Leave yourself room to move!"
-            ],
-            goodMove: [
-                "✨ Nice move! Keep it up!",
-                "👍 Good spacing!",
-                "🎮 Smooth navigation!"
-            ],
-            general: [
-                "🐍 Stay focused!",
-                "💡 Plan ahead!",
-                "🎯 Watch your tail!"
-            ]
-        };
+        this.spokenAt = new Map(); // Rule id -> when it last spoke, for its cooldown
+        this.quietUntil = 0; // Rules wait until then so a notice can be read
+        this.route = null; // Latest safe path to the food (array of cells)
+        this.history = []; // Recent ticks of a solo game, for the debrief
+        this.historySize = 50;
+        this.profile = profile; // Player habits across sessions
+        this.learning = false; // Whether this game teaches the profile
+        this.situations = {}; // Open danger situations: name -> { warned }
+        this.drillStep = -1; // Last tutorial step explained (see drills.js)
+
+        // Live hints come from the rule registry (see coachRules.js)
+        this.rules = new Map();
+        COACH_RULES.forEach(rule => this.register(rule));
+        this.disabledRules = this.loadDisabledRules();
+        this.onRulesChange = onRulesChange; // Set after the built-in rules: nothing to tell yet
+
+        // Candidate moves, named the way the player sees the screen
+        this.directions = [
+            { name: 'UP', x: 0, y: -1 },
+            { name: 'DOWN', x: 0, y: 1 },
+            { name: 'LEFT', x: -1, y: 0 },
+            { name: 'RIGHT', x: 1, y: 0 }
+        ];
     }
 
     /**
      * Main analysis function - called every game tick
      * @param {Object} snake - Snake object with position and direction
-     * @param {Object} grid - Grid dimensions
+     *                         (and a `label` such as 'P1' in versus play)
+     * @param {Object} grid - Grid dimensions and mode ({ cols, rows, wrap, obstacles },
+     *                        plus other snakes' bodies in `others` during versus play)
      * @param {Array} snakeBody - Full snake body array
+     * @param {Object} food - Current food position
+     * @param {Array} items - Pickups on the board ({ type, x, y, remaining } with
+     *                        remaining = ticks before the item disappears)
      */
-    analyze(snake, grid, snakeBody) {
+    analyze(snake, grid, snakeBody, food, items = []) {
         const now = Date.now();
-        
-        // Cooldown check to avoid message spam
-        if (now - this.lastMessageTime < this.messageCooldown) {
-            return;
+
+        // Remember the solo snake's recent ticks for the debrief
+        const entry = snake.label ? null : this.remember(snake, grid, snakeBody);
+
+        // Keep the route fresh every tick so the path overlay never lags
+        this.route = food ? this.findPath(snake.head, food, grid, snakeBody) : null;
+
+        const view = {
+            head: snake.head,
+            direction: snake.direction,
+            label: snake.label || null,
+            grid,
+            body: snakeBody,
+            food,
+            items,
+            route: this.route
+        };
+        const rules = this.activeRules(!!entry);
+
+        // Situation rules run every tick so the profile sees every situation,
+        // not only the ones the coach had time to mention
+        const found = new Map();
+        rules.filter(rule => rule.situation).forEach(rule => {
+            found.set(rule.id, evaluateRule(rule, view, this));
+        });
+        if (entry && this.learning) {
+            this.trackSituations(rules, found);
         }
 
-        // Priority 1: Check for immediate wall danger
-        if (this.checkWallDanger(snake, grid)) {
-            this.showMessage(this.getRandomMessage('danger'), 'danger');
-            return;
+        // Say who the hint is for when several snakes share the board
+        const who = snake.label ? `${snake.label}: ` : '';
+        if (now < this.quietUntil) return;
+
+        // First rule that applies and is off its own cooldown speaks. For the
+        // solo player the profile drops warnings they handle anyway and halves
+        // the cooldown of the ones behind their recent crashes.
+        for (const rule of rules) {
+            const adjust = entry && rule.situation ? this.profile.adjust(rule.situation) : NO_ADJUST;
+            const cooldown = adjust.urgent ? rule.cooldown / 2 : rule.cooldown;
+            const elapsed = now - (this.spokenAt.get(rule.id) || 0);
+            if (adjust.skip || elapsed < cooldown) continue;
+
+            const hint = rule.situation ? found.get(rule.id) : evaluateRule(rule, view, this);
+            if (hint) {
+                this.spokenAt.set(rule.id, now);
+                this.speak(rule, hint, who, entry);
+                return;
+            }
         }
+    }
 
-        // Priority 2: Check for self-trapping patterns
-        if (this.checkSelfTrap(snake, grid, snakeBody)) {
-            this.showMessage(this.getRandomMessage('selfTrap'), 'warning');
-            return;
+    /**
+     * Add a rule to the registry (replacing one with the same id)
+     * @param {Object} rule - See coachRules.js
+     */
+    register(rule) {
+        this.rules.set(rule.id, normalizeRule(rule));
+        if (this.onRulesChange) {
+            this.onRulesChange();
+        }
+    }
+
+    /**
+     * Rule's label in the player's language
+     */
+    ruleName(rule) {
+        return this.i18n.label(`coach.rules.${rule.id}.name`, rule.name);
+    }
+
+    /**
+     * Rule's message templates in the player's language (see coachRules.js)
+     */
+    ruleMessages(rule) {
+        return this.i18n.lookup(`coach.rules.${rule.id}.messages`) || rule.messages;
+    }
+
+    /**
+     * Direction in the player's language: 'UP' -> 'ARRIBA'
+     * @param {Object} dir - { x, y } or an entry of this.directions
+     */
+    directionName(dir) {
+        const { name } = this.directions.find(d => d.x === dir.x && d.y === dir.y);
+        return this.i18n.t(`coach.direction.${name}`);
+    }
+
+    /**
+     * Turn a rule on or off and remember it
+     */
+    setRuleEnabled(id, enabled) {
+        if (enabled) {
+            this.disabledRules.delete(id);
+        } else {
+            this.disabledRules.add(id);
         }
+        this.stored.write([...this.disabledRules]);
+    }
+
+    /**
+     * Whether a rule is switched on
+     */
+    isRuleEnabled(id) {
+        return !this.disabledRules.has(id);
+    }
+
+    /**
+     * Enabled rules in the order they are checked: by priority, except that
+     * the solo player's urgent situations (see CoachProfile.adjust) go first
+     */
+    activeRules(adaptive) {
+        const urgent = rule => adaptive && !!rule.situation && this.profile.adjust(rule.situation).urgent;
+
+        return [...this.rules.values()]
+            .filter(rule => this.isRuleEnabled(rule.id))
+            .map(rule => ({ rule, urgent: urgent(rule) }))
+            .sort((a, b) => (b.urgent - a.urgent) || (b.rule.priority - a.rule.priority))
+            .map(({ rule }) => rule);
+    }
 
-        // Priority 3: Positive reinforcement for good moves
-        if (this.checkGoodMove(snake, grid, snakeBody)) {
-            this.showMessage(this.getRandomMessage('goodMove'), 'success');
+    /**
+     * Show a rule's message. Warnings also sound their alert and are noted
+     * for the debrief and the profile.
+     * @param {Object} hint - evaluateRule result
+     */
+    speak(rule, hint, who, entry) {
+        this.showMessage(who + hint.message, rule.severity, 0);
+        if (rule.severity !== 'danger' && rule.severity !== 'warning') {
             return;
         }
+
+        if (entry) {
+            entry.warning = { advice: hint.values.advice || null };
+        }
+        if (this.sound) {
+            this.sound.play(rule.severity);
+        }
+        if (rule.situation && this.situations[rule.situation]) {
+            this.situations[rule.situation].warned = true;
+        }
+    }
+
+    /**
+     * Open and close danger situations; one that clears counts as handled
+     * @param {Array} rules - Active rules
+     * @param {Map} found - Rule id -> this tick's result for situation rules
+     */
+    trackSituations(rules, found) {
+        rules.filter(rule => rule.situation).forEach(rule => {
+            const name = rule.situation;
+            const open = this.situations[name];
+            if (found.get(rule.id) && !open) {
+                this.situations[name] = { warned: false };
+            } else if (!found.get(rule.id) && open) {
+                this.profile.recordSituation(name, true, open.warned);
+                delete this.situations[name];
+                if (open.warned && this.onHeeded) {
+                    this.onHeeded(name);
+                }
+            }
+        });
     }
 
     /**
-     * Detects if snake is approaching a wall (within 2-3 cells)
+     * Rules switched off in the coach settings
+     */
+    loadDisabledRules() {
+        return new Set(this.stored.read(() => [], saved => (Array.isArray(saved) ? saved : null)));
+    }
+
+    /**
+     * Detects if snake is approaching a wall or obstacle (within 2-3 cells)
+     * In wrap-around mode the edges are open, so only obstacles count.
+     * @returns {number|null} Cells to the wall, or null when there is none close
      */
     checkWallDanger(snake, grid) {
-        const head = snake.head;
-        const dir = snake.direction;
         const dangerZone = 3; // cells from wall
+        let cell = snake.head;
 
-        // Check based on current direction
-        if (dir.x === 1 && head.x >= grid.cols - dangerZone) return true; // Moving right
-        if (dir.x === -1 && head.x < dangerZone) return true; // Moving left
-        if (dir.y === 1 && head.y >= grid.rows - dangerZone) return true; // Moving down
-        if (dir.y === -1 && head.y < dangerZone) return true; // Moving up
+        // Walk ahead in the current direction
+        for (let i = 1; i <= dangerZone; i++) {
+            cell = this.moveCell(cell, snake.direction, grid);
+            if (this.isWall(cell, grid)) return i;
+        }
 
-        return false;
+        return null;
     }
 
     /**
-     * Detects if snake is creating a tight loop or trapping itself
+     * Detects if the current heading leads into a pocket smaller than the snake
+     * @returns {Object|null} { space, best } where best is the roomiest move
      */
     checkSelfTrap(snake, grid, snakeBody) {
-        const head = snake.head;
-        const surroundingCells = this.getSurroundingCells(head, grid);
-        
-        // Count how many surrounding cells are blocked
-        let blockedCells = 0;
-        
-        for (const cell of surroundingCells) {
-            // Check if cell is occupied by snake body or out of bounds
-            if (this.isCellBlocked(cell, grid, snakeBody)) {
-                blockedCells++;
-            }
+        const moves = this.evaluateMoves(snake, grid, snakeBody);
+        const ahead = moves.find(move =>
+            move.x === snake.direction.x && move.y === snake.direction.y
+        );
+
+        // Enough room to fit the whole snake - no trap
+        if (!ahead || ahead.space >= snakeBody.length) {
+            return null;
         }
 
-        // If 3 or more surrounding cells are blocked, snake is in danger
-        return blockedCells >= 3;
+        const best = moves.reduce((a, b) => (b.space > a.space ? b : a));
+        return { space: ahead.space, best };
+    }
+
+    /**
+     * Reachable space for every move except reversing into the neck
+     */
+    evaluateMoves(snake, grid, snakeBody) {
+        const head = snake.head;
+
+        return this.directions
+            .filter(dir => dir.x !== -snake.direction.x || dir.y !== -snake.direction.y)
+            .map(dir => ({
+                ...dir,
+                space: this.floodFill(this.moveCell(head, dir, grid), grid, snakeBody)
+            }));
     }
 
     /**
@@ -115,10 +311,7 @@ class AICoach {
         const dir = snake.direction;
         
         // Calculate next position
-        const nextPos = {
-            x: head.x + dir.x,
-            y: head.y + dir.y
-        };
+        const nextPos = this.moveCell(head, dir, grid);
 
         // Check if moving toward center (away from edges)
         const centerX = Math.floor(grid.cols / 2);
@@ -127,104 +320,548 @@ class AICoach {
         const distanceToCenter = Math.abs(nextPos.x - centerX) + Math.abs(nextPos.y - centerY);
         const currentDistance = Math.abs(head.x - centerX) + Math.abs(head.y - centerY);
 
-        // Good move if moving toward center and have open space
+        // Good move if moving toward center and the whole snake still fits
         if (distanceToCenter < currentDistance && snakeBody.length > 10) {
             const openSpace = this.countOpenSpace(nextPos, grid, snakeBody);
-            return openSpace >= 3;
+            return openSpace >= snakeBody.length;
         }
 
         return false;
     }
 
+    /**
+     * Shortest safe path from the head to the food (BFS)
+     * Avoids walls and body cells the tail will not have cleared in time.
+     * @returns {Array|null} Cells from the first step to the food, or null
+     */
+    findPath(head, food, grid, snakeBody) {
+        const freeAt = this.getFreeTicks(snakeBody, grid);
+
+        const cameFrom = new Map([[`${head.x},${head.y}`, null]]);
+        const queue = [{ cell: head, ticks: 0 }];
+
+        for (let i = 0; i < queue.length; i++) {
+            const { cell, ticks } = queue[i];
+
+            if (cell.x === food.x && cell.y === food.y) {
+                // Walk back to the head to rebuild the path
+                const path = [];
+                for (let step = cell; step !== head; step = cameFrom.get(`${step.x},${step.y}`)) {
+                    path.unshift(step);
+                }
+                return path;
+            }
+
+            for (const next of this.getSurroundingCells(cell, grid)) {
+                const key = `${next.x},${next.y}`;
+                if (cameFrom.has(key) || this.isWall(next, grid)) continue;
+
+                const freeTick = freeAt.get(key);
+                if (freeTick !== undefined && freeTick > ticks + 1) continue;
+
+                cameFrom.set(key, cell);
+                queue.push({ cell: next, ticks: ticks + 1 });
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Nearest pickup the snake can reach in time, or null
+     * @returns {Object|null} { variant, distance } - variant is the item type,
+     *   or 'expiring' for bonus fruit that is about to vanish
+     */
+    getItemHint(snake, grid, snakeBody, items) {
+        let best = null;
+        for (const item of items) {
+            const path = this.findPath(snake.head, item, grid, snakeBody);
+            if (path && path.length <= item.remaining && (!best || path.length < best.distance)) {
+                best = { item, distance: path.length };
+            }
+        }
+        if (!best) return null;
+
+        // Call it expiring once there are only a few ticks to spare
+        const { item, distance } = best;
+        const variant = item.type === 'bonus' && item.remaining - distance <= 10 ? 'expiring' : item.type;
+        return { variant, distance };
+    }
+
+    /**
+     * Describe the route to the food in player terms
+     * @returns {Object} { variant: 'clear', offset }, { variant: 'detour', side }
+     *   or { variant: 'none' }
+     */
+    getRouteHint(head, food, path, grid) {
+        if (!path) {
+            return { variant: 'none' };
+        }
+
+        const { dx, dy } = this.getOffset(head, food, grid);
+
+        // Path as short as the Manhattan distance means nothing is in the way
+        if (path.length === Math.abs(dx) + Math.abs(dy)) {
+            const parts = [];
+            if (dx !== 0) parts.push(this.i18n.t(`coach.offset.${dx < 0 ? 'left' : 'right'}`, { count: Math.abs(dx) }));
+            if (dy !== 0) parts.push(this.i18n.t(`coach.offset.${dy < 0 ? 'up' : 'down'}`, { count: Math.abs(dy) }));
+            return { variant: 'clear', offset: this.i18n.list(parts) };
+        }
+
+        const side = this.getDetourSide(head, food, path, grid);
+        return { variant: 'detour', side: this.i18n.t(`coach.side.${side}`) };
+    }
+
+    /**
+     * Shortest signed offset from one cell to another (across edges when wrapping)
+     */
+    getOffset(from, to, grid) {
+        let dx = to.x - from.x;
+        let dy = to.y - from.y;
+
+        if (grid.wrap) {
+            if (Math.abs(dx) > grid.cols / 2) dx -= Math.sign(dx) * grid.cols;
+            if (Math.abs(dy) > grid.rows / 2) dy -= Math.sign(dy) * grid.rows;
+        }
+
+        return { dx, dy };
+    }
+
+    /**
+     * Which side of the head-to-food box a detour leaves through
+     */
+    getDetourSide(head, food, path, grid) {
+        const minX = Math.min(head.x, food.x);
+        const maxX = Math.max(head.x, food.x);
+        const minY = Math.min(head.y, food.y);
+        const maxY = Math.max(head.y, food.y);
+
+        // The box has no meaning once paths can cross the edges
+        if (!grid.wrap) {
+            for (const cell of path) {
+                if (cell.y < minY) return 'top';
+                if (cell.y > maxY) return 'bottom';
+                if (cell.x < minX) return 'left';
+                if (cell.x > maxX) return 'right';
+            }
+        }
+
+        // Detour stays inside the box - describe the first step instead
+        const { dx, dy } = this.getOffset(head, path[0], grid);
+        if (dx < 0) return 'left';
+        if (dx > 0) return 'right';
+        return dy < 0 ? 'top' : 'bottom';
+    }
+
     /**
      * Get all adjacent cells (up, down, left, right)
      */
     getSurroundingCells(pos, grid) {
-        return [
-            { x: pos.x + 1, y: pos.y },
-            { x: pos.x - 1, y: pos.y },
-            { x: pos.x, y: pos.y + 1 },
-            { x: pos.x, y: pos.y - 1 }
-        ];
+        return this.directions.map(dir => this.moveCell(pos, dir, grid));
+    }
+
+    /**
+     * Cell one step away in a direction (wrapped around the edges in wrap mode)
+     */
+    moveCell(pos, dir, grid) {
+        const cell = { x: pos.x + dir.x, y: pos.y + dir.y };
+
+        if (grid.wrap) {
+            cell.x = (cell.x + grid.cols) % grid.cols;
+            cell.y = (cell.y + grid.rows) % grid.rows;
+        }
+
+        return cell;
     }
 
     /**
-     * Check if a cell is blocked (wall or snake body)
+     * Check if a cell is blocked (wall, obstacle or snake body)
      */
     isCellBlocked(cell, grid, snakeBody) {
-        // Out of bounds check
-        if (cell.x < 0 || cell.x >= grid.cols || cell.y < 0 || cell.y >= grid.rows) {
+        // Wall and obstacle check
+        if (this.isWall(cell, grid)) {
             return true;
         }
 
-        // Snake body collision check
-        return snakeBody.some(segment => segment.x === cell.x && segment.y === cell.y);
+        // Snake body collision check (own body and any rival snakes)
+        return [snakeBody, ...(grid.others || [])].some(body =>
+            body.some(segment => segment.x === cell.x && segment.y === cell.y)
+        );
+    }
+
+    /**
+     * First tick each occupied cell can be entered: the segment at index i of
+     * a body leaves its cell (length - i) ticks from now, and collisions are
+     * checked before the tail moves, so the cell is safe one tick later.
+     * Rival snakes in grid.others are counted the same way.
+     */
+    getFreeTicks(snakeBody, grid) {
+        const freeAt = new Map();
+
+        [snakeBody, ...(grid.others || [])].forEach(body => {
+            body.forEach((segment, index) => {
+                const key = `${segment.x},${segment.y}`;
+                freeAt.set(key, Math.max(freeAt.get(key) || 0, body.length - index + 1));
+            });
+        });
+
+        return freeAt;
     }
 
     /**
-     * Count open adjacent cells
+     * Check if a cell lies outside the grid
+     */
+    isOutOfBounds(cell, grid) {
+        return cell.x < 0 || cell.x >= grid.cols || cell.y < 0 || cell.y >= grid.rows;
+    }
+
+    /**
+     * Check if a cell is off the board or on a static obstacle
+     */
+    isWall(cell, grid) {
+        return this.isOutOfBounds(cell, grid) ||
+               (!!grid.obstacles && grid.obstacles.has(`${cell.x},${cell.y}`));
+    }
+
+    /**
+     * Count cells reachable from pos (see floodFill)
      */
     countOpenSpace(pos, grid, snakeBody) {
-        const surrounding = this.getSurroundingCells(pos, grid);
-        let openCount = 0;
+        return this.floodFill(pos, grid, snakeBody);
+    }
+
+    /**
+     * Flood fill from the cell the head is about to enter.
+     * Body segments count as open once the tail has moved past them:
+     * the segment at index i frees up (length - i) ticks from now. The snake
+     * can also stall inside the region it has reached, so a segment that frees
+     * up within that many ticks is reachable too.
+     * @param {Object} start - Cell entered on the next tick
+     * @param {Object} grid - Grid dimensions
+     * @param {Array} snakeBody - Full snake body array (head first)
+     * @returns {number} Size of the reachable region, 0 if start is blocked
+     */
+    floodFill(start, grid, snakeBody) {
+        if (this.isCellBlocked(start, grid, snakeBody)) {
+            return 0;
+        }
 
-        for (const cell of surrounding) {
-            if (!this.isCellBlocked(cell, grid, snakeBody)) {
-                openCount++;
+        const freeAt = this.getFreeTicks(snakeBody, grid);
+
+        const visited = new Set([`${start.x},${start.y}`]);
+        const queue = [{ cell: start, ticks: 1 }];
+        const waiting = new Map();
+
+        for (let i = 0; i < queue.length; i++) {
+            const { cell, ticks } = queue[i];
+
+            for (const next of this.getSurroundingCells(cell, grid)) {
+                const key = `${next.x},${next.y}`;
+                if (visited.has(key) || this.isWall(next, grid)) continue;
+
+                // Still occupied when we would arrive - revisit once the region is full
+                const freeTick = freeAt.get(key);
+                if (freeTick !== undefined && freeTick > ticks + 1) {
+                    waiting.set(key, { cell: next, ticks: freeTick });
+                    continue;
+                }
+
+                visited.add(key);
+                waiting.delete(key);
+                queue.push({ cell: next, ticks: ticks + 1 });
+            }
+
+            // Region exhausted: open segments that free up before we run out of room
+            if (i === queue.length - 1) {
+                for (const [key, entry] of waiting) {
+                    if (entry.ticks <= visited.size && !visited.has(key)) {
+                        visited.add(key);
+                        queue.push(entry);
+                    }
+                }
+                waiting.clear();
             }
         }
 
-        return openCount;
+        return visited.size;
     }
 
     /**
-     * Display message with type-based styling
+     * Display message with type-based styling and a severity label.
+     * Danger interrupts a screen reader; everything else waits its turn.
+     * @param {number} hold - How long rule hints stay quiet (ms)
      */
-    showMessage(message, type = 'info') {
+    showMessage(message, type = 'info', hold = NOTICE_TIME) {
         if (message === this.lastMessage) return;
 
         this.lastMessage = message;
-        this.lastMessageTime = Date.now();
-        this.messageElement.textContent = message;
+        this.quietUntil = Date.now() + hold;
 
-        // Apply color based on message type
+        // Apply color based on message type (theme palette, see style.css)
         const colors = {
-            danger: '#ff4444',
-            warning: '#ffaa00',
-            success: '#00ff88',
-            info: '#66b3ff'
+            danger: 'var(--danger)',
+            warning: 'var(--warning)',
+            success: 'var(--success)',
+            info: 'var(--accent-light)'
         };
+        this.severity = colors[type] ? type : 'info';
+        if (!this.liveRegion) return;
 
-        this.messageElement.style.color = colors[type] || colors.info;
+        this.liveRegion.setAttribute('aria-live', type === 'danger' ? 'assertive' : 'polite');
+        this.liveRegion.dataset.severity = this.severity;
+        this.messageElement.textContent = message;
+        this.messageElement.style.color = colors[this.severity];
+        this.relabel();
     }
 
     /**
-     * Get random message from category
+     * Severity in words too, not only in color (again after a language change)
      */
-    getRandomMessage(category) {
-        const messages = this.messages[category];
-        return messages[Math.floor(Math.random() * messages.length)];
+    relabel() {
+        if (!this.severityElement) return;
+        this.severityElement.textContent = this.i18n.t(`coach.severity.${this.severity}`);
+    }
+
+    /**
+     * Show a persistent status line (e.g. active autopilot strategy)
+     */
+    setStatus(text) {
+        if (!this.statusElement) return;
+        this.statusElement.textContent = text;
+        this.statusElement.classList.toggle('hidden', !text);
     }
 
     /**
      * Reset coach state
+     * @param {boolean} learning - Whether the new game is the player's own solo
+     *                             run (the profile learns from it and sets the tip)
      */
-    reset() {
+    reset(learning = false) {
         this.lastMessage = '';
-        this.lastMessageTime = 0;
-        this.showMessage('Let\'s go! Stay alert!', 'info');
+        this.spokenAt.clear();
+        this.quietUntil = 0;
+        this.route = null;
+        this.history = [];
+        this.situations = {};
+        this.drillStep = -1;
+        this.learning = learning;
+        this.showMessage((learning && this.getFocusTip()) || this.i18n.t('coach.start'), 'info', 0);
+    }
+
+    /**
+     * Start-of-game tip from the player's recent runs, or null
+     */
+    getFocusTip() {
+        const focus = this.profile.focus();
+        if (!focus) return null;
+
+        if (focus.deaths) {
+            return this.i18n.t(`coach.focus.${focus.situation}`, { deaths: focus.deaths, runs: focus.runs, count: focus.runs });
+        }
+        return this.i18n.t(`coach.focus.ignored.${focus.situation}`, { percent: Math.round(focus.ignored * 100) });
+    }
+
+    /**
+     * Add a tick to the rolling history, dropping the oldest
+     */
+    remember(snake, grid, snakeBody) {
+        const entry = { head: snake.head, direction: snake.direction, body: snakeBody, grid, warning: null };
+        this.history.push(entry);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+        return entry;
+    }
+
+    /**
+     * Look back over the last ticks of a lost solo game
+     * @param {Object} finalDirection - Direction of the move that crashed
+     * @returns {Object|null} { lines, snapshot, better, taken, ticksBefore, ignored }
+     *   snapshot is the critical tick, better a move that still had a way out there
+     */
+    debrief(finalDirection) {
+        const history = this.history;
+        if (history.length === 0) return null;
+
+        const t = (key, values) => this.i18n.t(`coach.debrief.${key}`, values);
+        const taken = i => (i + 1 < history.length ? history[i + 1].direction : finalDirection);
+        const same = (a, b) => a.x === b.x && a.y === b.y;
+
+        // Latest tick where some move still had a way out; every tick after
+        // it was already lost. A tick the search could not settle stops the
+        // walk: nothing before it can be called the point of no return.
+        const budget = { positions: DEBRIEF_BUDGET };
+        let critical = -1;
+        let unsure = -1;
+        let escapes = [];
+        for (let i = history.length - 1; i >= 0 && critical < 0 && unsure < 0; i--) {
+            const { body, grid, direction } = history[i];
+            const results = this.directions
+                .filter(dir => !same(dir, { x: -direction.x, y: -direction.y }))
+                .map(dir => ({ dir, escape: this.hasEscape(body, dir, grid, Math.min(body.length, 40), budget) }));
+            escapes = results.filter(result => result.escape).map(result => result.dir);
+            if (escapes.length > 0) {
+                critical = i;
+            } else if (results.some(result => result.escape === null)) {
+                unsure = i;
+            }
+        }
+
+        // Warnings whose advice the next move did not follow
+        const ignored = history.filter((entry, i) => {
+            if (!entry.warning) return false;
+            const next = taken(i);
+            return entry.warning.advice ? !same(next, entry.warning.advice) : same(next, entry.direction);
+        }).length;
+
+        const lines = [];
+        let better = null;
+        let takenMove = null;
+
+        if (unsure >= 0) {
+            const ticks = history.length - unsure;
+            lines.push(t('unsure', { ticks, count: ticks }));
+        } else if (critical < 0) {
+            lines.push(t('boxedIn', { ticks: history.length, count: history.length }));
+        } else {
+            const entry = history[critical];
+            takenMove = taken(critical);
+
+            // Of the moves with a way out, suggest the roomiest
+            const moves = this.evaluateMoves(entry, entry.grid, entry.body);
+            better = moves
+                .filter(move => escapes.some(dir => same(dir, move)) && !same(move, takenMove))
+                .reduce((a, b) => (!a || b.space > a.space ? b : a), null);
+
+            const ticks = history.length - critical;
+            const values = {
+                better: better ? this.directionName(better) : '',
+                taken: this.directionName(takenMove),
+                ticks,
+                count: ticks
+            };
+
+            if (better && ticks === 1) {
+                lines.push(t('lastMove', values));
+            } else {
+                lines.push(t('noReturn', values));
+                if (better) {
+                    lines.push(t('missed', values));
+                }
+            }
+        }
+
+        lines.push(ignored > 0 ? t('ignored', { count: ignored }) : t('heeded'));
+
+        const shown = critical >= 0 ? critical : Math.max(unsure, 0);
+        return {
+            lines,
+            snapshot: history[shown],
+            better,
+            taken: takenMove,
+            ticksBefore: history.length - shown,
+            ignored
+        };
+    }
+
+    /**
+     * Whether moving `direction` keeps the snake alive for `depth` more ticks
+     * (food ignored): true, false, or null when the budget ran out first.
+     * A snake with a safe path to its own tail (findPath) can chase it for
+     * good; otherwise the next moves are searched, each position taken from
+     * `budget.positions`.
+     * @param {Array} body - Snake body before the move (head first)
+     */
+    hasEscape(body, direction, grid, depth, budget) {
+        const next = this.moveCell(body[0], direction, grid);
+        if (this.isCellBlocked(next, grid, body)) return false;
+        if (depth <= 1) return true;
+
+        const moved = [next, ...body.slice(0, -1)];
+        if (this.findPath(next, moved[moved.length - 1], grid, moved)) return true;
+        if (--budget.positions < 0) return null;
+
+        let unknown = false;
+        for (const dir of this.directions) {
+            if (dir.x === -direction.x && dir.y === -direction.y) continue;
+
+            const escape = this.hasEscape(moved, dir, grid, depth - 1, budget);
+            if (escape) return true;
+            if (escape === null) unknown = true;
+        }
+        return unknown ? null : false;
     }
 
     /**
      * Show game over analysis
      */
     gameOver(score, cause) {
-        const messages = {
-            wall: `💥 Wall collision! Final score: ${score}`,
-            self: `🔄 Self collision! Final score: ${score}`,
-            default: `Game Over! Final score: ${score}`
-        };
+        // Teach the profile: the situation behind the crash was not handled
+        if (this.learning) {
+            Object.keys(this.situations).forEach(name => {
+                if (CAUSE_SITUATION[cause] === name) {
+                    this.profile.recordSituation(name, false, this.situations[name].warned);
+                }
+            });
+            this.situations = {};
+            this.profile.addRun(cause);
+            this.learning = false;
+        }
+
+        const key = this.i18n.lookup(`coach.gameOver.${cause}`) === null ? 'default' : cause;
+        this.showMessage(this.i18n.t(`coach.gameOver.${key}`, { score }), 'danger');
+    }
+
+    /**
+     * Announce the result of a versus round
+     * @param {string|null} winner - Winner's label, null for a draw
+     * @param {boolean} matchOver - Whether the round decided the match
+     */
+    versusOver(winner, matchOver) {
+        if (!winner) {
+            this.showMessage(this.i18n.t('coach.versus.draw'), 'warning');
+        } else if (matchOver) {
+            this.showMessage(this.i18n.t('coach.versus.match', { winner }), 'success');
+        } else {
+            this.showMessage(this.i18n.t('coach.versus.round', { winner }), 'success');
+        }
+    }
+
+    /**
+     * Walk the player through a tutorial drill, one step at a time: say the
+     * latest step whose moment has come (see drills.js)
+     * @param {Object} drill - Entry of DRILLS
+     * @param {Object} view - { state, head, direction, body, grid }
+     */
+    followDrill(drill, view) {
+        let reached = this.drillStep;
+        drill.steps.forEach((step, index) => {
+            if (index > reached && step.when(view, this)) reached = index;
+        });
+        if (reached === this.drillStep) return;
+
+        this.drillStep = reached;
+        this.showMessage(this.i18n.t(`tutorial.drills.${drill.id}.steps.${drill.steps[reached].id}`), 'info');
+    }
 
-        this.showMessage(messages[cause] || messages.default, 'danger');
+    /**
+     * Announce the end of a drill
+     * @param {boolean} passed - Whether the goal was reached
+     * @param {string} reason - Why it failed: a crash cause or the drill's own
+     */
+    drillOver(passed, reason) {
+        if (passed) {
+            this.showMessage(this.i18n.t('tutorial.coachPassed'), 'success');
+            return;
+        }
+        const key = this.i18n.lookup(`tutorial.fail.${reason}`) === null ? 'default' : reason;
+        this.showMessage(this.i18n.t(`tutorial.fail.${key}`), 'danger');
     }
 }
+
+// Allow rules to be tested from Node against fixed boards (with an in-memory
+// storage and page: null, and storage.js, coachProfile.js, coachRules.js and
+// i18n.js exports made global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AICoach };
+}
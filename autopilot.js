@@ -0,0 +1,207 @@
+/* ===================================
+   AUTOPILOT - AI AGENT THAT PLAYS
+   Pluggable move strategies
+   =================================== */
+
+// Built-in strategies. Each picks a direction from a read-only view:
+// { head, direction, body, food, grid }
+const AUTOPILOT_STRATEGIES = [
+    {
+        id: 'greedy',
+        name: 'Greedy to food',
+        choose(view, pilot) {
+            const path = pilot.coach.findPath(view.head, view.food, view.grid, view.body);
+            if (path) {
+                return pilot.directionTo(view.head, path[0]);
+            }
+            return pilot.roomiestMove(view);
+        }
+    },
+    {
+        id: 'floodFill',
+        name: 'Flood-fill safe',
+        choose(view, pilot) {
+            const moves = pilot.evaluateMoves(view);
+            const path = pilot.coach.findPath(view.head, view.food, view.grid, view.body);
+
+            // Only chase the food if the snake still fits afterwards
+            if (path) {
+                const toFood = pilot.directionTo(view.head, path[0]);
+                const move = moves.find(m => m.x === toFood.x && m.y === toFood.y);
+                if (move && move.space >= view.body.length) {
+                    return toFood;
+                }
+            }
+            return pilot.roomiestMove(view, moves);
+        }
+    },
+    {
+        id: 'hamiltonian',
+        name: 'Hamiltonian cycle',
+        choose(view, pilot) {
+            const cycle = pilot.getCycle(view.grid);
+
+            // Odd-by-odd boards have no Hamiltonian cycle; obstacles and rival snakes break the fixed one
+            const blocked = (view.grid.obstacles && view.grid.obstacles.size > 0) ||
+                            (view.grid.others && view.grid.others.length > 0);
+            if (!cycle || blocked) {
+                return pilot.strategies.get('floodFill').choose(view, pilot);
+            }
+
+            const next = cycle.next(view.head);
+            const toNext = pilot.directionTo(view.head, next);
+
+            // Once the body lies along the cycle, following it can never fail
+            if (pilot.isOnCycle(view.body, cycle)) {
+                return toNext;
+            }
+
+            const move = pilot.evaluateMoves(view).find(m => m.x === toNext.x && m.y === toNext.y);
+            if (move && move.space >= view.body.length) {
+                return toNext;
+            }
+            return pilot.roomiestMove(view);
+        }
+    }
+];
+
+// Autopilot Class - Chooses a move every tick using the active strategy
+class Autopilot {
+    /**
+     * @param {AICoach} coach - Supplies the path finding and flood fill heuristics
+     */
+    constructor(coach) {
+        this.coach = coach;
+        this.strategies = new Map();
+        this.cycle = null;
+
+        AUTOPILOT_STRATEGIES.forEach(strategy => this.register(strategy));
+        this.strategyId = 'floodFill';
+    }
+
+    /**
+     * Add or replace a strategy ({ id, name, choose(view, pilot) })
+     */
+    register(strategy) {
+        this.strategies.set(strategy.id, strategy);
+    }
+
+    /**
+     * Switch the active strategy
+     */
+    setStrategy(id) {
+        if (this.strategies.has(id)) {
+            this.strategyId = id;
+        }
+    }
+
+    /**
+     * Currently active strategy
+     */
+    get strategy() {
+        return this.strategies.get(this.strategyId);
+    }
+
+    /**
+     * Pick the direction for the next tick
+     * @param {Object} view - { head, direction, body, food, grid }
+     */
+    chooseDirection(view) {
+        return this.strategy.choose(view, this) || view.direction;
+    }
+
+    /**
+     * Reachable space for each legal move (see AICoach.evaluateMoves)
+     */
+    evaluateMoves(view) {
+        return this.coach.evaluateMoves(
+            { head: view.head, direction: view.direction },
+            view.grid,
+            view.body
+        );
+    }
+
+    /**
+     * Move that keeps the most space open
+     */
+    roomiestMove(view, moves = this.evaluateMoves(view)) {
+        const best = moves.reduce((a, b) => (b.space > a.space ? b : a));
+        return { x: best.x, y: best.y };
+    }
+
+    /**
+     * Direction vector from a cell to an adjacent cell
+     */
+    directionTo(from, to) {
+        const x = to.x - from.x;
+        const y = to.y - from.y;
+
+        // A jump across the board is one wrap-around step the other way
+        return {
+            x: Math.abs(x) > 1 ? -Math.sign(x) : x,
+            y: Math.abs(y) > 1 ? -Math.sign(y) : y
+        };
+    }
+
+    /**
+     * Hamiltonian cycle for the grid, cached per size (null if none exists)
+     */
+    getCycle(grid) {
+        if (this.cycle && this.cycle.cols === grid.cols && this.cycle.rows === grid.rows) {
+            return this.cycle.cells ? this.cycle : null;
+        }
+
+        this.cycle = { cols: grid.cols, rows: grid.rows, cells: this.buildCycle(grid.cols, grid.rows) };
+        if (!this.cycle.cells) {
+            return null;
+        }
+
+        const cells = this.cycle.cells;
+        const index = new Map(cells.map((cell, i) => [`${cell.x},${cell.y}`, i]));
+        this.cycle.indexOf = cell => index.get(`${cell.x},${cell.y}`);
+        this.cycle.next = cell => cells[(this.cycle.indexOf(cell) + 1) % cells.length];
+        return this.cycle;
+    }
+
+    /**
+     * Build a cycle that snakes through the rows and returns up column 0.
+     * Needs an even number of rows; transposes when only the columns are even.
+     */
+    buildCycle(cols, rows) {
+        if (rows % 2 !== 0) {
+            if (cols % 2 !== 0) return null;
+            return this.buildCycle(rows, cols).map(cell => ({ x: cell.y, y: cell.x }));
+        }
+
+        const cells = [];
+        for (let y = 0; y < rows; y++) {
+            if (y % 2 === 0) {
+                for (let x = y === 0 ? 0 : 1; x < cols; x++) cells.push({ x, y });
+            } else {
+                for (let x = cols - 1; x >= 1; x--) cells.push({ x, y });
+            }
+        }
+
+        // Back up column 0 to the start
+        for (let y = rows - 1; y >= 1; y--) cells.push({ x: 0, y });
+        return cells;
+    }
+
+    /**
+     * Check whether every segment follows the one behind it on the cycle
+     */
+    isOnCycle(body, cycle) {
+        for (let i = 0; i < body.length - 1; i++) {
+            const next = cycle.next(body[i + 1]);
+            if (next.x !== body[i].x || next.y !== body[i].y) {
+                return false;
+            }
+        }
+        return true;
+    }
+}
+
+// Allow the autopilot to be required from Node for benchmarks
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Autopilot, AUTOPILOT_STRATEGIES };
+}
@@ -0,0 +1,176 @@
+/* ===================================
+   COACH PROFILE - PLAYER HABITS
+   What the coach remembers across sessions
+   =================================== */
+
+/*
+ * Profile format (JSON, version 1), kept in localStorage
+ *
+ * {
+ *   "format": "retro-snake-coach",
+ *   "version": 1,
+ *   "runs": [{ "cause": "self", "date": "..." }, ...],   // Most recent runs, oldest first
+ *   "situations": {
+ *     "danger":   { "seen": 40, "handled": 38, "warned": 12, "heeded": 11 },
+ *     "selfTrap": { "seen": 25, "handled": 19, "warned": 20, "heeded": 15 }
+ *   }
+ * }
+ *
+ * A situation is one stretch of ticks where a warning applies (heading into
+ * a wall, heading into a pocket too small for the snake). It is handled when
+ * it clears without a crash, whether or not the coach said anything.
+ */
+
+const PROFILE_FORMAT = 'retro-snake-coach';
+const PROFILE_VERSION = 1;
+const PROFILE_KEY = 'snakeCoachProfile';
+const PROFILE_RUNS = 20;
+
+// Situations the coach warns about, and the death causes each one leads to
+const CAUSE_SITUATION = {
+    wall: 'danger',
+    obstacle: 'danger',
+    self: 'selfTrap'
+};
+
+// Tuning: what counts as a habit
+const FOCUS_RUNS = 5;            // Recent runs looked at for repeated mistakes
+const REPEAT_DEATHS = 2;         // Deaths of one kind among them that make it a focus
+const RELIABLE_SITUATIONS = 20;  // Situations needed before a hint can be dropped
+const RELIABLE_RATE = 0.9;       // Share handled to count as reliable
+const SITUATION_WINDOW = 100;    // Counts are halved past this so old habits fade
+
+/**
+ * Empty profile
+ */
+function createProfile() {
+    const situations = {};
+    new Set(Object.values(CAUSE_SITUATION)).forEach(name => {
+        situations[name] = { seen: 0, handled: 0, warned: 0, heeded: 0 };
+    });
+
+    return {
+        format: PROFILE_FORMAT,
+        version: PROFILE_VERSION,
+        runs: [],
+        situations
+    };
+}
+
+// Coach Profile Class - Learns the player's habits and tells the coach what to stress
+class CoachProfile {
+    /**
+     * @param {Storage} storage - Where to keep the profile (see StoredJson)
+     */
+    constructor(storage = localStorage) {
+        this.stored = new StoredJson(PROFILE_KEY, storage);
+        this.profile = this.load();
+    }
+
+    /**
+     * Read the profile, starting a new one if it is missing or unreadable
+     */
+    load() {
+        return this.stored.read(createProfile, profile => {
+            if (!profile || profile.format !== PROFILE_FORMAT || profile.version !== PROFILE_VERSION ||
+                !Array.isArray(profile.runs) || !profile.situations) {
+                return null;
+            }
+            return { ...profile, situations: { ...createProfile().situations, ...profile.situations } };
+        });
+    }
+
+    /**
+     * Write the profile to storage
+     */
+    save() {
+        this.stored.write(this.profile);
+    }
+
+    /**
+     * Count a finished situation and save, so a tab closed mid-game keeps it
+     * @param {string} name - 'danger' or 'selfTrap'
+     * @param {boolean} handled - Cleared without a crash
+     * @param {boolean} warned - The coach warned about it
+     */
+    recordSituation(name, handled, warned) {
+        const counts = this.profile.situations[name];
+        if (!counts) return;
+
+        counts.seen++;
+        if (handled) counts.handled++;
+        if (warned) counts.warned++;
+        if (warned && handled) counts.heeded++;
+
+        if (counts.seen > SITUATION_WINDOW) {
+            Object.keys(counts).forEach(key => {
+                counts[key] = Math.round(counts[key] / 2);
+            });
+        }
+        this.save();
+    }
+
+    /**
+     * Record how a run ended and save
+     */
+    addRun(cause) {
+        this.profile.runs = this.profile.runs
+            .concat({ cause, date: new Date().toISOString() })
+            .slice(-PROFILE_RUNS);
+        this.save();
+    }
+
+    /**
+     * Deaths from a situation among the last few runs
+     */
+    recentDeaths(name) {
+        return this.profile.runs
+            .slice(-FOCUS_RUNS)
+            .filter(run => CAUSE_SITUATION[run.cause] === name)
+            .length;
+    }
+
+    /**
+     * How the coach should treat a situation
+     * @returns {Object} { skip, urgent } - skip: the player handles it on their
+     *   own; urgent: it keeps ending their runs
+     */
+    adjust(name) {
+        const counts = this.profile.situations[name];
+        const urgent = this.recentDeaths(name) >= REPEAT_DEATHS;
+        const reliable = !!counts && counts.seen >= RELIABLE_SITUATIONS &&
+                         counts.handled / counts.seen >= RELIABLE_RATE;
+
+        return { skip: reliable && !urgent, urgent };
+    }
+
+    /**
+     * What to work on next game, or null while there is too little to go on
+     * @returns {Object|null} { situation, deaths, runs } for a repeated death,
+     *   { situation, ignored } when warnings of a kind mostly go unheeded
+     */
+    focus() {
+        const runs = Math.min(this.profile.runs.length, FOCUS_RUNS);
+        const names = Object.keys(this.profile.situations);
+
+        const repeated = names
+            .map(situation => ({ situation, deaths: this.recentDeaths(situation), runs }))
+            .filter(entry => entry.deaths >= REPEAT_DEATHS)
+            .sort((a, b) => b.deaths - a.deaths)[0];
+        if (repeated) return repeated;
+
+        const ignored = names
+            .map(situation => {
+                const { warned, heeded } = this.profile.situations[situation];
+                return { situation, warned, ignored: warned > 0 ? 1 - heeded / warned : 0 };
+            })
+            .filter(entry => entry.warned >= 5 && entry.ignored >= 0.5)
+            .sort((a, b) => b.ignored - a.ignored)[0];
+        return ignored ? { situation: ignored.situation, ignored: ignored.ignored } : null;
+    }
+}
+
+// Allow the profile to be used from Node (with storage.js exports made global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROFILE_FORMAT, PROFILE_VERSION, CAUSE_SITUATION, createProfile, CoachProfile };
+}
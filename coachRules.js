@@ -0,0 +1,134 @@
+/* ===================================
+   COACH RULES - WHAT THE COACH SAYS
+   Pluggable hint rules and their messages
+   =================================== */
+
+/*
+ * A rule is a plain object:
+ *   id         Unique id, also the key for enabling and disabling it
+ *   name       Label in the coach settings panel
+ *   priority   Higher is checked first; the first rule that fires speaks
+ *   cooldown   Time (ms) before this rule may speak again; each rule keeps
+ *              its own, so one rule speaking never silences another
+ *   severity   'danger', 'warning', 'success' or 'info' (color, label, alert tone)
+ *   situation  Optional CoachProfile situation ('danger', 'selfTrap'). The rule
+ *              is then checked every tick so the profile sees every one, and
+ *              the profile may skip it or bring it forward.
+ *   messages   Templates with {placeholders}: a list to pick from at random,
+ *              or an object of lists (or strings) keyed by the result's variant.
+ *              A template may be plural forms, picked by the `count` value.
+ *   check(view, coach)
+ *              Returns null/false when the rule does not apply, otherwise the
+ *              placeholder values (true for none). `variant` picks the message
+ *              list, `advice` is the move a warning recommends (debrief).
+ *
+ * The built-in rules keep their name and messages in the locale bundles under
+ * coach.rules.<id> (see i18n.js); a rule's own name and messages are used
+ * when no bundle has its id.
+ *
+ * The view is read-only: { head, direction, label, grid, body, food, items, route }
+ * (see AICoach.analyze), and coach gives the board helpers (findPath,
+ * evaluateMoves, moveCell, ...).
+ */
+
+const DEFAULT_RULE_COOLDOWN = 3000;
+
+const COACH_RULES = [
+    {
+        id: 'wallDanger',
+        priority: 100,
+        severity: 'danger',
+        situation: 'danger',
+        check(view, coach) {
+            const distance = coach.checkWallDanger(view, view.grid);
+            return distance ? { distance } : null;
+        }
+    },
+    {
+        id: 'selfTrap',
+        priority: 90,
+        severity: 'warning',
+        situation: 'selfTrap',
+        check(view, coach) {
+            const trap = coach.checkSelfTrap(view, view.grid, view.body);
+            if (!trap) return null;
+            const { best } = trap;
+            return { direction: coach.directionName(best), space: best.space, count: best.space, advice: best };
+        }
+    },
+    {
+        id: 'pickup',
+        priority: 30,
+        severity: 'info',
+        check(view, coach) {
+            const hint = coach.getItemHint(view, view.grid, view.body, view.items);
+            return hint && { ...hint, count: hint.distance };
+        }
+    },
+    {
+        id: 'goodMove',
+        priority: 20,
+        severity: 'success',
+        check(view, coach) {
+            return coach.checkGoodMove(view, view.grid, view.body);
+        }
+    },
+    {
+        id: 'route',
+        priority: 10,
+        severity: 'info',
+        check(view, coach) {
+            return view.food ? coach.getRouteHint(view.head, view.food, view.route, view.grid) : null;
+        }
+    }
+];
+
+/**
+ * Rule with its defaults filled in
+ * @throws {Error} When the rule is missing its id or check
+ */
+function normalizeRule(rule) {
+    if (!rule || typeof rule.id !== 'string' || !rule.id || typeof rule.check !== 'function') {
+        throw new Error('A coach rule needs an id and a check function');
+    }
+    return {
+        name: rule.id,
+        messages: null,
+        priority: 0,
+        cooldown: DEFAULT_RULE_COOLDOWN,
+        severity: 'info',
+        situation: null,
+        ...rule
+    };
+}
+
+/**
+ * Run one rule against a board
+ * @param {Object} rule - Coach rule (see above)
+ * @param {Object} view - Board as the coach sees it this tick
+ * @param {Object} coach - AICoach, for the board helpers and the rule's text
+ * @param {Function} random - Picks among message variants (Math.random by default)
+ * @returns {Object|null} { id, severity, message, values }, or null if it does not apply
+ */
+function evaluateRule(rule, view, coach, random = Math.random) {
+    const result = rule.check(view, coach);
+    if (!result) return null;
+
+    const values = result === true ? {} : result;
+    let messages = coach.ruleMessages(rule);
+    if (messages && !Array.isArray(messages) && !isPluralForms(messages)) {
+        messages = messages[values.variant];
+    }
+    if (messages && !Array.isArray(messages)) {
+        messages = [messages];
+    }
+    if (!messages || messages.length === 0) return null;
+
+    const template = messages[Math.floor(random() * messages.length)];
+    return { id: rule.id, severity: rule.severity, message: coach.i18n.format(template, values), values };
+}
+
+// Allow rules to be tested from Node against fixed boards
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { COACH_RULES, DEFAULT_RULE_COOLDOWN, normalizeRule, evaluateRule };
+}
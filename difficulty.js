@@ -0,0 +1,86 @@
+/* ===================================
+   DIFFICULTY - SPEED CURVES
+   Presets and the adaptive speed
+   =================================== */
+
+// Speed presets (ms per tick). Each apple shortens the tick along the curve
+// until minSpeed:
+//   linear       initialSpeed - apples * speedIncrement
+//   exponential  initialSpeed * speedFactor ^ apples
+const DIFFICULTIES = {
+    easy: { name: 'Easy', initialSpeed: 180, minSpeed: 90, speedCurve: 'linear', speedIncrement: 3 },
+    normal: { name: 'Normal', initialSpeed: 150, minSpeed: 50, speedCurve: 'linear', speedIncrement: 5 },
+    hard: { name: 'Hard', initialSpeed: 120, minSpeed: 45, speedCurve: 'exponential', speedFactor: 0.95 },
+    insane: { name: 'Insane', initialSpeed: 90, minSpeed: 35, speedCurve: 'exponential', speedFactor: 0.92 },
+    // Normal's curve, shifted by how the last adaptive runs went
+    adaptive: { name: 'Adaptive', initialSpeed: 150, minSpeed: 50, speedCurve: 'linear', speedIncrement: 5, adaptive: true }
+};
+
+const DEFAULT_DIFFICULTY = 'normal';
+
+// Custom levels bring their own speed curve; their runs are filed under this
+const LEVEL_DIFFICULTY = 'level';
+
+// Adaptive tuning: each early death eases off a step, each strong run ramps
+// up a step, over the last few adaptive runs
+const ADAPTIVE_RUNS = 5;
+const ADAPTIVE_MAX_SHIFT = 2;
+const EARLY_DEATH_MS = 30000;
+const STRONG_SCORE = 150;
+
+/**
+ * Known difficulty id, or the default
+ */
+function normalizeDifficulty(id) {
+    return DIFFICULTIES[id] ? id : DEFAULT_DIFFICULTY;
+}
+
+/**
+ * Display name of a difficulty id (including custom levels)
+ * @param {Translator} i18n - Text in the player's language
+ */
+function difficultyName(id, i18n) {
+    if (id === LEVEL_DIFFICULTY) return i18n.t('difficulty.level');
+    const known = normalizeDifficulty(id);
+    return i18n.label(`difficulty.${known}`, DIFFICULTIES[known].name);
+}
+
+/**
+ * Steps the adaptive curve is shifted by: negative eases off, positive ramps up
+ * @param {Array} history - Stats runs, oldest first
+ */
+function adaptiveShift(history) {
+    const recent = history.filter(run => run.difficulty === 'adaptive').slice(-ADAPTIVE_RUNS);
+    const early = recent.filter(run => Number.isFinite(run.duration) && run.duration < EARLY_DEATH_MS).length;
+    const strong = recent.filter(run => run.score >= STRONG_SCORE).length;
+    return Math.max(-ADAPTIVE_MAX_SHIFT, Math.min(ADAPTIVE_MAX_SHIFT, strong - early));
+}
+
+/**
+ * Engine speed settings for a difficulty
+ * @param {string} id - Difficulty id
+ * @param {Array} history - Stats runs, used by the adaptive difficulty
+ */
+function createSpeedSettings(id, history = []) {
+    const { name, adaptive, ...settings } = DIFFICULTIES[normalizeDifficulty(id)];
+    if (!adaptive) {
+        return settings;
+    }
+
+    // Each step starts 15ms faster, ramps 1ms more per apple and tops out 5ms faster
+    const shift = adaptiveShift(history);
+    return {
+        ...settings,
+        initialSpeed: settings.initialSpeed - shift * 15,
+        speedIncrement: settings.speedIncrement + shift,
+        minSpeed: settings.minSpeed - shift * 5
+    };
+}
+
+// Allow difficulties to be used with the engine from Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DIFFICULTIES, DEFAULT_DIFFICULTY, LEVEL_DIFFICULTY,
+        normalizeDifficulty, difficultyName, adaptiveShift, createSpeedSettings
+    };
+}
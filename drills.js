@@ -0,0 +1,202 @@
+/* ===================================
+   DRILLS - GUIDED TUTORIAL
+   Short scripted exercises with pass/fail goals
+   =================================== */
+
+/*
+ * A drill is a plain object:
+ *   id         Unique id, also the key for its progress and its text
+ *   size       Board is size x size cells
+ *   speed      ms per tick; drills never speed up
+ *   walls      Obstacle cells as [x, y]
+ *   body       Starting snake, head first, as [x, y]
+ *   direction  UP, DOWN, LEFT or RIGHT
+ *   food       First apple as [x, y]
+ *   foodSpawns Optional fixed spots for the apples after it ([] = anywhere)
+ *   margin     Optional width of the border the player has to keep out of
+ *              (drawn on the board). No apple is ever placed in it.
+ *   steps      What the coach explains, in order: { id, when(view, coach) }.
+ *              The coach says the latest step whose `when` holds and never
+ *              goes back to an earlier one.
+ *   check(view, coach)
+ *              Returns null while the drill runs, { passed: true } when it is
+ *              done, or { passed: false, reason } when it is failed. Crashes
+ *              fail every drill (reason = the crash cause).
+ *
+ * The view is read-only: { state, head, direction, body, grid } with state the
+ * engine state (tick, foodEaten, ...). Drill names, goals and step text live
+ * in the locale bundles under tutorial.drills.<id> (see i18n.js).
+ */
+
+const DRILLS_KEY = 'snakeDrills';
+
+const DRILLS = [
+    {
+        id: 'wallTurn',
+        size: 12,
+        speed: 220,
+        walls: [],
+        body: [[4, 6], [3, 6], [2, 6]],
+        direction: 'RIGHT',
+        food: [10, 3],
+        steps: [
+            { id: 'heading', when: () => true },
+            { id: 'turn', when: (view, coach) => !!coach.checkWallDanger(view, view.grid) },
+            { id: 'apple', when: view => view.direction.y !== 0 }
+        ],
+        check(view) {
+            return view.state.foodEaten >= 1 ? { passed: true } : null;
+        }
+    },
+    {
+        id: 'pocket',
+        size: 14,
+        speed: 350,
+        walls: [
+            [3, 4], [4, 4], [5, 4], [6, 4], [7, 4], [8, 4], [9, 4], [10, 4],
+            [10, 5], [10, 6], [10, 7],
+            [3, 8], [4, 8], [5, 8], [6, 8], [7, 8], [8, 8], [9, 8], [10, 8]
+        ],
+        body: [[6, 6], [5, 6], [4, 6], [3, 6]],
+        direction: 'RIGHT',
+        food: [1, 11],
+        steps: [
+            { id: 'deadEnd', when: () => true },
+            { id: 'uturn', when: view => view.head.y !== 6 },
+            { id: 'out', when: view => view.direction.x < 0 }
+        ],
+        check(view) {
+            // Out once the head is past the pocket's open side
+            return view.head.x < 3 ? { passed: true } : null;
+        }
+    },
+    {
+        id: 'edgeFree',
+        size: 14,
+        speed: 200,
+        walls: [],
+        body: [[7, 7], [6, 7], [5, 7]],
+        direction: 'RIGHT',
+        food: [10, 7],
+        foodSpawns: [[4, 4], [9, 3], [3, 10], [10, 10], [7, 4], [4, 7], [9, 9], [6, 10]],
+        margin: 2,
+        steps: [
+            { id: 'rules', when: () => true },
+            { id: 'progress', when: view => view.state.foodEaten >= 1 },
+            { id: 'last', when: view => view.state.foodEaten >= 4 }
+        ],
+        check(view) {
+            if (isInMargin(view.head, view.grid, this.margin)) {
+                return { passed: false, reason: 'edge' };
+            }
+            return view.state.foodEaten >= 5 ? { passed: true } : null;
+        }
+    }
+];
+
+/**
+ * Drill by id, or null
+ */
+function findDrill(id) {
+    return DRILLS.find(drill => drill.id === id) || null;
+}
+
+/**
+ * The drill after this one, or null after the last
+ */
+function nextDrill(id) {
+    const index = DRILLS.findIndex(drill => drill.id === id);
+    return index >= 0 ? DRILLS[index + 1] || null : null;
+}
+
+/**
+ * Whether a cell lies within `margin` cells of the board's edge
+ */
+function isInMargin(cell, grid, margin) {
+    return cell.x < margin || cell.y < margin || cell.x >= grid.cols - margin || cell.y >= grid.rows - margin;
+}
+
+/**
+ * Engine config for a drill: its board, spawn and first apple, at a fixed
+ * speed and without pickups. Apples stay out of the drill's margin.
+ * @param {Object} base - Shared settings (CONFIG in game.js)
+ */
+function createDrillConfig(base, drill) {
+    const cells = list => list.map(([x, y]) => ({ x, y }));
+    const [foodX, foodY] = drill.food;
+
+    return {
+        ...base,
+        initialSpeed: drill.speed,
+        speedIncrement: 0,
+        minSpeed: drill.speed,
+        gridSize: drill.size,
+        cellSize: Math.floor(BOARD_PIXELS / drill.size),
+        wrap: false,
+        items: false,
+        obstacles: cells(drill.walls),
+        start: {
+            body: cells(drill.body),
+            direction: DIRECTION[drill.direction],
+            food: { x: foodX, y: foodY }
+        },
+        foodSpawns: cells(drill.foodSpawns || []),
+        foodMargin: drill.margin || 0
+    };
+}
+
+// DrillProgressStore Class - Which drills the player has passed, in localStorage
+class DrillProgressStore {
+    /**
+     * @param {Storage} storage - Where to keep the progress (see StoredJson)
+     */
+    constructor(storage = localStorage) {
+        this.stored = new StoredJson(DRILLS_KEY, storage);
+        this.progress = this.load();
+    }
+
+    /**
+     * Read the progress: { drillId: { attempts, passed } }. Unreadable
+     * progress starts over.
+     */
+    load() {
+        return this.stored.read(() => ({}), progress => (isRecord(progress) ? progress : null));
+    }
+
+    /**
+     * Count an attempt at a drill
+     */
+    record(id, passed) {
+        const entry = this.progress[id] || { attempts: 0, passed: false };
+        this.progress[id] = { attempts: entry.attempts + 1, passed: entry.passed || passed };
+        this.stored.write(this.progress);
+    }
+
+    /**
+     * Whether the drill has been passed at least once
+     */
+    isPassed(id) {
+        return !!this.progress[id] && this.progress[id].passed === true;
+    }
+
+    /**
+     * Drills open up in order: the first always, the others once the one
+     * before is passed
+     */
+    isUnlocked(id) {
+        const index = DRILLS.findIndex(drill => drill.id === id);
+        return index === 0 || (index > 0 && this.isPassed(DRILLS[index - 1].id));
+    }
+
+    /**
+     * First drill not passed yet (the first one when all are)
+     */
+    current() {
+        return DRILLS.find(drill => !this.isPassed(drill.id)) || DRILLS[0];
+    }
+}
+
+// Allow drills to be checked from Node (with engine.js, modes.js and storage.js exports made global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DRILLS, DRILLS_KEY, findDrill, nextDrill, isInMargin, createDrillConfig, DrillProgressStore };
+}
@@ -0,0 +1,572 @@
+/* ===================================
+   RETRO SNAKE GAME - SIMULATION CORE
+   Headless rules engine (no DOM access)
+   =================================== */
+
+// Direction Constants
+const DIRECTION = {
+    UP: { x: 0, y: -1 },
+    DOWN: { x: 0, y: 1 },
+    LEFT: { x: -1, y: 0 },
+    RIGHT: { x: 1, y: 0 }
+};
+
+// Pickups that appear next to the apple (config.items turns them on).
+// weight: spawn odds relative to the others, lifetime: ticks on the board,
+// duration: ticks the effect lasts once picked up
+const ITEM_TYPES = {
+    bonus: { name: 'Bonus fruit', icon: '🍒', color: '#ffd700', weight: 5, lifetime: 40, points: 50 },
+    slow: { name: 'Slow-down', icon: '🐢', color: '#66b3ff', weight: 2, lifetime: 60, duration: 50, factor: 1.5 },
+    shrink: { name: 'Shrink', icon: '✂️', color: '#ff66ff', weight: 2, lifetime: 60, trim: 3 },
+    ghost: { name: 'Ghost', icon: '👻', color: '#e0e0e0', weight: 1, lifetime: 60, duration: 30 }
+};
+
+// Chance per tick that an item appears while none is on the board
+const ITEM_SPAWN_CHANCE = 0.02;
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * Same seed always yields the same sequence, which makes games replayable.
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Object} Generator with next() returning a float in [0, 1)
+ */
+function createRng(seed) {
+    let state = seed >>> 0;
+
+    return {
+        seed: seed >>> 0,
+        get state() {
+            return state;
+        },
+        set state(value) {
+            state = value >>> 0;
+        },
+        next() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+    };
+}
+
+/**
+ * Pick a fresh seed for a new game
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Engine Class - Pure game rules, usable in the browser and in Node
+class SnakeEngine {
+    /**
+     * @param {Object} config - Grid, speed and mode settings (see CONFIG in game.js,
+     *                          createModeConfig in modes.js and DIFFICULTIES in
+     *                          difficulty.js; speedCurve defaults to linear)
+     * @param {Object} rng - Random source with next() returning [0, 1)
+     */
+    constructor(config, rng = createRng(randomSeed())) {
+        this.config = config;
+        this.rng = rng;
+        this.obstacles = new Set((config.obstacles || []).map(cell => `${cell.x},${cell.y}`));
+    }
+
+    /**
+     * Build the starting state: the level's spawn if the config has one
+     * (config.start), otherwise the default spawn for config.players snakes.
+     * A start may also fix the first food (start.food, used by the drills).
+     */
+    createState() {
+        const starts = this.config.start ? [this.config.start] : this.defaultStarts();
+
+        const state = {
+            tick: 0,
+            snakes: starts.map(start => ({
+                body: start.body.map(segment => ({ ...segment })),
+                direction: start.direction,
+                score: 0,
+                alive: true,
+                cause: null
+            })),
+            food: null,
+            items: [],    // Pickups on the board: { type, x, y, expires }
+            effects: [],  // Running pickups: { type, snake, until }
+            foodEaten: 0,
+            speed: this.config.initialSpeed,
+            over: false,
+            cause: null,
+            winner: null
+        };
+
+        // Place initial food
+        const food = this.config.start && this.config.start.food;
+        state.food = food ? { ...food } : this.generateFood(state);
+        return state;
+    }
+
+    /**
+     * Default spawns. One player: three segments in the center, moving right.
+     * Two players: back to back on the center row (layouts keep it clear).
+     */
+    defaultStarts() {
+        const centerX = Math.floor(this.config.gridSize / 2);
+        const centerY = Math.floor(this.config.gridSize / 2);
+
+        if ((this.config.players || 1) === 1) {
+            return [{
+                body: [
+                    { x: centerX, y: centerY },
+                    { x: centerX - 1, y: centerY },
+                    { x: centerX - 2, y: centerY }
+                ],
+                direction: DIRECTION.RIGHT
+            }];
+        }
+
+        return [
+            {
+                body: [
+                    { x: centerX - 3, y: centerY },
+                    { x: centerX - 2, y: centerY },
+                    { x: centerX - 1, y: centerY }
+                ],
+                direction: DIRECTION.LEFT
+            },
+            {
+                body: [
+                    { x: centerX + 2, y: centerY },
+                    { x: centerX + 1, y: centerY },
+                    { x: centerX, y: centerY }
+                ],
+                direction: DIRECTION.RIGHT
+            }
+        ];
+    }
+
+    /**
+     * Advance the simulation by one tick. All snakes move at once.
+     * @param {Object} state - Current state (left untouched)
+     * @param {Object} input - Requested turns: { directions: [...] } with one
+     *                         entry per snake, or { direction } for snake 0
+     * @returns {Object} { state, events } - Next state and what happened
+     */
+    step(state, input = {}) {
+        const events = [];
+
+        if (state.over) {
+            return { state, events };
+        }
+
+        const directions = input.directions || [input.direction];
+        const tick = state.tick + 1;
+        const next = {
+            ...state,
+            tick,
+            items: (state.items || []).filter(item => item.expires > tick),
+            effects: (state.effects || []).filter(effect => effect.until > tick),
+            snakes: state.snakes.map((snake, index) => {
+                if (!snake.alive) return snake;
+                return {
+                    ...snake,
+                    body: snake.body.slice(),
+                    direction: this.resolveDirection(snake.direction, directions[index])
+                };
+            })
+        };
+
+        // Items left uneaten and effects that ran out
+        (state.items || []).forEach(item => {
+            if (item.expires <= tick) events.push({ type: 'expire', item: item.type });
+        });
+        (state.effects || []).forEach(effect => {
+            if (effect.until <= tick) events.push({ type: 'effectEnd', effect: effect.type, snake: effect.snake });
+        });
+
+        // Calculate new head positions
+        const heads = next.snakes.map(snake => (snake.alive ? this.nextHead(snake) : null));
+
+        // Check collisions against the board as it was before anyone moved
+        const causes = heads.map((head, index) => head && this.findCollision(state, heads, index));
+        causes.forEach((cause, index) => {
+            if (!cause) return;
+            next.snakes[index].alive = false;
+            next.snakes[index].cause = cause;
+            next.cause = cause;
+            events.push({ type: 'death', snake: index, cause });
+        });
+
+        // Move surviving snakes
+        let eater = -1;
+        const pickups = [];
+        next.snakes.forEach((snake, index) => {
+            if (!snake.alive) return;
+
+            const head = heads[index];
+            snake.body.unshift(head);
+
+            const item = next.items.find(cell => cell.x === head.x && cell.y === head.y);
+            if (item) {
+                pickups.push({ item, index });
+            }
+
+            // Check food collision (bonus fruit grows the snake too)
+            if (head.x === next.food.x && head.y === next.food.y) {
+                eater = index;
+            } else if (!item || item.type !== 'bonus') {
+                // Remove tail if nothing was eaten
+                snake.body.pop();
+            }
+        });
+
+        pickups.forEach(({ item, index }) => this.pickUp(next, index, item, events));
+
+        if (eater >= 0) {
+            this.eatFood(next, eater, events);
+        }
+
+        if (!next.over) {
+            this.maybeSpawnItem(next, events);
+            this.updateSpeed(next, events);
+        }
+
+        this.checkGameOver(next, events);
+        return { state: next, events };
+    }
+
+    /**
+     * Where a snake's head goes this tick (wrap-around mode teleports across edges)
+     */
+    nextHead(snake) {
+        const head = snake.body[0];
+        const newHead = {
+            x: head.x + snake.direction.x,
+            y: head.y + snake.direction.y
+        };
+        return this.config.wrap ? this.wrapPosition(newHead) : newHead;
+    }
+
+    /**
+     * Cause of death for a snake moving to heads[index], or null if it survives
+     */
+    findCollision(state, heads, index) {
+        const head = heads[index];
+
+        if (this.checkWallCollision(state, head)) return 'wall';
+        if (this.checkObstacleCollision(state, head)) return 'obstacle';
+        if (!this.hasEffect(state, 'ghost', index) && this.checkSelfCollision(state.snakes[index], head)) return 'self';
+        if (this.checkSnakeCollision(state, head, index)) return 'snake';
+
+        // Two heads entering the same cell
+        const headOn = heads.some((other, i) =>
+            i !== index && other && other.x === head.x && other.y === head.y
+        );
+        return headOn ? 'head' : null;
+    }
+
+    /**
+     * End the game once nobody (solo) or at most one snake (versus) is left
+     */
+    checkGameOver(state, events) {
+        if (state.over) return;
+
+        const alive = state.snakes.filter(snake => snake.alive);
+        const finished = state.snakes.length === 1 ? alive.length === 0 : alive.length <= 1;
+
+        if (finished) {
+            state.over = true;
+            state.winner = state.snakes.length > 1 && alive.length === 1
+                ? state.snakes.indexOf(alive[0])
+                : null;
+            events.push({ type: 'over', cause: state.cause, winner: state.winner });
+        }
+    }
+
+    /**
+     * Apply a requested turn unless it would reverse into the neck
+     */
+    resolveDirection(current, requested) {
+        if (!requested) return current;
+        if (requested.x === -current.x && requested.y === -current.y) return current;
+        return requested;
+    }
+
+    /**
+     * Bring a position that left the board back in on the opposite edge
+     */
+    wrapPosition(position) {
+        const size = this.config.gridSize;
+        return {
+            x: (position.x + size) % size,
+            y: (position.y + size) % size
+        };
+    }
+
+    /**
+     * Check if a position is outside the board
+     */
+    checkWallCollision(state, position) {
+        return position.x < 0 ||
+               position.x >= this.config.gridSize ||
+               position.y < 0 ||
+               position.y >= this.config.gridSize;
+    }
+
+    /**
+     * Check if a position is on a static obstacle
+     */
+    checkObstacleCollision(state, position) {
+        return this.obstacles.has(`${position.x},${position.y}`);
+    }
+
+    /**
+     * Check if a position overlaps a snake's own body
+     */
+    checkSelfCollision(snake, position) {
+        return snake.body.some(segment =>
+            segment.x === position.x && segment.y === position.y
+        );
+    }
+
+    /**
+     * Check if a position overlaps any other living snake
+     */
+    checkSnakeCollision(state, position, index) {
+        return state.snakes.some((snake, i) =>
+            i !== index && snake.alive && this.checkSelfCollision(snake, position)
+        );
+    }
+
+    /**
+     * Check whether an effect is running (for one snake, or any snake)
+     */
+    hasEffect(state, type, index) {
+        return (state.effects || []).some(effect =>
+            effect.type === type && (index === undefined || effect.snake === index)
+        );
+    }
+
+    /**
+     * Apply an item a snake just moved onto
+     */
+    pickUp(state, index, item, events) {
+        const type = ITEM_TYPES[item.type];
+        const snake = state.snakes[index];
+        state.items = state.items.filter(other => other !== item);
+
+        switch (item.type) {
+            case 'bonus':
+                snake.score += type.points;
+                break;
+            case 'shrink':
+                // Never shorter than head and neck
+                snake.body.splice(Math.max(2, snake.body.length - type.trim));
+                break;
+            case 'slow':
+            case 'ghost':
+                // Picking up a running effect again restarts its timer
+                state.effects = state.effects
+                    .filter(effect => effect.type !== item.type || effect.snake !== index)
+                    .concat({ type: item.type, snake: index, until: state.tick + type.duration });
+                break;
+        }
+
+        events.push({ type: 'item', item: item.type, snake: index, score: snake.score });
+    }
+
+    /**
+     * Now and then drop an item on a free cell while the board has none
+     */
+    maybeSpawnItem(state, events) {
+        if (!this.config.items || state.items.length > 0 || this.rng.next() >= ITEM_SPAWN_CHANCE) {
+            return;
+        }
+
+        // Weighted pick of the item type
+        const types = Object.keys(ITEM_TYPES);
+        let roll = this.rng.next() * types.reduce((total, id) => total + ITEM_TYPES[id].weight, 0);
+        const type = types.find(id => (roll -= ITEM_TYPES[id].weight) < 0) || types[0];
+
+        // A crowded board may have no room - try a few cells, then give up
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const cell = {
+                x: Math.floor(this.rng.next() * this.config.gridSize),
+                y: Math.floor(this.rng.next() * this.config.gridSize)
+            };
+            if (this.isFreeCell(state, cell)) {
+                state.items = [{ type, ...cell, expires: state.tick + ITEM_TYPES[type].lifetime }];
+                events.push({ type: 'spawn', item: type });
+                return;
+            }
+        }
+    }
+
+    /**
+     * Check that nothing (obstacle, snake, food or item) is on a cell
+     */
+    isFreeCell(state, cell) {
+        const same = other => other && other.x === cell.x && other.y === cell.y;
+        return !this.checkObstacleCollision(state, cell) &&
+               !state.snakes.some(snake => snake.alive && this.checkSelfCollision(snake, cell)) &&
+               !same(state.food) &&
+               !(state.items || []).some(same);
+    }
+
+    /**
+     * Tick length along the speed curve after some apples, before effects
+     */
+    getBaseSpeed(foodEaten) {
+        const { initialSpeed, minSpeed, speedCurve } = this.config;
+        const speed = speedCurve === 'exponential'
+            ? Math.round(initialSpeed * Math.pow(this.config.speedFactor, foodEaten))
+            : initialSpeed - foodEaten * this.config.speedIncrement;
+        return Math.max(minSpeed, speed);
+    }
+
+    /**
+     * Tick length from the food eaten so far, stretched while a slow-down runs
+     */
+    updateSpeed(state, events) {
+        const base = this.getBaseSpeed(state.foodEaten);
+        const speed = this.hasEffect(state, 'slow') ? Math.round(base * ITEM_TYPES.slow.factor) : base;
+
+        if (speed !== state.speed) {
+            state.speed = speed;
+            events.push({ type: 'speed', speed });
+        }
+    }
+
+    /**
+     * Handle food consumption: score and new food (speed follows in updateSpeed)
+     */
+    eatFood(state, index, events) {
+        state.snakes[index].score += 10;
+        state.foodEaten++;
+        state.food = this.generateFood(state);
+        events.push({ type: 'eat', snake: index, score: state.snakes[index].score });
+
+        // No free cell left - the board is cleared
+        if (!state.food) {
+            state.over = true;
+            state.cause = 'win';
+            state.winner = state.snakes.length > 1 ? index : null;
+            events.push({ type: 'over', cause: 'win', winner: state.winner });
+        }
+    }
+
+    /**
+     * Generate new food position (not on snake or obstacles), null when the board is full
+     * Levels with fixed spawn points (config.foodSpawns) pick one of the free ones
+     * the snakes can get to.
+     * A ghost race (config.foodSequence) deals the best run's apples in the same
+     * order, each one while its cell is free. When neither has a free cell, the
+     * food goes on a random free cell the snakes can get to. Every candidate
+     * must lie in findFoodArea, so no apple lands in a sealed pocket or in the
+     * margin.
+     */
+    generateFood(state) {
+        const occupied = state.snakes.filter(snake => snake.alive);
+        const items = state.items || [];
+        const isOccupied = cell => occupied.some(snake => this.checkSelfCollision(snake, cell)) ||
+                                   items.some(item => item.x === cell.x && item.y === cell.y);
+
+        // Board is full once every cell the snakes can get to is taken
+        const area = this.findFoodArea(state);
+        const isFree = cell => area.has(`${cell.x},${cell.y}`) && !isOccupied(cell);
+        const taken = new Set(occupied.flatMap(snake => snake.body).concat(items).map(cell => `${cell.x},${cell.y}`));
+        if ([...area].every(key => taken.has(key))) {
+            return null;
+        }
+
+        const planned = (this.config.foodSequence || [])[state.foodEaten];
+        if (planned && isFree(planned)) {
+            return { ...planned };
+        }
+
+        const spawns = (this.config.foodSpawns || []).filter(isFree);
+        if (spawns.length > 0) {
+            return { ...spawns[Math.floor(this.rng.next() * spawns.length)] };
+        }
+
+        let newFood;
+        let isValid = false;
+
+        while (!isValid) {
+            newFood = {
+                x: Math.floor(this.rng.next() * this.config.gridSize),
+                y: Math.floor(this.rng.next() * this.config.gridSize)
+            };
+
+            // Check if food spawns on a snake, an obstacle or a walled-off cell
+            isValid = isFree(newFood);
+        }
+
+        return newFood;
+    }
+
+    /**
+     * Cells random food may go on, as "x,y" keys: every cell a living snake
+     * can reach from its head. Walls may seal off pockets no snake gets into,
+     * and config.foodMargin keeps food that many cells away from the edge.
+     */
+    findFoodArea(state) {
+        const heads = state.snakes.filter(snake => snake.alive).map(snake => snake.body[0]);
+        const area = new Set(heads.map(head => `${head.x},${head.y}`));
+        const queue = heads.slice();
+
+        // Read the queue by index: shift() would make the fill quadratic
+        for (let i = 0; i < queue.length; i++) {
+            const cell = queue[i];
+            for (const direction of Object.values(DIRECTION)) {
+                let next = { x: cell.x + direction.x, y: cell.y + direction.y };
+                if (this.config.wrap) {
+                    next = this.wrapPosition(next);
+                }
+                const key = `${next.x},${next.y}`;
+                if (area.has(key) || this.checkWallCollision(state, next) || this.checkObstacleCollision(state, next)) {
+                    continue;
+                }
+                area.add(key);
+                queue.push(next);
+            }
+        }
+
+        const margin = this.config.foodMargin || 0;
+        if (margin > 0) {
+            const size = this.config.gridSize;
+            area.forEach(key => {
+                const [x, y] = key.split(',').map(Number);
+                if (x < margin || y < margin || x >= size - margin || y >= size - margin) {
+                    area.delete(key);
+                }
+            });
+        }
+
+        return area;
+    }
+
+    /**
+     * Speed level shown in the HUD (1 = starting speed): how many steps down
+     * the speed curve it takes to reach this tick length. A slow-down can push
+     * the tick past the starting speed, which stays level 1.
+     */
+    getSpeedLevel(speed) {
+        const maxFood = this.config.gridSize * this.config.gridSize;
+        let level = 1;
+        let last = this.getBaseSpeed(0);
+
+        for (let food = 1; food <= maxFood && last > this.config.minSpeed; food++) {
+            const next = this.getBaseSpeed(food);
+            if (next < speed) break;
+            if (next < last) level++;
+            last = next;
+        }
+
+        return level;
+    }
+}
+
+// Allow the engine to be required from Node (tests, tooling, replays)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DIRECTION, ITEM_TYPES, ITEM_SPAWN_CHANCE, SnakeEngine, createRng, randomSeed };
+}
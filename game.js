@@ -3,15 +3,24 @@
    Modular, production-quality code
    =================================== */
 
-// Game Configuration
+// Game Configuration (board size and walls come from the selected mode,
+// the speed curve from the difficulty)
 const CONFIG = {
-    gridSize: 20,        // 20x20 grid
-    cellSize: 20,        // Each cell is 20px
-    initialSpeed: 150,   // Initial game speed (ms per frame)
-    speedIncrement: 5,   // Speed increase per food eaten
-    minSpeed: 50         // Maximum speed limit
+    items: true,         // Bonus fruit and power-ups (see ITEM_TYPES)
+    inputBuffer: 3       // Turns remembered between ticks per player
 };
 
+// Longest frame gap fed to the simulation; after a stall (background tab)
+// the game resumes where it was instead of fast-forwarding
+const MAX_FRAME_GAP = 250;
+
+// Versus play: round wins needed to take a match
+const MATCH_WINS = 3;
+
+// Audio radar: ticks between pings, and how far to the sides walls are heard
+const RADAR_INTERVAL = 4;
+const RADAR_RANGE = 3;
+
 // Game State
 const GAME_STATE = {
     READY: 'ready',
@@ -20,80 +29,603 @@ const GAME_STATE = {
     GAME_OVER: 'gameOver'
 };
 
-// Direction Constants
-const DIRECTION = {
-    UP: { x: 0, y: -1 },
-    DOWN: { x: 0, y: 1 },
-    LEFT: { x: -1, y: 0 },
-    RIGHT: { x: 1, y: 0 }
-};
-
 // Game Class - Main game controller
 class SnakeGame {
     constructor() {
         this.canvas = document.getElementById('gameCanvas');
         this.ctx = this.canvas.getContext('2d');
-        this.aiCoach = new AICoach();
+        this.i18n = new Translator();
+        this.sound = new SoundEngine();
+        this.aiCoach = new AICoach(this.sound, this.i18n, situation => this.trackAchievements({ type: 'heeded', situation }), {
+            onRulesChange: () => this.renderCoachSettings()
+        });
+        this.autopilot = new Autopilot(this.aiCoach);
+        this.levelEditor = new LevelEditor((level) => this.loadLevel(level), this.i18n);
+        this.input = new InputController((command) => this.handleCommand(command), this.i18n);
+        this.stats = new StatsStore();
+        this.savedGames = new SavedGameStore();
+        this.drillProgress = new DrillProgressStore();
+        this.achievements = new AchievementStore();
+        this.ghosts = new GhostStore();
+        this.achievementsScreen = new AchievementsScreen(this.achievements, this.i18n);
+        this.statsScreen = new StatsScreen(this.stats, () => {
+            this.highScore = this.stats.highScore(this.scoreDifficulty);
+            this.updateUI();
+        }, this.i18n);
         
         // Game state
         this.state = GAME_STATE.READY;
-        this.score = 0;
-        this.highScore = this.loadHighScore();
-        this.speed = CONFIG.initialSpeed;
-        this.gameLoop = null;
+        this.difficulty = this.loadDifficulty();
+        this.lastRun = null; // { id, rank } of the last run saved to the stats
+        this.debrief = null; // Coach's look back at the last lost solo game
+        this.showPath = this.loadShowPath();
+        this.showGhost = this.loadShowGhost();
+        this.ghost = null; // Best run on this board, racing alongside (see ghost.js)
+        this.autopilotEnabled = false;
+        this.autopilotUsed = false; // Autopilot runs don't count for high score
+        this.demoRestart = null;
+        this.lastReplay = null;
+        this.replayPlayer = null; // Set while watching a replay
+        this.playbackRate = 1;
+        this.gameLoop = null;       // requestAnimationFrame handle while running
+        this.lastFrameTime = null;
+        this.accumulator = 0;       // Time owed to the simulation (ms)
+        this.previousWorld = null;  // State before the last tick, for interpolation
+        this.match = { wins: [0, 0], over: false }; // Versus round wins
+        this.routes = []; // Coach routes per snake, for the path overlay
+        this.scanlinePattern = null; // CRT overlay tile, built on first use
+        this.reducedMotion = this.loadReducedMotion(); // No glow, pulse or blinking
+        this.applyTheme(this.loadTheme());
+
+        // Board setup for the selected mode (or a custom level, or a drill)
+        this.storedMode = new StoredJson('snakeMode');
+        this.mode = this.loadMode();
+        this.level = null;
+        this.drill = null;       // Tutorial drill being played (see drills.js)
+        this.drillResult = null; // { passed, reason } once the drill is over
+        this.highScore = this.stats.highScore(this.scoreDifficulty);
+        this.setBoard(this.createBoardConfig());
         
         // Initialize game objects
         this.initializeGame();
         
         // Setup event listeners
         this.setupEventListeners();
+        this.setupModeSelect();
+        this.setupThemeSelect();
+        this.setupAccessibilitySettings();
+        this.renderCoachSettings();
+        this.setupDrillSelect();
+        this.setupLocaleSelect();
+        this.aiCoach.showMessage(this.i18n.t('coach.intro'), 'info');
         
         // Update UI
         this.updateUI();
+        this.render();
+
+        // A game left running when the tab closed can be picked up again
+        this.showResumeButton(!!this.savedGames.load());
     }
 
     /**
      * Initialize game objects to starting state
      */
     initializeGame() {
-        // Snake starts in center, moving right
-        const centerX = Math.floor(CONFIG.gridSize / 2);
-        const centerY = Math.floor(CONFIG.gridSize / 2);
-        
-        this.snake = {
-            body: [
-                { x: centerX, y: centerY },
-                { x: centerX - 1, y: centerY },
-                { x: centerX - 2, y: centerY }
-            ],
-            direction: DIRECTION.RIGHT,
-            nextDirection: DIRECTION.RIGHT
+        // Speed curve of the difficulty; custom levels and drills bring their
+        // own. The adaptive curve follows the run history, so it is picked
+        // every game.
+        if (!this.level && !this.drill) {
+            this.config = { ...this.config, ...createSpeedSettings(this.difficulty, this.stats.stats.history) };
+        }
+
+        // Race the best run on this board: the engine deals its apples in the
+        // same order
+        this.ghost = this.createGhost();
+        this.config = { ...this.config, foodSequence: this.ghost ? this.ghost.foods : null };
+
+        // Fresh seed per game so every run can be reproduced
+        this.seed = randomSeed();
+        this.engine = new SnakeEngine(this.config, createRng(this.seed));
+
+        this.world = this.engine.createState();
+        this.previousWorld = null;
+        this.accumulator = 0;
+        this.nextDirections = this.world.snakes.map(snake => snake.direction);
+        this.inputQueues = this.world.snakes.map(() => new InputQueue(CONFIG.inputBuffer));
+        this.autopilotUsed = this.autopilotEnabled;
+        this.drillResult = null;
+        this.playTime = 0;  // Game time in ms, for the stats
+        this.peakSpeed = 1;
+
+        // Record everything needed to replay this game
+        this.recorder = new ReplayRecorder(this.config, this.seed, this.engine.rng.state, this.world);
+    }
+
+    /**
+     * Engine config for the active drill or level, or the selected mode
+     */
+    createBoardConfig() {
+        if (this.drill) {
+            return createDrillConfig(CONFIG, this.drill);
+        }
+        return this.level ? createLevelConfig(CONFIG, this.level) : createModeConfig(CONFIG, this.mode);
+    }
+
+    /**
+     * Use a board config and size the canvas to match
+     */
+    setBoard(config) {
+        this.config = config;
+        this.grid = {
+            cols: config.gridSize,
+            rows: config.gridSize,
+            wrap: !!config.wrap,
+            obstacles: new Set((config.obstacles || []).map(cell => `${cell.x},${cell.y}`))
         };
-        
-        // Place initial food
-        this.food = this.generateFood();
+
+        const pixels = config.gridSize * config.cellSize;
+        this.canvas.width = pixels;
+        this.canvas.height = pixels;
+        this.canvas.parentElement.style.setProperty('--board-size', `${pixels}px`);
+    }
+
+    // Shortcuts into the simulation state, used by rendering and UI
+    get snake() {
+        return this.world.snakes[0];
+    }
+
+    /**
+     * Difficulty the current game's score is filed under
+     */
+    get scoreDifficulty() {
+        return this.level ? LEVEL_DIFFICULTY : this.difficulty;
+    }
+
+    get versus() {
+        return this.world.snakes.length > 1;
+    }
+
+    get food() {
+        return this.world.food;
+    }
+
+    get score() {
+        return this.world.snakes[0].score;
+    }
+
+    get speed() {
+        return this.world.speed;
     }
 
     /**
      * Setup all event listeners
      */
     setupEventListeners() {
-        // Keyboard controls
-        document.addEventListener('keydown', (e) => this.handleKeyPress(e));
-        
-        // Button controls
+        // Button controls (keys, swipes and gamepads come through this.input)
         document.getElementById('startButton').addEventListener('click', () => this.startGame());
+        document.getElementById('resumeButton').addEventListener('click', () => this.resumeGame());
+        document.getElementById('editorButton').addEventListener('click', () => this.openEditor());
+        document.getElementById('statsButton').addEventListener('click', () => this.statsScreen.open(this.scoreDifficulty));
+        document.getElementById('tutorialButton').addEventListener('click', () => this.toggleTutorial());
+        document.getElementById('achievementsButton').addEventListener('click', () => this.achievementsScreen.open());
+        document.getElementById('runName').addEventListener('input', (e) => this.renameRun(e.target.value));
         document.getElementById('pauseButton').addEventListener('click', () => this.togglePause());
         document.getElementById('restartButton').addEventListener('click', () => this.restartGame());
+        document.getElementById('pathToggle').addEventListener('click', () => this.togglePath());
+        document.getElementById('autopilotButton').addEventListener('click', () => this.toggleAutopilot());
+        document.getElementById('autopilotStrategy').addEventListener('change', (e) => this.setAutopilotStrategy(e.target.value));
+
+        const ghostToggle = document.getElementById('ghostToggle');
+        ghostToggle.checked = this.showGhost;
+        ghostToggle.addEventListener('change', () => this.setShowGhost(ghostToggle.checked));
+
+        // Sound controls
+        document.getElementById('muteButton').addEventListener('click', () => this.toggleMute());
+        document.getElementById('musicToggle').addEventListener('click', () => {
+            this.sound.toggleMusic();
+            this.updateSoundControls();
+        });
+        document.getElementById('volumeSlider').addEventListener('input', (e) => {
+            this.sound.setVolume(Number(e.target.value) / 100);
+            this.updateSoundControls();
+        });
+
+        // Replay controls
+        document.getElementById('replayWatchButton').addEventListener('click', () => this.watchReplay(this.lastReplay));
+        document.getElementById('replayExportButton').addEventListener('click', () => this.exportReplay());
+        document.getElementById('replayImportButton').addEventListener('click', () => document.getElementById('replayFile').click());
+        document.getElementById('replayFile').addEventListener('change', (e) => this.importReplay(e.target));
+        document.getElementById('replayStepButton').addEventListener('click', () => this.stepReplay());
+        document.getElementById('replayScrubber').addEventListener('input', (e) => this.seekReplay(Number(e.target.value)));
+        document.getElementById('replaySpeed').addEventListener('change', (e) => this.setPlaybackRate(Number(e.target.value)));
+        document.getElementById('replayCloseButton').addEventListener('click', () => this.closeReplay());
+
+        // Save the game in progress whenever the tab may be going away
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.saveGame();
+        });
+        window.addEventListener('beforeunload', () => this.saveGame());
+    }
+
+    /**
+     * Fill the mode selector on the start overlay
+     */
+    setupModeSelect() {
+        const layoutSelect = document.getElementById('modeLayout');
+        const sizeSelect = document.getElementById('modeSize');
+        const difficultySelect = document.getElementById('modeDifficulty');
+
+        for (const [id, layout] of Object.entries(OBSTACLE_LAYOUTS)) {
+            layoutSelect.add(new Option(layout.name, id));
+        }
+        for (const size of BOARD_SIZES) {
+            sizeSelect.add(new Option(`${size}x${size}`, size));
+        }
+        for (const [id, difficulty] of Object.entries(DIFFICULTIES)) {
+            difficultySelect.add(new Option(difficulty.name, id));
+        }
+
+        this.syncModeSelect();
+
+        for (const id of ['modeWalls', 'modeLayout', 'modeSize', 'modePlayers']) {
+            document.getElementById(id).addEventListener('change', () => this.setMode());
+        }
+        difficultySelect.addEventListener('change', () => this.setDifficulty(difficultySelect.value));
+    }
+
+    /**
+     * Show the current mode and difficulty in the overlay selectors
+     */
+    syncModeSelect() {
+        document.getElementById('modeWalls').value = this.mode.wrap ? 'wrap' : 'solid';
+        document.getElementById('modePlayers').value = this.mode.players;
+        document.getElementById('modeLayout').value = this.mode.layout;
+        document.getElementById('modeSize').value = this.mode.size;
+        document.getElementById('modeDifficulty').value = this.difficulty;
+    }
+
+    /**
+     * Fill the drill picker on the tutorial overlay
+     */
+    setupDrillSelect() {
+        const select = document.getElementById('drillSelect');
+        DRILLS.forEach(drill => select.add(new Option(drill.id, drill.id)));
+        select.addEventListener('change', () => this.loadDrill(findDrill(select.value)));
+    }
+
+    /**
+     * Fill the theme picker in the settings panel
+     */
+    setupThemeSelect() {
+        const select = document.getElementById('themeSelect');
+        for (const [id, theme] of Object.entries(THEMES)) {
+            select.add(new Option(theme.name, id));
+        }
+        select.value = this.themeId;
+        select.addEventListener('change', () => this.setTheme(select.value));
+    }
+
+    /**
+     * Audio radar and reduced motion switches in the settings panel
+     */
+    setupAccessibilitySettings() {
+        const radarToggle = document.getElementById('radarToggle');
+        radarToggle.checked = this.sound.settings.radar;
+        radarToggle.addEventListener('change', () => this.sound.toggleRadar());
+
+        const motionToggle = document.getElementById('reducedMotionToggle');
+        motionToggle.checked = this.reducedMotion;
+        motionToggle.addEventListener('change', () => this.setReducedMotion(motionToggle.checked));
+    }
+
+    /**
+     * One switch per coach rule, highest priority first. Rebuilt whenever a
+     * rule is registered, so added rules get a switch too.
+     */
+    renderCoachSettings() {
+        const container = document.getElementById('coachRules');
+        container.innerHTML = '';
+        [...this.aiCoach.rules.values()]
+            .sort((a, b) => b.priority - a.priority)
+            .forEach(rule => {
+                const label = document.createElement('label');
+                const toggle = document.createElement('input');
+                toggle.type = 'checkbox';
+                toggle.checked = this.aiCoach.isRuleEnabled(rule.id);
+                toggle.addEventListener('change', () => this.aiCoach.setRuleEnabled(rule.id, toggle.checked));
+                const name = document.createElement('span');
+                name.dataset.rule = rule.id;
+                name.textContent = this.aiCoach.ruleName(rule).toLocaleUpperCase(this.i18n.locale);
+                label.append(toggle, ' ', name);
+                container.appendChild(label);
+            });
+    }
+
+    /**
+     * Fill the language picker in the settings panel and translate the page
+     */
+    setupLocaleSelect() {
+        const select = document.getElementById('localeSelect');
+        for (const [id, bundle] of Object.entries(LOCALES)) {
+            select.add(new Option(bundle.meta.name, id));
+        }
+        select.value = this.i18n.locale;
+        select.addEventListener('change', () => this.setLocale(select.value));
+        this.applyLocale();
+    }
+
+    /**
+     * Switch language, remember it and redraw every text on the page
+     */
+    setLocale(id) {
+        // The start-screen greeting is the one coach message worth redoing
+        const greeting = this.aiCoach.lastMessage === this.i18n.t('coach.intro');
+        this.i18n.setLocale(id);
+        this.applyLocale();
+        if (greeting) {
+            this.aiCoach.showMessage(this.i18n.t('coach.intro'), 'info');
+        }
+    }
+
+    /**
+     * Put the page in the current language: static text, direction (Arabic
+     * runs right to left), registry names in the pickers and the overlay
+     */
+    applyLocale() {
+        document.documentElement.lang = this.i18n.locale;
+        document.documentElement.dir = this.i18n.dir;
+        this.i18n.applyTo(document);
+
+        const relabel = (selectId, group, registry) => {
+            for (const option of document.getElementById(selectId).options) {
+                option.textContent = this.i18n.label(`${group}.${option.value}`, registry[option.value].name);
+            }
+        };
+        relabel('modeLayout', 'layout', OBSTACLE_LAYOUTS);
+        relabel('modeDifficulty', 'difficulty', DIFFICULTIES);
+        relabel('themeSelect', 'theme', THEMES);
+
+        this.renderCoachSettings();
+        this.aiCoach.relabel();
+        this.statsScreen.relabel();
+        this.input.relabel();
+        this.levelEditor.relabel();
+        this.achievementsScreen.relabel();
+        this.updateAutopilotStatus();
+        this.updateTutorialControls();
+
+        if (this.state === GAME_STATE.GAME_OVER) {
+            this.showGameOverScreen();
+        } else if (this.state === GAME_STATE.READY) {
+            this.showStartText();
+        }
+        this.updateUI();
+    }
+
+    /**
+     * Turn glow, pulsing and blinking off (or back on), remember it and redraw
+     */
+    setReducedMotion(enabled) {
+        this.reducedMotion = enabled;
+        localStorage.setItem('snakeReducedMotion', enabled ? '1' : '0');
+        this.applyTheme(this.themeId);
+        this.render();
+    }
+
+    /**
+     * Canvas glow strength: the theme's, or none with reduced motion
+     */
+    get glow() {
+        return this.reducedMotion ? 0 : this.theme.glow;
+    }
+
+    /**
+     * Switch theme, remember it and redraw
+     */
+    setTheme(id) {
+        this.applyTheme(id);
+        localStorage.setItem('snakeTheme', this.themeId);
+        this.render();
+        if (this.debrief && this.state === GAME_STATE.GAME_OVER) {
+            this.drawDebriefBoard(this.debrief);
+        }
+    }
+
+    /**
+     * Use a theme for the canvas and the page (CSS variables)
+     */
+    applyTheme(id) {
+        this.themeId = normalizeTheme(id);
+        this.theme = THEMES[this.themeId];
+
+        Object.entries(themeVariables(this.themeId)).forEach(([name, value]) => {
+            document.documentElement.style.setProperty(name, value);
+        });
+        document.body.classList.toggle('no-glow', this.glow === 0);
+        document.body.classList.toggle('reduced-motion', this.reducedMotion);
+    }
+
+    /**
+     * Apply the difficulty picked on the overlay (custom levels keep their own speed)
+     */
+    setDifficulty(id) {
+        this.difficulty = normalizeDifficulty(id);
+        localStorage.setItem('snakeDifficulty', this.difficulty);
+        this.highScore = this.stats.highScore(this.scoreDifficulty);
+        this.initializeGame();
+        this.updateUI();
+        this.render();
+    }
+
+    /**
+     * Apply the mode picked on the overlay and preview the new board
+     */
+    setMode() {
+        this.mode = normalizeMode({
+            wrap: document.getElementById('modeWalls').value === 'wrap',
+            layout: document.getElementById('modeLayout').value,
+            size: document.getElementById('modeSize').value,
+            players: document.getElementById('modePlayers').value
+        });
+        this.resetMatch();
+        this.storedMode.write(this.mode);
+
+        // Leaving a custom level or the tutorial - back to the regular start screen
+        if (this.level || this.drill) {
+            this.level = null;
+            this.drill = null;
+            this.updateTutorialControls();
+            this.showStartText();
+        }
+
+        this.setBoard(this.createBoardConfig());
+        this.initializeGame();
+        this.highScore = this.stats.highScore(this.scoreDifficulty);
+        this.updateUI();
+        this.render();
+    }
+
+    /**
+     * Play a custom level from the editor
+     */
+    loadLevel(level) {
+        this.stopGameLoop();
+        this.exitReplay();
+        this.resetMatch();
+        this.level = level;
+        this.drill = null;
+        this.updateTutorialControls();
+        this.setBoard(this.createBoardConfig());
+        this.initializeGame();
+        this.highScore = this.stats.highScore(this.scoreDifficulty);
+        this.state = GAME_STATE.READY;
+        this.disableControls();
+
+        this.showStartText();
+        document.getElementById('gameOverlay').classList.remove('hidden');
+
+        this.updateUI();
+        this.render();
+    }
+
+    /**
+     * Start a tutorial drill: its board on show, the goal on the overlay
+     * @param {Object} drill - Entry of DRILLS
+     */
+    loadDrill(drill) {
+        this.stopGameLoop();
+        this.exitReplay();
+        this.resetMatch();
+        this.level = null;
+        this.drill = drill;
+        this.setBoard(this.createBoardConfig());
+        this.initializeGame();
+        this.highScore = this.stats.highScore(this.scoreDifficulty);
+        this.state = GAME_STATE.READY;
+        this.disableControls();
+
+        this.updateTutorialControls();
+        this.showStartText();
+        document.getElementById('gameOverlay').classList.remove('hidden');
+
+        this.updateUI();
+        this.render();
+    }
+
+    /**
+     * Into the tutorial at the first drill not passed yet, or back out of it
+     * to the selected mode
+     */
+    toggleTutorial() {
+        if (!this.drill) {
+            this.loadDrill(this.drillProgress.current());
+            return;
+        }
+
+        this.stopGameLoop();
+        this.drill = null;
+        this.setBoard(this.createBoardConfig());
+        this.initializeGame();
+        this.highScore = this.stats.highScore(this.scoreDifficulty);
+        this.state = GAME_STATE.READY;
+        this.disableControls();
+
+        this.updateTutorialControls();
+        this.showStartText();
+
+        this.updateUI();
+        this.render();
+    }
+
+    /**
+     * Tutorial button and drill picker: passed drills ticked, the ones not
+     * yet unlocked greyed out. The overlay swaps the mode selector for the
+     * drill picker while a drill is on.
+     */
+    updateTutorialControls() {
+        document.getElementById('gameOverlay').classList.toggle('tutorial', !!this.drill);
+        document.getElementById('tutorialButton').textContent = this.i18n.t(this.drill ? 'tutorial.leave' : 'tutorial.button');
+
+        const select = document.getElementById('drillSelect');
+        for (const option of select.options) {
+            const mark = this.drillProgress.isPassed(option.value) ? '✅ ' : (this.drillProgress.isUnlocked(option.value) ? '' : '🔒 ');
+            option.textContent = mark + this.drillName(findDrill(option.value));
+            option.disabled = !this.drillProgress.isUnlocked(option.value);
+        }
+        if (this.drill) {
+            select.value = this.drill.id;
+        }
+    }
+
+    /**
+     * Drill's name in the player's language
+     */
+    drillName(drill) {
+        return this.i18n.t(`tutorial.drills.${drill.id}.name`);
+    }
+
+    /**
+     * Start overlay text for the selected mode, the custom level or the drill
+     */
+    showStartText() {
+        const t = key => this.i18n.t(key);
+        document.getElementById('debrief').classList.add('hidden');
+        document.getElementById('runNameEntry').classList.add('hidden');
+        if (this.drill) {
+            document.getElementById('overlayTitle').textContent = this.drillName(this.drill).toLocaleUpperCase(this.i18n.locale);
+            document.getElementById('overlayMessage').textContent = t(`tutorial.drills.${this.drill.id}.goal`);
+            document.getElementById('startButton').textContent = t('tutorial.start');
+            return;
+        }
+        document.getElementById('overlayTitle').textContent = this.level ? this.level.name.toUpperCase() : t('ui.overlayTitle');
+        document.getElementById('overlayMessage').textContent = this.level ? t('game.levelLoaded') : t('ui.overlayMessage');
+        document.getElementById('startButton').textContent = this.level ? t('ui.startLevel') : t('ui.startGame');
     }
 
     /**
-     * Handle keyboard input
+     * Open the level editor with the current level (or a blank board)
      */
-    handleKeyPress(e) {
-        // Prevent default scrolling for arrow keys
-        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', ' '].includes(e.key)) {
-            e.preventDefault();
+    openEditor() {
+        if (this.state === GAME_STATE.PLAYING) {
+            this.togglePause();
+        }
+        this.levelEditor.open(this.level || undefined);
+    }
+
+    /**
+     * Handle a command from any input device
+     * @param {Object} command - { type: 'turn', player, direction } or { type: 'pause' }
+     */
+    handleCommand(command) {
+        // Mute works anywhere
+        if (command.type === 'mute') {
+            this.toggleMute();
+            return;
+        }
+
+        // Editor, stats or achievements open - the game is hidden
+        if (document.querySelector('.container.editing, .container.viewing-stats, .container.viewing-achievements')) {
+            return;
         }
 
         // Only accept input during gameplay
@@ -101,331 +633,1306 @@ class SnakeGame {
             return;
         }
 
-        const currentDir = this.snake.direction;
+        if (command.type === 'pause') {
+            this.togglePause();
+            return;
+        }
+
+        // Autopilot or replay steers; only pause stays with the player
+        if (this.autopilotEnabled || this.replayPlayer) {
+            return;
+        }
+
+        // Turns queue up so two taps inside one tick both count (the queue
+        // rejects reversals). Player two only exists in versus.
+        const snake = this.world.snakes[command.player];
+        if (snake) {
+            this.inputQueues[command.player].push(DIRECTION[command.direction], snake.direction);
+        }
+    }
+
+    /**
+     * Start the game
+     */
+    startGame() {
+        // Coming from the game over screen - start from a fresh board (a
+        // passed drill leads on to the next one)
+        if (this.world.over || this.drillResult) {
+            if (this.match.over) {
+                this.resetMatch();
+            }
+            const next = this.drillResult && this.drillResult.passed && nextDrill(this.drill.id);
+            if (next) {
+                this.drill = next;
+                this.setBoard(this.createBoardConfig());
+                this.updateTutorialControls();
+            }
+            this.initializeGame();
+            this.updateUI();
+        }
+
+        // A new game takes the place of any saved one
+        this.savedGames.clear();
+        this.showResumeButton(false);
+
+        this.state = GAME_STATE.PLAYING;
+        this.hideOverlay();
+        this.enableControls();
+        // Only the player's own solo runs teach the coach their habits
+        this.aiCoach.reset(!this.versus && !this.autopilotUsed && !this.drill);
+        if (this.drill) {
+            this.aiCoach.followDrill(this.drill, this.drillView());
+        }
+        this.achievements.start();
+        this.startGameLoop();
+    }
+
+    /**
+     * Toggle pause state
+     */
+    togglePause() {
+        if (this.state === GAME_STATE.PLAYING) {
+            this.state = GAME_STATE.PAUSED;
+            this.stopGameLoop();
+            document.getElementById('pauseIcon').textContent = '▶';
+            this.aiCoach.showMessage(this.i18n.t('game.paused'), 'info');
+            this.sound.play('pause');
+            this.trackAchievements({ type: 'pause' });
+            this.saveGame();
+        } else if (this.state === GAME_STATE.PAUSED) {
+            // Replay finished - play it again from the top
+            if (this.replayPlayer && this.world.over) {
+                this.seekReplay(0);
+            }
+
+            this.state = GAME_STATE.PLAYING;
+            this.startGameLoop();
+            document.getElementById('pauseIcon').textContent = '⏸';
+            this.aiCoach.showMessage(this.i18n.t('game.resumed'), 'info');
+            this.sound.play('resume');
+        }
+    }
+
+    /**
+     * Save the game in progress so it survives a reload. Replays, demo
+     * games and drills are not saved.
+     */
+    saveGame() {
+        if ((this.state !== GAME_STATE.PLAYING && this.state !== GAME_STATE.PAUSED) ||
+            this.replayPlayer || this.autopilotEnabled || this.drill || this.world.over) {
+            return;
+        }
+
+        this.savedGames.save({
+            replay: this.recorder.log,
+            world: this.world,
+            setup: { mode: this.mode, level: this.level, difficulty: this.difficulty },
+            match: { wins: this.match.wins },
+            progress: { playTime: this.playTime, peakSpeed: this.peakSpeed, autopilotUsed: this.autopilotUsed }
+        });
+    }
+
+    /**
+     * Restore the saved game, paused, exactly where it was left
+     */
+    resumeGame() {
+        const saved = this.savedGames.load();
+        this.showResumeButton(false);
+        if (!saved) {
+            this.aiCoach.showMessage(this.i18n.t('game.restoreFailed'), 'danger');
+            return;
+        }
+
+        const { save, engine, world } = saved;
+        this.stopGameLoop();
+        this.exitReplay();
+
+        // Board, difficulty and match the game was started with
+        this.mode = normalizeMode(save.setup.mode);
+        this.level = save.setup.level || null;
+        this.drill = null;
+        this.updateTutorialControls();
+        this.difficulty = normalizeDifficulty(save.setup.difficulty);
+        this.match = { wins: [...save.match.wins], over: false };
+        this.syncModeSelect();
+        this.setBoard(save.replay.config);
+
+        // Simulation, rebuilt from the replay, and the run's progress
+        this.seed = save.replay.seed;
+        this.engine = engine;
+        this.world = world;
+        this.previousWorld = null;
+        this.accumulator = 0;
+        this.nextDirections = world.snakes.map(snake => snake.direction);
+        this.inputQueues = world.snakes.map(() => new InputQueue(CONFIG.inputBuffer));
+        this.recorder = ReplayRecorder.resume(save.replay, world);
+        this.playTime = save.progress.playTime;
+        this.peakSpeed = save.progress.peakSpeed;
+        this.autopilotUsed = save.progress.autopilotUsed === true;
+        this.highScore = this.stats.highScore(this.scoreDifficulty);
+        this.routes = [];
+        this.ghost = this.resumeGhost(save.replay.config.foodSequence, world.tick);
+
+        // Nothing from the game shown before the resume carries over
+        this.drillResult = null;
+        this.lastRun = null;
+        this.debrief = null;
+        document.getElementById('debrief').classList.add('hidden');
+        document.getElementById('runNameEntry').classList.add('hidden');
+
+        // Coach starts fresh: nothing it tracked before the reload still applies
+        this.aiCoach.reset(!this.versus && !this.autopilotUsed);
+        this.aiCoach.showMessage(this.i18n.t('game.restored'), 'info');
+
+        // So do the achievement tallies; the game comes back paused
+        this.achievements.start();
+        this.trackAchievements({ type: 'pause' });
+
+        this.state = GAME_STATE.PAUSED;
+        this.hideOverlay();
+        this.enableControls();
+        document.getElementById('pauseIcon').textContent = '▶';
+        this.updateUI();
+        this.render();
+    }
+
+    /**
+     * Show or hide "Resume game" on the start overlay
+     */
+    showResumeButton(visible) {
+        document.getElementById('resumeButton').classList.toggle('hidden', !visible);
+    }
+
+    /**
+     * Audio radar: a ping panned toward the food (higher when it is above the
+     * head) and a buzz from each side with a wall close by (louder when closer)
+     */
+    radarPing() {
+        const head = this.snake.body[0];
+        const clamp = value => Math.max(-1, Math.min(1, value));
+
+        let food = null;
+        if (this.food) {
+            const { dx, dy } = this.aiCoach.getOffset(head, this.food, this.grid);
+            food = { pan: clamp(dx / (this.grid.cols / 2)), rise: clamp(-dy / (this.grid.rows / 2)) };
+        }
+
+        const walls = [];
+        [[DIRECTION.LEFT, -1], [DIRECTION.RIGHT, 1]].forEach(([direction, pan]) => {
+            let cell = head;
+            for (let distance = 1; distance <= RADAR_RANGE; distance++) {
+                cell = this.aiCoach.moveCell(cell, direction, this.grid);
+                if (this.aiCoach.isWall(cell, this.grid)) {
+                    walls.push({ pan, distance });
+                    return;
+                }
+            }
+        });
+
+        this.sound.radar(food, walls);
+    }
+
+    /**
+     * Mute or unmute all sound
+     */
+    toggleMute() {
+        this.sound.toggleMute();
+        this.updateSoundControls();
+    }
+
+    /**
+     * Toggle the suggested-path overlay
+     */
+    togglePath() {
+        this.showPath = !this.showPath;
+        localStorage.setItem('snakeShowPath', this.showPath ? '1' : '0');
+        this.updateUI();
+        this.render();
+    }
+
+    /**
+     * Toggle the AI agent on or off
+     */
+    toggleAutopilot() {
+        this.autopilotEnabled = !this.autopilotEnabled;
+
+        if (this.autopilotEnabled) {
+            this.autopilotUsed = true;
+            this.aiCoach.learning = false;
+            this.updateAutopilotStatus();
+
+            // Nothing running yet - start a demo game
+            if (this.state === GAME_STATE.READY || this.state === GAME_STATE.GAME_OVER) {
+                this.restartGame();
+            }
+        } else {
+            clearTimeout(this.demoRestart);
+            this.demoRestart = null;
+            this.updateAutopilotStatus();
+        }
+
+        this.updateUI();
+    }
+
+    /**
+     * Coach status line naming the autopilot strategy while it plays
+     */
+    updateAutopilotStatus() {
+        const { id, name } = this.autopilot.strategy;
+        this.aiCoach.setStatus(this.autopilotEnabled
+            ? this.i18n.t('game.autopilot', { strategy: this.i18n.label(`autopilot.${id}`, name) })
+            : '');
+    }
+
+    /**
+     * Switch the strategy the autopilot plays with
+     */
+    setAutopilotStrategy(id) {
+        this.autopilot.setStrategy(id);
+        this.updateAutopilotStatus();
+    }
+
+    /**
+     * Restart the game
+     */
+    restartGame() {
+        this.stopGameLoop();
+        this.resetMatch();
+        if (this.replayPlayer) {
+            this.exitReplay();
+            this.setBoard(this.createBoardConfig());
+        }
+        this.initializeGame();
+        this.updateUI();
+        this.startGame();
+    }
+
+    /**
+     * Clear the versus round wins
+     */
+    resetMatch() {
+        this.match = { wins: [0, 0], over: false };
+    }
+
+    /**
+     * Watch a recorded game through the normal update/render path
+     */
+    watchReplay(log) {
+        let player;
+        try {
+            player = new ReplayPlayer(log);
+        } catch (err) {
+            this.aiCoach.showMessage(`❌ ${this.i18n.error(err)}`, 'danger');
+            return;
+        }
+
+        this.stopGameLoop();
+        this.replayPlayer = player;
+        this.setBoard(player.log.config);
+        this.aiCoach.reset();
+        this.routes = [];
+        this.ghost = null;
+        this.seekReplay(0);
+
+        document.getElementById('replayViewer').classList.remove('hidden');
+        document.getElementById('pauseIcon').textContent = '⏸';
+        this.hideOverlay();
+        this.enableControls();
+
+        this.state = GAME_STATE.PLAYING;
+        this.startGameLoop();
+    }
+
+    /**
+     * Jump to a tick by re-simulating from the recorded start
+     */
+    seekReplay(tick) {
+        this.engine = this.replayPlayer.createEngine();
+        this.world = this.replayPlayer.initialState();
+        this.previousWorld = null;
+        this.accumulator = 0;
+
+        while (this.world.tick < tick && !this.world.over) {
+            const directions = this.world.snakes.map((snake, player) =>
+                this.replayPlayer.inputAt(this.world.tick + 1, player) || snake.direction
+            );
+            this.world = this.engine.step(this.world, { directions }).state;
+        }
+
+        this.render();
+        this.updateUI();
+    }
+
+    /**
+     * Advance a paused replay by exactly one tick
+     */
+    stepReplay() {
+        if (!this.replayPlayer || this.world.over || this.world.tick >= this.replayPlayer.length) return;
+
+        if (this.state === GAME_STATE.PLAYING) {
+            this.togglePause();
+        }
+
+        this.previousWorld = this.world;
+        this.accumulator = 0;
+        this.update();
+        this.render();
+    }
+
+    /**
+     * Change replay speed (0.5x - 4x)
+     */
+    setPlaybackRate(rate) {
+        this.playbackRate = rate;
+    }
+
+    /**
+     * Replay reached its last tick - hold the final frame
+     */
+    finishReplay(cause) {
+        this.stopGameLoop();
+        this.state = GAME_STATE.PAUSED;
+        document.getElementById('pauseIcon').textContent = '▶';
+        if (this.versus) {
+            this.aiCoach.versusOver(this.winnerLabel(), false);
+        } else if (cause) {
+            this.aiCoach.gameOver(this.score, cause);
+        } else {
+            // Only a passed drill stops without a crash
+            this.aiCoach.drillOver(true);
+        }
+        this.updateUI();
+    }
+
+    /**
+     * Leave the replay viewer and return to the start screen
+     */
+    closeReplay() {
+        this.stopGameLoop();
+        this.exitReplay();
+        this.setBoard(this.createBoardConfig());
+        this.initializeGame();
+        this.state = GAME_STATE.READY;
+        this.render();
+        this.updateUI();
+        this.disableControls();
+        document.getElementById('gameOverlay').classList.remove('hidden');
+    }
+
+    /**
+     * Drop replay mode without touching the board
+     */
+    exitReplay() {
+        this.replayPlayer = null;
+        document.getElementById('replayViewer').classList.add('hidden');
+    }
+
+    /**
+     * Download the current or last replay as JSON
+     */
+    exportReplay() {
+        const log = this.replayPlayer ? this.replayPlayer.log : this.lastReplay;
+        if (!log) return;
+
+        const blob = new Blob([JSON.stringify(log)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `snake-replay-${log.result.score}-${log.recordedAt.slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Load a replay from a JSON file and start watching it
+     */
+    importReplay(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        file.text()
+            .then(text => this.watchReplay(JSON.parse(text)))
+            .catch(() => this.aiCoach.showMessage(this.i18n.t('game.replayUnreadable'), 'danger'));
+    }
+
+    /**
+     * Main game loop: renders every animation frame, ticks the simulation
+     * at a fixed rate. Time owed to the simulation is kept across a pause,
+     * so resuming picks up exactly mid-tick.
+     */
+    startGameLoop() {
+        this.lastFrameTime = null;
+
+        const frame = (time) => {
+            this.gameLoop = requestAnimationFrame(frame);
+            this.advance(time);
+        };
+        this.gameLoop = requestAnimationFrame(frame);
+    }
+
+    /**
+     * Stop game loop
+     */
+    stopGameLoop() {
+        if (this.gameLoop) {
+            cancelAnimationFrame(this.gameLoop);
+            this.gameLoop = null;
+        }
+    }
+
+    /**
+     * Length of one simulation tick in ms (replays run at their own playback rate)
+     */
+    get tickLength() {
+        return this.replayPlayer ? this.speed / this.playbackRate : this.speed;
+    }
+
+    /**
+     * Run the ticks that are due by this frame, then draw between the last two
+     */
+    advance(time) {
+        if (this.lastFrameTime === null) {
+            this.lastFrameTime = time;
+        }
+        this.accumulator += Math.min(time - this.lastFrameTime, MAX_FRAME_GAP);
+        this.lastFrameTime = time;
+
+        // Game over or replay end stops the loop partway through
+        while (this.gameLoop && this.accumulator >= this.tickLength) {
+            this.accumulator -= this.tickLength;
+            this.previousWorld = this.world;
+            this.update();
+        }
+
+        this.render(this.gameLoop ? this.accumulator / this.tickLength : 1);
+    }
+
+    /**
+     * Update game state (called every frame)
+     */
+    update() {
+        // Replays feed the recorded inputs, the agent may pick the moves,
+        // otherwise players' buffered key presses steer
+        this.world.snakes.forEach((snake, player) => {
+            if (!snake.alive) return;
+
+            if (this.replayPlayer) {
+                this.nextDirections[player] = this.replayPlayer.inputAt(this.world.tick + 1, player) || snake.direction;
+            } else if (!this.autopilotEnabled) {
+                // One buffered turn per tick
+                this.nextDirections[player] = this.inputQueues[player].next() || snake.direction;
+            } else {
+                this.nextDirections[player] = this.autopilot.chooseDirection({
+                    head: snake.body[0],
+                    direction: snake.direction,
+                    body: snake.body,
+                    food: this.food,
+                    grid: this.gridFor(player)
+                });
+            }
+        });
+
+        const tickLength = this.world.speed;
+        const { state, events } = this.engine.step(this.world, { directions: this.nextDirections });
+        this.world = state;
+        this.playTime += tickLength;
+        this.peakSpeed = Math.max(this.peakSpeed, this.engine.getSpeedLevel(state.speed));
+
+        if (this.replayPlayer) {
+            this.updateReplayControls();
+        } else {
+            this.recorder.record(state);
+        }
+
+        // The ghost keeps pace tick for tick
+        if (this.ghost) {
+            this.ghost.step();
+            this.updateGhostHud();
+        }
+
+        for (const event of events) {
+            switch (event.type) {
+                case 'eat':
+                case 'item':
+                    this.sound.play(event.type === 'eat' ? 'eat' : 'pickup');
+                    this.updateUI();
+                    if (event.type === 'eat') {
+                        this.trackAchievements({ type: 'eat' });
+                    }
+                    break;
+                case 'speed':
+                    // Only speeding up gets the rising tone, not a slow-down starting
+                    if (event.speed < tickLength) {
+                        this.sound.speedUp(this.engine.getSpeedLevel(event.speed));
+                    }
+                    break;
+                case 'over':
+                    this.sound.crash(event.cause);
+                    this.gameOver(event.cause);
+                    return;
+            }
+        }
+
+        // A passed drill's recording ends without a crash
+        if (this.replayPlayer && state.tick >= this.replayPlayer.length) {
+            this.finishReplay(null);
+            return;
+        }
+
+        this.trackAchievements({
+            type: 'tick',
+            length: this.snake.body.length,
+            topSpeed: state.speed <= this.config.minSpeed,
+            tickLength
+        });
+
+        // Bassline: one note per tick, so it speeds up with the game
+        this.sound.step(state.speed);
+        if (this.sound.settings.radar && !this.versus && state.tick % RADAR_INTERVAL === 0) {
+            this.radarPing();
+        }
+
+        this.updateItemHud();
 
-        switch (e.key) {
-            case 'ArrowUp':
-                // Prevent 180-degree turns
-                if (currentDir.y === 0) {
-                    this.snake.nextDirection = DIRECTION.UP;
-                }
-                break;
-            case 'ArrowDown':
-                if (currentDir.y === 0) {
-                    this.snake.nextDirection = DIRECTION.DOWN;
-                }
-                break;
-            case 'ArrowLeft':
-                if (currentDir.x === 0) {
-                    this.snake.nextDirection = DIRECTION.LEFT;
-                }
-                break;
-            case 'ArrowRight':
-                if (currentDir.x === 0) {
-                    this.snake.nextDirection = DIRECTION.RIGHT;
-                }
-                break;
-            case ' ':
-                this.togglePause();
-                break;
+        // AI Coach analysis. Each rule's cooldown covers both snakes, so the
+        // snake analyzed first takes turns in versus play.
+        const items = this.world.items.map(item => ({ ...item, remaining: item.expires - this.world.tick }));
+        this.routes = [];
+        const snakes = this.world.snakes;
+        for (let i = 0; i < snakes.length; i++) {
+            const player = (this.world.tick + i) % snakes.length;
+            const snake = snakes[player];
+            if (!snake.alive) continue;
+
+            this.aiCoach.analyze(
+                {
+                    head: snake.body[0],
+                    direction: snake.direction,
+                    label: this.versus ? this.playerLabel(player) : null
+                },
+                this.gridFor(player),
+                snake.body,
+                this.food,
+                items
+            );
+            this.routes[player] = this.aiCoach.route;
+        }
+
+        // Tutorial: the coach talks the player through the drill, which may end here
+        if (this.drill && !this.replayPlayer) {
+            this.checkDrill();
         }
     }
 
     /**
-     * Start the game
+     * What a drill's steps and checks look at (see drills.js)
      */
-    startGame() {
-        this.state = GAME_STATE.PLAYING;
-        this.hideOverlay();
-        this.enableControls();
-        this.aiCoach.reset();
-        this.startGameLoop();
+    drillView() {
+        const snake = this.snake;
+        return { state: this.world, head: snake.body[0], direction: snake.direction, body: snake.body, grid: this.grid };
     }
 
     /**
-     * Toggle pause state
+     * End the drill if its goal is reached or broken, otherwise let the coach
+     * explain the next step when its moment comes
      */
-    togglePause() {
-        if (this.state === GAME_STATE.PLAYING) {
-            this.state = GAME_STATE.PAUSED;
-            this.stopGameLoop();
-            document.getElementById('pauseIcon').textContent = '▶';
-            this.aiCoach.showMessage('⏸ Game Paused', 'info');
-        } else if (this.state === GAME_STATE.PAUSED) {
-            this.state = GAME_STATE.PLAYING;
-            this.startGameLoop();
-            document.getElementById('pauseIcon').textContent = '⏸';
-            this.aiCoach.showMessage('▶ Resumed! Stay focused!', 'info');
+    checkDrill() {
+        const view = this.drillView();
+        const result = this.drill.check(view, this.aiCoach);
+        if (!result) {
+            this.aiCoach.followDrill(this.drill, view);
+            return;
+        }
+
+        if (result.passed) {
+            this.sound.crash('win');
+        } else {
+            this.sound.play('danger');
         }
+        this.finishDrill(result.passed, result.reason);
     }
 
     /**
-     * Restart the game
+     * Handle the end of a drill: note the attempt and show the result
+     * @param {boolean} passed - Whether the goal was reached
+     * @param {string} reason - Why it failed (crash cause or the drill's own)
      */
-    restartGame() {
+    finishDrill(passed, reason) {
+        this.state = GAME_STATE.GAME_OVER;
         this.stopGameLoop();
-        this.score = 0;
-        this.speed = CONFIG.initialSpeed;
-        this.initializeGame();
+        this.lastReplay = this.recorder.finish(this.world);
+        this.debrief = null;
+        this.lastRun = null;
+
+        // The autopilot passing a drill is no proof the player can
+        if (!this.autopilotUsed) {
+            this.drillProgress.record(this.drill.id, passed);
+        }
+        this.drillResult = { passed, reason: reason || null };
+        this.aiCoach.drillOver(passed, reason);
+
+        this.updateTutorialControls();
         this.updateUI();
-        this.startGame();
+        this.showGameOverScreen();
     }
 
     /**
-     * Main game loop
+     * Feed a game event to the achievements and announce what it unlocked.
+     * Only the player's own solo games count: no versus, autopilot, drills
+     * or replays.
+     * @param {Object} event - See achievements.js
      */
-    startGameLoop() {
-        this.gameLoop = setInterval(() => {
-            this.update();
-            this.render();
-        }, this.speed);
+    trackAchievements(event) {
+        if (this.versus || this.autopilotUsed || this.drill || this.replayPlayer) return;
+
+        this.achievements.handle(event).forEach(achievement => {
+            this.achievementsScreen.toast(achievement);
+            this.sound.play('achievement');
+        });
     }
 
     /**
-     * Stop game loop
+     * Board context for one snake: the other living snakes count as obstacles
      */
-    stopGameLoop() {
-        if (this.gameLoop) {
-            clearInterval(this.gameLoop);
-            this.gameLoop = null;
-        }
+    gridFor(player) {
+        if (!this.versus) return this.grid;
+
+        const others = this.world.snakes
+            .filter((snake, index) => index !== player && snake.alive)
+            .map(snake => snake.body);
+        return { ...this.grid, others };
     }
 
     /**
-     * Update game state (called every frame)
+     * 'P1'/'P2' in the player's language
      */
-    update() {
-        // Update snake direction
-        this.snake.direction = this.snake.nextDirection;
+    playerLabel(player) {
+        return this.i18n.t('game.player', { number: player + 1 });
+    }
 
-        // Calculate new head position
-        const head = this.snake.body[0];
-        const newHead = {
-            x: head.x + this.snake.direction.x,
-            y: head.y + this.snake.direction.y
-        };
+    /**
+     * Label of the round winner, null for a draw
+     */
+    winnerLabel() {
+        return this.world.winner === null ? null : this.playerLabel(this.world.winner);
+    }
 
-        // Check collisions
-        if (this.checkWallCollision(newHead)) {
-            this.gameOver('wall');
+    /**
+     * Handle game over
+     */
+    gameOver(cause) {
+        if (this.replayPlayer) {
+            this.finishReplay(cause);
             return;
         }
-
-        if (this.checkSelfCollision(newHead)) {
-            this.gameOver('self');
+        if (this.drill) {
+            this.finishDrill(false, cause);
             return;
         }
 
-        // Move snake
-        this.snake.body.unshift(newHead);
+        this.state = GAME_STATE.GAME_OVER;
+        this.stopGameLoop();
+        this.savedGames.clear();
+        this.lastReplay = this.recorder.finish(this.world);
+        this.debrief = null;
 
-        // Check food collision
-        if (newHead.x === this.food.x && newHead.y === this.food.y) {
-            this.eatFood();
+        if (this.versus) {
+            // Versus rounds count toward the match, not the high score
+            if (this.world.winner !== null) {
+                this.match.wins[this.world.winner]++;
+            }
+            this.match.over = this.match.wins.some(wins => wins >= MATCH_WINS);
+            this.aiCoach.versusOver(this.winnerLabel(), this.match.over);
         } else {
-            // Remove tail if no food eaten
-            this.snake.body.pop();
-        }
-
-        // AI Coach analysis
-        this.aiCoach.analyze(
-            {
-                head: this.snake.body[0],
-                direction: this.snake.direction
-            },
-            {
-                cols: CONFIG.gridSize,
-                rows: CONFIG.gridSize
-            },
-            this.snake.body
-        );
+            // Leaderboard and stats (player runs only)
+            this.trackAchievements({ type: 'over', cause });
+            this.lastRun = null;
+            if (!this.autopilotUsed) {
+                this.saveRun(cause);
+                // A new personal best is the ghost to race on this board
+                this.ghosts.offer(this.ghostKey(), this.lastReplay);
+            }
+            if (cause !== 'win') {
+                this.debrief = this.aiCoach.debrief(this.snake.direction);
+            }
+            this.aiCoach.gameOver(this.score, cause);
+        }
+
+        this.updateUI();
+        this.showGameOverScreen();
+
+        // Demo mode keeps playing on a loop
+        if (this.autopilotEnabled) {
+            this.demoRestart = setTimeout(() => {
+                this.demoRestart = null;
+                if (this.autopilotEnabled && this.state === GAME_STATE.GAME_OVER) {
+                    this.restartGame();
+                }
+            }, 2000);
+        }
+    }
+
+    /**
+     * Ghost for a new game: the best run on this board, if there is one and
+     * ghosts are on. Versus games, drills and replays race nobody.
+     */
+    createGhost() {
+        if (!this.showGhost || this.drill || this.replayPlayer || this.config.players > 1) {
+            return null;
+        }
+
+        const record = this.ghosts.best(this.ghostKey());
+        try {
+            return record ? new GhostRun(record) : null;
+        } catch (err) {
+            // Broken record - race nobody rather than break the game
+            return null;
+        }
     }
 
     /**
-     * Check if snake hit a wall
+     * Ghost for a restored game: the same best run it was racing, caught up
+     * to the saved tick (null if the best has changed since)
+     * @param {Array} foods - Apple order the saved game was dealt
      */
-    checkWallCollision(position) {
-        return position.x < 0 || 
-               position.x >= CONFIG.gridSize || 
-               position.y < 0 || 
-               position.y >= CONFIG.gridSize;
+    resumeGhost(foods, tick) {
+        const ghost = foods ? this.createGhost() : null;
+        if (!ghost || JSON.stringify(ghost.foods) !== JSON.stringify(foods)) {
+            return null;
+        }
+        ghost.seek(tick);
+        return ghost;
     }
 
     /**
-     * Check if snake hit itself
+     * Board the current game's best run is filed under
      */
-    checkSelfCollision(position) {
-        return this.snake.body.some(segment => 
-            segment.x === position.x && segment.y === position.y
-        );
+    ghostKey() {
+        return ghostKey({ mode: this.mode, level: this.level, difficulty: this.difficulty });
     }
 
     /**
-     * Handle food consumption
+     * Turn ghost racing on or off and remember it. Turning it on shows up
+     * from the next game.
      */
-    eatFood() {
-        this.score += 10;
-        this.food = this.generateFood();
-        
-        // Increase speed (decrease interval)
-        if (this.speed > CONFIG.minSpeed) {
-            this.speed = Math.max(CONFIG.minSpeed, this.speed - CONFIG.speedIncrement);
-            this.stopGameLoop();
-            this.startGameLoop();
+    setShowGhost(enabled) {
+        this.showGhost = enabled;
+        localStorage.setItem('snakeShowGhost', enabled ? '1' : '0');
+        if (!enabled) {
+            this.ghost = null;
+        } else if (this.state === GAME_STATE.READY) {
+            this.initializeGame();
         }
-        
         this.updateUI();
+        this.render();
     }
 
     /**
-     * Generate new food position (not on snake)
+     * Live score difference to the ghost at the same tick
      */
-    generateFood() {
-        let newFood;
-        let isValid = false;
+    updateGhostHud() {
+        document.getElementById('ghostDisplay').classList.toggle('hidden', !this.ghost);
+        if (!this.ghost) return;
 
-        while (!isValid) {
-            newFood = {
-                x: Math.floor(Math.random() * CONFIG.gridSize),
-                y: Math.floor(Math.random() * CONFIG.gridSize)
-            };
+        const delta = this.score - this.ghost.snake.score;
+        const value = document.getElementById('ghostDelta');
+        value.textContent = new Intl.NumberFormat(this.i18n.locale, { signDisplay: 'exceptZero' }).format(delta);
+        value.dataset.trend = delta > 0 ? 'ahead' : (delta < 0 ? 'behind' : 'even');
+    }
 
-            // Check if food spawns on snake
-            isValid = !this.snake.body.some(segment => 
-                segment.x === newFood.x && segment.y === newFood.y
-            );
-        }
+    /**
+     * Add the finished solo run to the stats store
+     */
+    saveRun(cause) {
+        const run = {
+            id: Date.now(),
+            name: localStorage.getItem('snakePlayerName') || 'YOU',
+            score: this.score,
+            length: this.snake.body.length,
+            duration: this.playTime,
+            peakSpeed: this.peakSpeed,
+            board: this.describeBoard(),
+            difficulty: this.scoreDifficulty,
+            cause,
+            date: new Date().toISOString()
+        };
 
-        return newFood;
+        this.lastRun = { id: run.id, rank: this.stats.addRun(run) };
+        this.highScore = this.stats.highScore(run.difficulty);
     }
 
     /**
-     * Handle game over
+     * Put initials on the last run (and remember them for the next one)
      */
-    gameOver(cause) {
-        this.state = GAME_STATE.GAME_OVER;
-        this.stopGameLoop();
-        
-        // Update high score
-        if (this.score > this.highScore) {
-            this.highScore = this.score;
-            this.saveHighScore();
+    renameRun(value) {
+        const name = value.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+        if (!this.lastRun || !name) return;
+
+        this.stats.rename(this.lastRun.id, name);
+        localStorage.setItem('snakePlayerName', name);
+    }
+
+    /**
+     * The board for the leaderboard (the stats screen words it)
+     */
+    describeBoard() {
+        if (this.level) {
+            return { level: this.level.name };
         }
-        
-        this.updateUI();
-        this.aiCoach.gameOver(this.score, cause);
-        this.showGameOverScreen();
+        const { size, layout, wrap } = this.mode;
+        return { size, layout, wrap };
     }
 
     /**
      * Render game graphics
+     * @param {number} alpha - Progress from the previous tick to the current one (0-1)
      */
-    render() {
+    render(alpha = 1) {
         // Clear canvas
-        this.ctx.fillStyle = '#000000';
+        this.ctx.fillStyle = this.theme.canvas.background;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
         // Draw grid (subtle)
         this.drawGrid();
 
-        // Draw food
+        // Draw static obstacles, and the border a drill keeps the player out of
+        this.drawObstacles();
+        if (this.drill && this.drill.margin) {
+            this.drawDrillMargin(this.drill.margin);
+        }
+
+        // Draw coach's suggested path (optional)
+        if (this.showPath) {
+            this.drawPath();
+        }
+
+        // Draw food and pickups
         this.drawFood();
+        this.drawItems();
+
+        // Draw the ghost under the snakes, until it crashes
+        if (this.ghost && this.ghost.snake.alive) {
+            const previous = this.ghost.previous && this.ghost.previous.snakes[0];
+            this.drawSnake(this.ghost.snake, this.theme.canvas.snakes[0], previous, alpha, 'ghost');
+        }
+
+        // Draw snakes
+        this.world.snakes.forEach((snake, player) => {
+            const previous = this.previousWorld && this.previousWorld.snakes[player];
+            this.drawSnake(snake, this.theme.canvas.snakes[player], previous, alpha);
+        });
 
-        // Draw snake
-        this.drawSnake();
+        // Post-effect over the finished frame
+        if (this.theme.scanlines) {
+            this.drawScanlines();
+        }
     }
 
     /**
      * Draw subtle grid lines
      */
     drawGrid() {
-        this.ctx.strokeStyle = 'rgba(0, 255, 65, 0.1)';
+        this.ctx.strokeStyle = this.theme.canvas.grid;
         this.ctx.lineWidth = 1;
 
         // Vertical lines
-        for (let x = 0; x <= CONFIG.gridSize; x++) {
+        for (let x = 0; x <= this.config.gridSize; x++) {
             this.ctx.beginPath();
-            this.ctx.moveTo(x * CONFIG.cellSize, 0);
-            this.ctx.lineTo(x * CONFIG.cellSize, this.canvas.height);
+            this.ctx.moveTo(x * this.config.cellSize, 0);
+            this.ctx.lineTo(x * this.config.cellSize, this.canvas.height);
             this.ctx.stroke();
         }
 
         // Horizontal lines
-        for (let y = 0; y <= CONFIG.gridSize; y++) {
+        for (let y = 0; y <= this.config.gridSize; y++) {
             this.ctx.beginPath();
-            this.ctx.moveTo(0, y * CONFIG.cellSize);
-            this.ctx.lineTo(this.canvas.width, y * CONFIG.cellSize);
+            this.ctx.moveTo(0, y * this.config.cellSize);
+            this.ctx.lineTo(this.canvas.width, y * this.config.cellSize);
             this.ctx.stroke();
         }
     }
 
     /**
-     * Draw snake with gradient effect
+     * Draw the mode's obstacle layout
+     */
+    drawObstacles() {
+        const size = this.config.cellSize;
+        this.ctx.fillStyle = this.theme.canvas.obstacle;
+        this.ctx.strokeStyle = this.theme.canvas.obstacleEdge;
+        this.ctx.lineWidth = 1;
+
+        (this.config.obstacles || []).forEach(cell => {
+            this.ctx.fillRect(cell.x * size, cell.y * size, size, size);
+            this.ctx.strokeRect(cell.x * size + 0.5, cell.y * size + 0.5, size - 1, size - 1);
+        });
+    }
+
+    /**
+     * Tint the border cells a drill forbids
+     */
+    drawDrillMargin(margin) {
+        const size = this.config.cellSize;
+        this.ctx.fillStyle = this.theme.canvas.mistake;
+        this.ctx.globalAlpha = 0.15;
+
+        for (let x = 0; x < this.grid.cols; x++) {
+            for (let y = 0; y < this.grid.rows; y++) {
+                if (isInMargin({ x, y }, this.grid, margin)) {
+                    this.ctx.fillRect(x * size, y * size, size, size);
+                }
+            }
+        }
+        this.ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draw the coach's routes to the food as faint trails
+     */
+    drawPath() {
+        this.ctx.fillStyle = this.theme.canvas.path;
+        const size = this.config.cellSize / 3;
+
+        this.routes.forEach(route => {
+            if (!route) return;
+
+            route.forEach(cell => {
+                this.ctx.fillRect(
+                    cell.x * this.config.cellSize + size,
+                    cell.y * this.config.cellSize + size,
+                    size,
+                    size
+                );
+            });
+        });
+    }
+
+    /**
+     * Draw a snake with gradient effect (crashed snakes are dimmed)
+     * @param {Object} snake - Engine snake
+     * @param {string} color - Hex color for the head (from the theme)
+     * @param {Object} previous - Same snake one tick earlier, if known
+     * @param {number} alpha - How far to slide from the previous cells (0-1)
+     * @param {string} style - 'solid', or 'ghost' for the best run racing
+     *                         alongside: faint and without glow
      */
-    drawSnake() {
-        this.snake.body.forEach((segment, index) => {
-            const x = segment.x * CONFIG.cellSize;
-            const y = segment.y * CONFIG.cellSize;
+    drawSnake(snake, color, previous, alpha, style = 'solid') {
+        const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+        const player = this.world.snakes.indexOf(snake);
+        const ghost = this.engine.hasEffect(this.world, 'ghost', player);
+        const racing = style === 'ghost';
+        const fade = racing || !snake.alive ? 0.3 : ghost ? 0.5 : 1;
+        const glow = racing || !snake.alive ? 0 : this.glow;
+
+        snake.body.forEach((segment, index) => {
+            const from = previous && previous.body[index];
+            const cell = this.interpolate(from, segment, alpha);
+            const x = cell.x * this.config.cellSize;
+            const y = cell.y * this.config.cellSize;
 
             // Head is brightest, tail fades
-            const opacity = 1 - (index / this.snake.body.length) * 0.5;
+            const opacity = (1 - (index / snake.body.length) * 0.5) * fade;
             
             if (index === 0) {
                 // Snake head - brighter with glow
-                this.ctx.fillStyle = '#00ff41';
-                this.ctx.shadowBlur = 10;
-                this.ctx.shadowColor = '#00ff41';
+                this.ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${fade})`;
+                this.ctx.shadowBlur = 10 * glow;
+                this.ctx.shadowColor = color;
             } else {
                 // Body segments
-                this.ctx.fillStyle = `rgba(0, 255, 65, ${opacity})`;
-                this.ctx.shadowBlur = 5;
+                this.ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${opacity})`;
+                this.ctx.shadowBlur = 5 * glow;
             }
 
-            // Draw rounded rectangle
-            this.ctx.fillRect(x + 1, y + 1, CONFIG.cellSize - 2, CONFIG.cellSize - 2);
+            this.drawSegment(x, y, index === 0 ? snake.direction : null);
         });
 
         // Reset shadow
         this.ctx.shadowBlur = 0;
     }
 
+    /**
+     * One snake segment in the theme's shape, in the current fill style
+     * @param {Object|null} heading - Direction of the head, null for body segments
+     */
+    drawSegment(x, y, heading) {
+        const size = this.config.cellSize;
+
+        switch (this.theme.segment) {
+            case 'rounded':
+                this.ctx.beginPath();
+                this.ctx.roundRect(x + 1, y + 1, size - 2, size - 2, size / 3);
+                this.ctx.fill();
+                break;
+            case 'sprite':
+                this.drawSprite(heading ? SPRITES.head : SPRITES.body, x, y, heading);
+                break;
+            default:
+                this.ctx.fillRect(x + 1, y + 1, size - 2, size - 2);
+        }
+    }
+
+    /**
+     * Pixel sprite scaled to a cell, turned to face the heading
+     */
+    drawSprite(rows, x, y, heading) {
+        const size = this.config.cellSize;
+        const pixel = size / rows.length;
+        const color = this.ctx.fillStyle;
+
+        this.ctx.save();
+        this.ctx.translate(x + size / 2, y + size / 2);
+        if (heading) {
+            this.ctx.rotate(Math.atan2(heading.y, heading.x));
+        }
+
+        rows.forEach((row, py) => {
+            [...row].forEach((value, px) => {
+                if (value === '0') return;
+                this.ctx.fillStyle = value === '2' ? this.theme.canvas.background : color;
+                this.ctx.fillRect(px * pixel - size / 2, py * pixel - size / 2, pixel, pixel);
+            });
+        });
+
+        this.ctx.restore();
+    }
+
+    /**
+     * CRT look: dark scanlines every third row and darker corners
+     */
+    drawScanlines() {
+        const { width, height } = this.canvas;
+
+        if (!this.scanlinePattern) {
+            const tile = document.createElement('canvas');
+            tile.width = 1;
+            tile.height = 3;
+            const tileCtx = tile.getContext('2d');
+            tileCtx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+            tileCtx.fillRect(0, 2, 1, 1);
+            this.scanlinePattern = this.ctx.createPattern(tile, 'repeat');
+        }
+        this.ctx.fillStyle = this.scanlinePattern;
+        this.ctx.fillRect(0, 0, width, height);
+
+        const vignette = this.ctx.createRadialGradient(width / 2, height / 2, width * 0.35, width / 2, height / 2, width * 0.75);
+        vignette.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        vignette.addColorStop(1, 'rgba(0, 0, 0, 0.45)');
+        this.ctx.fillStyle = vignette;
+        this.ctx.fillRect(0, 0, width, height);
+    }
+
+    /**
+     * Position between a segment's previous and current cell
+     */
+    interpolate(from, to, alpha) {
+        // New tail segment, or a wrap-around jump across the board: no slide
+        if (!from || Math.abs(to.x - from.x) + Math.abs(to.y - from.y) !== 1) {
+            return to;
+        }
+
+        return {
+            x: from.x + (to.x - from.x) * alpha,
+            y: from.y + (to.y - from.y) * alpha
+        };
+    }
+
     /**
      * Draw food with pulsing effect
      */
     drawFood() {
-        const x = this.food.x * CONFIG.cellSize;
-        const y = this.food.y * CONFIG.cellSize;
+        if (!this.food) return;
 
-        // Pulsing red food
-        this.ctx.fillStyle = '#ff4444';
-        this.ctx.shadowBlur = 15;
-        this.ctx.shadowColor = '#ff4444';
+        const x = this.food.x * this.config.cellSize;
+        const y = this.food.y * this.config.cellSize;
+
+        // Pulsing red food, one beat every ~1.2s (steady with reduced motion)
+        const pulse = this.reducedMotion ? 1 : (Math.sin(performance.now() / 200) + 1) / 2;
+        this.ctx.fillStyle = this.theme.canvas.food;
+        this.ctx.shadowBlur = (10 + pulse * 10) * this.glow;
+        this.ctx.shadowColor = this.theme.canvas.food;
         
         // Draw as circle
         this.ctx.beginPath();
         this.ctx.arc(
-            x + CONFIG.cellSize / 2,
-            y + CONFIG.cellSize / 2,
-            CONFIG.cellSize / 2 - 2,
+            x + this.config.cellSize / 2,
+            y + this.config.cellSize / 2,
+            Math.max(1, this.config.cellSize / 2 - 2 - (1 - pulse) * this.config.cellSize * 0.1),
             0,
             Math.PI * 2
         );
         this.ctx.fill();
 
+        if (this.theme.canvas.foodOutline) {
+            this.ctx.strokeStyle = this.theme.canvas.foodOutline;
+            this.ctx.lineWidth = 2;
+            this.ctx.stroke();
+        }
+
         // Reset shadow
         this.ctx.shadowBlur = 0;
     }
 
+    /**
+     * Draw bonus fruit and power-ups; each type has its own shape.
+     * Items blink during their last 10 ticks (fade instead with reduced motion).
+     */
+    drawItems() {
+        const cell = this.config.cellSize;
+        const now = performance.now();
+
+        (this.world.items || []).forEach(item => {
+            const type = ITEM_TYPES[item.type];
+            const cx = item.x * cell + cell / 2;
+            const cy = item.y * cell + cell / 2;
+            const radius = cell / 2 - 2;
+
+            const expiring = item.expires - this.world.tick <= 10;
+            if (expiring && !this.reducedMotion && Math.floor(now / 150) % 2 === 0) {
+                return;
+            }
+            const opacity = expiring && this.reducedMotion ? 0.4 : 1;
+            this.ctx.globalAlpha = opacity;
+
+            const color = this.theme.canvas.items || type.color;
+            this.ctx.fillStyle = color;
+            this.ctx.strokeStyle = color;
+            this.ctx.shadowColor = color;
+            this.ctx.shadowBlur = 12 * this.glow;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+
+            switch (item.type) {
+                case 'bonus':
+                    // Gold fruit
+                    this.ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+                    this.ctx.fill();
+                    break;
+                case 'slow':
+                    // Ring
+                    this.ctx.arc(cx, cy, radius - 1, 0, Math.PI * 2);
+                    this.ctx.stroke();
+                    break;
+                case 'shrink':
+                    // Diamond
+                    this.ctx.moveTo(cx, cy - radius);
+                    this.ctx.lineTo(cx + radius, cy);
+                    this.ctx.lineTo(cx, cy + radius);
+                    this.ctx.lineTo(cx - radius, cy);
+                    this.ctx.closePath();
+                    this.ctx.fill();
+                    break;
+                case 'ghost':
+                    // Faint disc
+                    this.ctx.globalAlpha = opacity * 0.5;
+                    this.ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+                    this.ctx.fill();
+                    this.ctx.globalAlpha = opacity;
+                    break;
+            }
+
+            // Icon on top when cells are big enough to read it
+            if (cell >= 16) {
+                this.ctx.shadowBlur = 0;
+                this.ctx.font = `${Math.floor(cell * 0.6)}px sans-serif`;
+                this.ctx.textAlign = 'center';
+                this.ctx.textBaseline = 'middle';
+                this.ctx.fillText(type.icon, cx, cy + 1);
+            }
+        });
+
+        this.ctx.globalAlpha = 1;
+        this.ctx.shadowBlur = 0;
+    }
+
+    /**
+     * Timers for the item on the board and any running power-ups
+     */
+    updateItemHud() {
+        const hud = document.getElementById('itemHud');
+        const oneDecimal = new Intl.NumberFormat(this.i18n.locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+        const seconds = ticks => this.i18n.t('game.seconds', { seconds: oneDecimal.format(ticks * this.speed / 1000) });
+        const label = (player, text) => (this.versus ? `${this.playerLabel(player)} ${text}` : text);
+        const name = type => this.i18n.label(`item.${type}`, ITEM_TYPES[type].name);
+
+        const chips = [
+            ...(this.world.items || []).map(item =>
+                `${ITEM_TYPES[item.type].icon} ${name(item.type)} ${seconds(item.expires - this.world.tick)}`
+            ),
+            ...(this.world.effects || []).map(effect =>
+                `${ITEM_TYPES[effect.type].icon} ${label(effect.snake, name(effect.type).toLocaleUpperCase(this.i18n.locale))} ${seconds(effect.until - this.world.tick)}`
+            )
+        ];
+
+        hud.innerHTML = '';
+        chips.forEach(text => {
+            const chip = document.createElement('span');
+            chip.className = 'item-chip';
+            chip.textContent = text;
+            hud.appendChild(chip);
+        });
+        hud.classList.toggle('hidden', chips.length === 0);
+    }
+
+    /**
+     * Mute button, volume slider and music toggle from the sound settings
+     */
+    updateSoundControls() {
+        const { volume, muted, music } = this.sound.settings;
+
+        const muteButton = document.getElementById('muteButton');
+        muteButton.textContent = muted || volume === 0 ? '🔇' : '🔊';
+        muteButton.setAttribute('aria-pressed', muted);
+        document.getElementById('volumeSlider').value = Math.round(volume * 100);
+
+        const musicToggle = document.getElementById('musicToggle');
+        musicToggle.textContent = this.i18n.t(music ? 'game.musicOn' : 'game.musicOff');
+        musicToggle.setAttribute('aria-pressed', music);
+    }
+
     /**
      * Update UI elements
      */
     updateUI() {
-        document.getElementById('score').textContent = this.score;
-        document.getElementById('highScore').textContent = this.highScore;
+        const number = value => this.i18n.number(value);
+        document.getElementById('score').textContent = number(this.score);
+        document.getElementById('highScore').textContent = number(this.highScore);
+
+        // Versus shows both scores and the match tally instead of the high score
+        document.querySelector('.container').classList.toggle('versus', this.versus);
+        if (this.versus) {
+            document.getElementById('scoreP2').textContent = number(this.world.snakes[1].score);
+            document.getElementById('matchScore').textContent = this.match.wins.map(number).join(' - ');
+        }
         
-        // Calculate speed level (1-10)
-        const speedLevel = Math.ceil((CONFIG.initialSpeed - this.speed) / CONFIG.speedIncrement) + 1;
-        document.getElementById('speed').textContent = speedLevel;
+        document.getElementById('speed').textContent = number(this.engine.getSpeedLevel(this.speed));
+        this.updateItemHud();
+        this.updateGhostHud();
+
+        this.updateSoundControls();
+
+        const pathToggle = document.getElementById('pathToggle');
+        pathToggle.textContent = this.i18n.t(this.showPath ? 'game.pathOn' : 'game.pathOff');
+        pathToggle.setAttribute('aria-pressed', this.showPath);
+
+        const autopilotButton = document.getElementById('autopilotButton');
+        autopilotButton.classList.toggle('active', this.autopilotEnabled);
+        autopilotButton.setAttribute('aria-pressed', this.autopilotEnabled);
+
+        document.getElementById('replayWatchButton').disabled = !this.lastReplay || !!this.replayPlayer;
+        document.getElementById('replayExportButton').disabled = !this.lastReplay && !this.replayPlayer;
+        this.updateReplayControls();
+    }
+
+    /**
+     * Sync the replay scrubber with the current tick
+     */
+    updateReplayControls() {
+        if (!this.replayPlayer) return;
+
+        const scrubber = document.getElementById('replayScrubber');
+        scrubber.max = this.replayPlayer.length;
+        scrubber.value = this.world.tick;
+        document.getElementById('replayTick').textContent = `${this.world.tick} / ${this.replayPlayer.length}`;
     }
 
     /**
@@ -436,19 +1943,108 @@ class SnakeGame {
         const title = document.getElementById('overlayTitle');
         const message = document.getElementById('overlayMessage');
         const button = document.getElementById('startButton');
+        const nameEntry = document.getElementById('runNameEntry');
+        const madeLeaderboard = !!this.lastRun && this.lastRun.rank >= 0 && !this.versus;
+
+        // Coach debrief with the board at the critical moment
+        const debrief = document.getElementById('debrief');
+        debrief.classList.toggle('hidden', !this.debrief);
+        if (this.debrief) {
+            const list = document.getElementById('debriefText');
+            list.innerHTML = '';
+            this.debrief.lines.forEach(line => {
+                const item = document.createElement('li');
+                item.textContent = line;
+                list.appendChild(item);
+            });
+            this.drawDebriefBoard(this.debrief);
+        }
 
-        title.textContent = 'GAME OVER';
-        message.innerHTML = `
-            Final Score: <strong>${this.score}</strong><br>
-            High Score: <strong>${this.highScore}</strong><br>
-            ${this.score === this.highScore && this.score > 0 ? '🏆 New High Score!' : ''}
-        `;
-        button.textContent = 'PLAY AGAIN';
+        // Top 10 run - ask for initials
+        nameEntry.classList.toggle('hidden', !madeLeaderboard);
+        if (madeLeaderboard) {
+            document.getElementById('runRank').textContent = `#${this.lastRun.rank + 1}`;
+            document.getElementById('runName').value = localStorage.getItem('snakePlayerName') || '';
+        }
+
+        // Numbers in bold, in the locale's format
+        const t = (key, values) => this.i18n.t(key, values);
+        const strong = values => `<strong>${values.map(value => this.i18n.number(value)).join(' - ')}</strong>`;
+
+        if (this.drillResult) {
+            // Passed: what comes next. Failed: the goal again (the coach says what went wrong)
+            const next = this.drillResult.passed && nextDrill(this.drill.id);
+            title.textContent = t(this.drillResult.passed ? 'tutorial.passed' : 'tutorial.failed');
+            if (!this.drillResult.passed) {
+                message.textContent = t(`tutorial.drills.${this.drill.id}.goal`);
+            } else {
+                message.textContent = next ? t('tutorial.upNext', { name: this.drillName(next) }) : t('tutorial.allDone');
+            }
+            button.textContent = t(next ? 'tutorial.next' : (this.drillResult.passed ? 'game.playAgain' : 'tutorial.retry'));
+        } else if (this.versus) {
+            const winner = this.winnerLabel();
+            title.textContent = this.match.over ? t('game.matchWinner', { winner }) : (winner ? t('game.roundWinner', { winner }) : t('game.draw'));
+            message.innerHTML = `
+                ${t('game.scores', { scores: strong(this.world.snakes.map(snake => snake.score)) })}<br>
+                ${t('game.rounds', { rounds: strong(this.match.wins), target: MATCH_WINS })}
+            `;
+            button.textContent = t(this.match.over ? 'game.newMatch' : 'game.nextRound');
+        } else {
+            title.textContent = t('game.gameOver');
+            message.innerHTML = `
+                ${t('game.finalScore', { score: strong([this.score]) })}<br>
+                ${t('game.highScore', { score: strong([this.highScore]) })}<br>
+                ${this.score === this.highScore && this.score > 0 ? t('game.newHighScore') : ''}
+            `;
+            button.textContent = t('game.playAgain');
+        }
 
         overlay.classList.remove('hidden');
         this.disableControls();
     }
 
+    /**
+     * Mini board of the debrief's critical tick: the move taken in red, the
+     * move that still had a way out in cyan
+     */
+    drawDebriefBoard(debrief) {
+        const canvas = document.getElementById('debriefBoard');
+        const ctx = canvas.getContext('2d');
+        const { snapshot, better, taken } = debrief;
+        const grid = snapshot.grid;
+        const cell = Math.max(2, Math.floor(160 / grid.cols));
+        const colors = this.theme.canvas;
+        const [r, g, b] = [1, 3, 5].map(i => parseInt(colors.snakes[0].slice(i, i + 2), 16));
+
+        canvas.width = grid.cols * cell;
+        canvas.height = grid.rows * cell;
+        ctx.fillStyle = colors.background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const fillCell = (pos, color) => {
+            ctx.fillStyle = color;
+            ctx.fillRect(pos.x * cell, pos.y * cell, cell, cell);
+        };
+
+        (grid.obstacles || new Set()).forEach(key => {
+            const [x, y] = key.split(',').map(Number);
+            fillCell({ x, y }, colors.obstacle);
+        });
+        snapshot.body.forEach((segment, index) => {
+            fillCell(segment, index === 0 ? colors.snakes[0] : `rgba(${r}, ${g}, ${b}, 0.5)`);
+        });
+
+        // Moves from the head: taken and the one that would have escaped
+        const mark = (dir, color) => {
+            const target = this.aiCoach.moveCell(snapshot.head, dir, grid);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(target.x * cell + 1, target.y * cell + 1, cell - 2, cell - 2);
+        };
+        if (taken) mark(taken, colors.mistake);
+        if (better) mark(better, colors.escape);
+    }
+
     /**
      * Hide overlay
      */
@@ -474,18 +2070,49 @@ class SnakeGame {
     }
 
     /**
-     * Load high score from localStorage
+     * Load the last selected mode from localStorage
+     */
+    loadMode() {
+        return this.storedMode.read(() => normalizeMode(), mode => (isRecord(mode) ? normalizeMode(mode) : null));
+    }
+
+    /**
+     * Load the last selected difficulty from localStorage
+     */
+    loadDifficulty() {
+        return normalizeDifficulty(localStorage.getItem('snakeDifficulty'));
+    }
+
+    /**
+     * Reduced motion setting, defaulting to the system preference
+     */
+    loadReducedMotion() {
+        const saved = localStorage.getItem('snakeReducedMotion');
+        if (saved !== null) {
+            return saved === '1';
+        }
+        return !!window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * Load the last selected theme from localStorage
+     */
+    loadTheme() {
+        return normalizeTheme(localStorage.getItem('snakeTheme'));
+    }
+
+    /**
+     * Load path overlay preference from localStorage
      */
-    loadHighScore() {
-        const saved = localStorage.getItem('snakeHighScore');
-        return saved ? parseInt(saved, 10) : 0;
+    loadShowPath() {
+        return localStorage.getItem('snakeShowPath') === '1';
     }
 
     /**
-     * Save high score to localStorage
+     * Whether to race the ghost (on unless switched off)
      */
-    saveHighScore() {
-        localStorage.setItem('snakeHighScore', this.highScore.toString());
+    loadShowGhost() {
+        return localStorage.getItem('snakeShowGhost') !== '0';
     }
 }
 
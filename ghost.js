@@ -0,0 +1,147 @@
+/* ===================================
+   GHOST - RACE YOUR PERSONAL BEST
+   The best run on a board, replayed alongside
+   =================================== */
+
+/*
+ * The best solo run on each board is kept in localStorage as a replay log
+ * (see replay.js) plus the apples it ate, in order:
+ *
+ * {
+ *   "normal:20:open:solid": {
+ *     "score": 230,
+ *     "foods": [{ "x": 3, "y": 7 }, { "x": 15, "y": 2 }],
+ *     "replay": { "version": 2, "seed": 1234, "inputs": [[12, "UP"]], ... }
+ *   }
+ * }
+ *
+ * A new game on that board races it: the ghost re-enacts the run tick by tick
+ * from its replay, and the challenger's engine gets the same apples in the
+ * same order (config.foodSequence, see SnakeEngine.generateFood). The ghost
+ * never collides with anything on the challenger's board.
+ */
+
+const GHOSTS_KEY = 'snakeGhosts';
+
+/**
+ * Board a run is filed under: the level, or difficulty and mode
+ * @param {Object} setup - { mode, level, difficulty }
+ */
+function ghostKey({ mode, level, difficulty }) {
+    if (level) {
+        return `level:${level.name}`;
+    }
+    return `${difficulty}:${mode.size}:${mode.layout}:${mode.wrap ? 'wrap' : 'solid'}`;
+}
+
+// GhostRun Class - A recorded run stepped one tick at a time
+class GhostRun {
+    /**
+     * @param {Object} record - { replay, foods } (see above)
+     * @throws {Error} When the replay log is malformed
+     */
+    constructor(record) {
+        this.player = new ReplayPlayer(record.replay);
+        this.engine = this.player.createEngine();
+        this.world = this.player.initialState();
+        this.previous = null; // State before the last tick, for interpolation
+        this.foods = record.foods || [];
+    }
+
+    get snake() {
+        return this.world.snakes[0];
+    }
+
+    /**
+     * Whether the recording has run out (crash or end of the log)
+     */
+    get over() {
+        return this.world.over || this.world.tick >= this.player.length;
+    }
+
+    /**
+     * Play the next recorded tick; a finished run stays where it ended
+     */
+    step() {
+        this.previous = this.world;
+        if (this.over) return;
+
+        const directions = this.world.snakes.map((snake, player) =>
+            this.player.inputAt(this.world.tick + 1, player) || snake.direction
+        );
+        this.world = this.engine.step(this.world, { directions }).state;
+    }
+
+    /**
+     * Fast-forward to a tick (a resumed game)
+     */
+    seek(tick) {
+        while (this.world.tick < tick && !this.over) {
+            this.step();
+        }
+        this.previous = null;
+    }
+}
+
+/**
+ * Apples a recorded run ate, in order, by playing it through
+ */
+function foodSequence(log) {
+    const ghost = new GhostRun({ replay: log });
+    const foods = [ghost.world.food];
+    while (!ghost.over) {
+        ghost.step();
+        const { food, foodEaten } = ghost.world;
+        if (food && foods.length === foodEaten) {
+            foods.push(food);
+        }
+    }
+    return foods.filter(Boolean);
+}
+
+// GhostStore Class - Best run per board, in localStorage
+class GhostStore {
+    /**
+     * @param {Storage} storage - Where to keep the runs (see StoredJson)
+     */
+    constructor(storage = localStorage) {
+        this.stored = new StoredJson(GHOSTS_KEY, storage);
+        this.ghosts = this.load();
+    }
+
+    /**
+     * Read the stored runs. Unreadable storage starts over.
+     */
+    load() {
+        return this.stored.read(() => ({}), ghosts => (isRecord(ghosts) ? ghosts : null));
+    }
+
+    /**
+     * Best run on a board, or null
+     */
+    best(key) {
+        return this.ghosts[key] || null;
+    }
+
+    /**
+     * Keep a finished run if it beats the board's best
+     * @param {string} key - See ghostKey
+     * @param {Object} log - Finished replay log
+     * @returns {boolean} Whether it is the new best
+     */
+    offer(key, log) {
+        const best = this.best(key);
+        if (log.result.score <= (best ? best.score : 0)) {
+            return false;
+        }
+
+        this.ghosts[key] = { score: log.result.score, foods: foodSequence(log), replay: log };
+        this.stored.write(this.ghosts);
+        return true;
+    }
+}
+
+// Allow ghosts to be checked from Node (with engine.js, replay.js and storage.js exports made global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GHOSTS_KEY, ghostKey, GhostRun, foodSequence, GhostStore };
+}
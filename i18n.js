@@ -0,0 +1,213 @@
+/* ===================================
+   I18N - TRANSLATED TEXT
+   Locale bundles, plurals and numbers
+   =================================== */
+
+/*
+ * Locale bundles live in locales/<id>.js. Each file assigns one JSON object
+ * to LOCALES[id] (a script rather than a .json file, so the game still runs
+ * straight from disk where fetch() is not allowed):
+ *
+ *   LOCALES.es = {
+ *     "meta": { "name": "Español", "dir": "ltr" },
+ *     "game": { "paused": "⏸ Juego en pausa", ... },
+ *     ...
+ *   };
+ *
+ * Keys are dotted paths into the bundle ('game.paused'). A value is a string,
+ * a list of strings (the coach picks one at random), or plural forms keyed by
+ * Intl.PluralRules category ("zero", "one", "two", "few", "many", "other"),
+ * chosen by the `count` value. {placeholders} are filled in, numbers in the
+ * locale's format. Keys missing from a bundle fall back to English.
+ *
+ * Validators do not put text in front of the player themselves: their errors
+ * carry a code (see localizedError), and the text lives under errors.<code>.
+ */
+
+const LOCALES = {};
+const DEFAULT_LOCALE = 'en';
+const LOCALE_KEY = 'snakeLocale';
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Known locale id, or the default
+ */
+function normalizeLocale(id) {
+    return LOCALES[id] ? id : DEFAULT_LOCALE;
+}
+
+/**
+ * First bundle matching the browser's languages ('es-MX' matches 'es')
+ * @param {Array} languages - Language tags, most preferred first
+ */
+function preferredLocale(languages = []) {
+    const match = languages
+        .map(tag => String(tag).toLowerCase().split('-')[0])
+        .find(id => LOCALES[id]);
+    return match || DEFAULT_LOCALE;
+}
+
+/**
+ * Value at a dotted path in a bundle, or undefined
+ */
+function resolveKey(bundle, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), bundle);
+}
+
+/**
+ * Whether a bundle value is a set of plural forms
+ */
+function isPluralForms(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) && typeof value.other === 'string' &&
+           Object.keys(value).every(category => PLURAL_CATEGORIES.includes(category));
+}
+
+/**
+ * Error the player may see. The code (with its values) picks the text in the
+ * locale bundles (errors.<code>); the message stays English for the console.
+ * @param {string} code - Dotted key under errors, e.g. 'replay.missingSeed'
+ * @param {string} message - English description
+ * @param {Object} values - Placeholder values for the translated text
+ */
+function localizedError(code, message, values = {}) {
+    const error = new Error(message);
+    error.code = code;
+    error.values = values;
+    return error;
+}
+
+// Translator Class - Looks up and formats text in the chosen locale
+class Translator {
+    /**
+     * @param {Storage} storage - Where to keep the chosen locale (localStorage in the browser)
+     * @param {Array} languages - Browser languages, used until a locale is chosen
+     */
+    constructor(storage = localStorage, languages = typeof navigator !== 'undefined' ? navigator.languages || [] : []) {
+        this.storage = storage;
+        this.setLocale(storage.getItem(LOCALE_KEY) || preferredLocale(languages), false);
+    }
+
+    /**
+     * Switch locale
+     * @param {string} id - Locale id
+     * @param {boolean} save - Remember it for next time
+     */
+    setLocale(id, save = true) {
+        this.locale = normalizeLocale(id);
+        this.pluralRules = new Intl.PluralRules(this.locale);
+        this.numberFormat = new Intl.NumberFormat(this.locale);
+        if (save) {
+            this.storage.setItem(LOCALE_KEY, this.locale);
+        }
+    }
+
+    /**
+     * Text direction of the locale: 'ltr' or 'rtl'
+     */
+    get dir() {
+        return resolveKey(LOCALES[this.locale], 'meta.dir') === 'rtl' ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Raw bundle value for a key, from English when this locale lacks it
+     * @returns {*} String, list or plural forms, or null when no bundle has it
+     */
+    lookup(key) {
+        const value = resolveKey(LOCALES[this.locale], key);
+        if (value !== undefined) return value;
+
+        const fallback = resolveKey(LOCALES[DEFAULT_LOCALE], key);
+        return fallback === undefined ? null : fallback;
+    }
+
+    /**
+     * Translated, formatted text for a key (the key itself if nothing has it)
+     * @param {Object} values - Placeholder values; `count` picks the plural form
+     */
+    t(key, values = {}) {
+        const value = this.lookup(key);
+        if (value === null || typeof value === 'object' && !isPluralForms(value)) {
+            return key;
+        }
+        return this.format(value, values);
+    }
+
+    /**
+     * Fill a template (or plural forms) with values, numbers in locale format
+     */
+    format(template, values = {}) {
+        if (isPluralForms(template)) {
+            const count = Number(values.count);
+            template = template[this.pluralRules.select(Number.isFinite(count) ? count : 0)] || template.other;
+        }
+        return String(template).replace(/\{(\w+)\}/g, (match, key) => {
+            if (!(key in values)) return match;
+            return typeof values[key] === 'number' ? this.number(values[key]) : String(values[key]);
+        });
+    }
+
+    /**
+     * Translated name of a registry entry (layout, theme, coach rule, ...),
+     * or its own English name when no bundle has the key
+     */
+    label(key, fallback) {
+        return this.lookup(key) === null ? fallback : this.t(key);
+    }
+
+    /**
+     * Text for an error from localizedError; anything else (such as a file
+     * that is not JSON) gets the generic "could not read" text
+     */
+    error(err) {
+        const key = err && err.code ? `errors.${err.code}` : null;
+        return key && this.lookup(key) !== null ? this.t(key, err.values) : this.t('errors.unreadable');
+    }
+
+    /**
+     * Number in the locale's format
+     */
+    number(value) {
+        return this.numberFormat.format(value);
+    }
+
+    /**
+     * Date in the locale's format (medium length: "Oct 19, 2026")
+     * @param {string|number|Date} value - Anything Date accepts, e.g. an ISO time
+     */
+    date(value) {
+        return new Intl.DateTimeFormat(this.locale, { dateStyle: 'medium' }).format(new Date(value));
+    }
+
+    /**
+     * Short list in the locale's style: "3 left, 2 up"
+     */
+    list(items) {
+        return typeof Intl.ListFormat === 'function'
+            ? new Intl.ListFormat(this.locale, { style: 'short', type: 'unit' }).format(items)
+            : items.join(', ');
+    }
+
+    /**
+     * Translate the static page: text of [data-i18n], aria-label of
+     * [data-i18n-label] and title of [data-i18n-title] elements
+     */
+    applyTo(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nLabel));
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+    }
+}
+
+// Allow bundles to be checked from Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LOCALES, DEFAULT_LOCALE, normalizeLocale, preferredLocale, resolveKey, isPluralForms, localizedError, Translator
+    };
+}
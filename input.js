@@ -0,0 +1,427 @@
+/* ===================================
+   INPUT - KEYS, TOUCH AND GAMEPADS
+   Every device becomes the same commands
+   =================================== */
+
+// Rows of the CONTROLS panel (names are translated as controls.group.<id>)
+const INPUT_GROUPS = {
+    p1: { name: 'P1 move' },
+    p2: { name: 'P2 move (versus)' },
+    pause: { name: 'Pause/Resume' },
+    mute: { name: 'Mute sound' }
+};
+
+// Rebindable actions, in the order the CONTROLS panel lists them
+const INPUT_ACTIONS = [
+    { id: 'p1.UP', group: 'p1', player: 0, direction: 'UP' },
+    { id: 'p1.DOWN', group: 'p1', player: 0, direction: 'DOWN' },
+    { id: 'p1.LEFT', group: 'p1', player: 0, direction: 'LEFT' },
+    { id: 'p1.RIGHT', group: 'p1', player: 0, direction: 'RIGHT' },
+    { id: 'p2.UP', group: 'p2', player: 1, direction: 'UP' },
+    { id: 'p2.DOWN', group: 'p2', player: 1, direction: 'DOWN' },
+    { id: 'p2.LEFT', group: 'p2', player: 1, direction: 'LEFT' },
+    { id: 'p2.RIGHT', group: 'p2', player: 1, direction: 'RIGHT' },
+    { id: 'pause', group: 'pause' },
+    { id: 'mute', group: 'mute' }
+];
+
+// Key (KeyboardEvent.key, letters lowercased) for each action
+const DEFAULT_BINDINGS = {
+    'p1.UP': 'ArrowUp',
+    'p1.DOWN': 'ArrowDown',
+    'p1.LEFT': 'ArrowLeft',
+    'p1.RIGHT': 'ArrowRight',
+    'p2.UP': 'w',
+    'p2.DOWN': 's',
+    'p2.LEFT': 'a',
+    'p2.RIGHT': 'd',
+    pause: ' ',
+    mute: 'm'
+};
+
+// Shortest drag on the board that counts as a swipe (px)
+const SWIPE_DISTANCE = 24;
+
+// Standard gamepad mapping: d-pad buttons, start, and stick deadzone
+const GAMEPAD_DPAD = { 12: 'UP', 13: 'DOWN', 14: 'LEFT', 15: 'RIGHT' };
+const GAMEPAD_START = 9;
+const GAMEPAD_DEADZONE = 0.5;
+
+/**
+ * Key as stored in bindings: letters are case-insensitive
+ */
+function normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Short label for a key on the CONTROLS panel
+ * @param {string} space - Name of the space bar in the player's language
+ */
+function keyLabel(key, space = 'SPACE') {
+    const names = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', ' ': space };
+    return names[key] || key.toUpperCase();
+}
+
+/**
+ * Fill in a (possibly stored) bindings object with the defaults
+ */
+function normalizeBindings(bindings = {}) {
+    const result = {};
+    for (const action of INPUT_ACTIONS) {
+        const key = bindings[action.id];
+        result[action.id] = typeof key === 'string' && key.length > 0 ? normalizeKey(key) : DEFAULT_BINDINGS[action.id];
+    }
+    return result;
+}
+
+// Input Queue Class - Pending turns for one snake, one consumed per tick
+class InputQueue {
+    /**
+     * @param {number} size - Most turns kept waiting at once
+     */
+    constructor(size = 3) {
+        this.size = Math.max(1, size);
+        this.turns = [];
+    }
+
+    /**
+     * Queue a turn if it makes sense after the turns already waiting.
+     * Repeats and reversals are checked against the last queued direction,
+     * so a quick Up-Left from moving right becomes a U-turn, never a reversal.
+     * @param {Object} direction - Requested direction
+     * @param {Object} current - Direction the snake is moving now
+     * @returns {boolean} Whether the turn was queued
+     */
+    push(direction, current) {
+        const last = this.turns.length > 0 ? this.turns[this.turns.length - 1] : current;
+
+        if (this.turns.length >= this.size) return false;
+        if (direction.x === last.x && direction.y === last.y) return false;
+        if (direction.x === -last.x && direction.y === -last.y) return false;
+
+        this.turns.push(direction);
+        return true;
+    }
+
+    /**
+     * Take the turn for this tick (null when nothing is waiting)
+     */
+    next() {
+        return this.turns.shift() || null;
+    }
+
+    /**
+     * Drop all pending turns
+     */
+    clear() {
+        this.turns = [];
+    }
+}
+
+// Input Controller Class - Turns keys, swipes, the D-pad and gamepads into
+// commands: { type: 'turn', player, direction }, { type: 'pause' } or { type: 'mute' }
+class InputController {
+    /**
+     * @param {Function} onCommand - Called with each command
+     * @param {Translator} i18n - Text in the player's language
+     */
+    constructor(onCommand, i18n = new Translator()) {
+        this.onCommand = onCommand;
+        this.i18n = i18n;
+        this.storedBindings = new StoredJson('snakeBindings');
+        this.storedDpad = new StoredJson('snakeDpad');
+        this.bindings = this.loadBindings();
+        this.rebinding = null;  // Action waiting for its new key
+        this.swipe = null;      // Pointer start while a swipe is in progress
+        this.gamepads = new Map(); // Last direction and start state per pad
+        this.gamepadLoop = null;
+
+        this.controlList = document.getElementById('controlList');
+        this.dpad = document.getElementById('dpad');
+        this.dpadButton = document.getElementById('dpadToggle');
+
+        this.buildKeyMap();
+        this.setupEventListeners();
+        this.setDpad(this.loadDpad());
+        this.renderControls();
+    }
+
+    /**
+     * Setup all event listeners
+     */
+    setupEventListeners() {
+        document.addEventListener('keydown', (e) => this.handleKey(e));
+
+        // Swipes on the board
+        const canvas = document.getElementById('gameCanvas');
+        canvas.addEventListener('pointerdown', (e) => {
+            this.swipe = { x: e.clientX, y: e.clientY };
+        });
+        canvas.addEventListener('pointermove', (e) => this.handleSwipe(e));
+        canvas.addEventListener('pointerup', () => {
+            this.swipe = null;
+        });
+        canvas.addEventListener('pointercancel', () => {
+            this.swipe = null;
+        });
+
+        // On-screen D-pad
+        this.dpad.querySelectorAll('[data-direction]').forEach(button => {
+            button.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                this.onCommand({ type: 'turn', player: 0, direction: button.dataset.direction });
+            });
+        });
+        this.dpadButton.addEventListener('click', () => this.setDpad(this.dpad.classList.contains('hidden')));
+
+        // Gamepads have no input events - poll them while any is connected
+        window.addEventListener('gamepadconnected', () => this.startGamepadLoop());
+        window.addEventListener('gamepaddisconnected', (e) => this.gamepads.delete(e.gamepad.index));
+
+        document.getElementById('controlsResetButton').addEventListener('click', () => this.resetBindings());
+    }
+
+    /**
+     * Map bound keys back to their actions
+     */
+    buildKeyMap() {
+        this.keyMap = new Map();
+        for (const action of INPUT_ACTIONS) {
+            this.keyMap.set(this.bindings[action.id], action);
+        }
+    }
+
+    /**
+     * Keyboard: finish a rebind, or send the bound command
+     */
+    handleKey(e) {
+        if (this.rebinding) {
+            e.preventDefault();
+            if (e.key !== 'Escape') {
+                this.bind(this.rebinding, e.key);
+            }
+            this.rebinding = null;
+            // Re-rendering also drops focus, so Space can't click the key button again
+            this.renderControls();
+            return;
+        }
+
+        // Typing in a form field (level editor) is not steering
+        if (e.target.closest && e.target.closest('input, select, textarea')) {
+            return;
+        }
+
+        const action = this.keyMap.get(normalizeKey(e.key));
+        if (!action) return;
+
+        // Keep arrows and space from scrolling the page
+        e.preventDefault();
+        this.send(action);
+    }
+
+    /**
+     * Issue the command for an action
+     */
+    send(action) {
+        if (action.direction) {
+            this.onCommand({ type: 'turn', player: action.player, direction: action.direction });
+        } else {
+            this.onCommand({ type: action.id });
+        }
+    }
+
+    /**
+     * Turn player one once a drag on the board is long enough
+     */
+    handleSwipe(e) {
+        if (!this.swipe) return;
+
+        const dx = e.clientX - this.swipe.x;
+        const dy = e.clientY - this.swipe.y;
+        if (Math.max(Math.abs(dx), Math.abs(dy)) < SWIPE_DISTANCE) return;
+
+        const direction = Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? 'RIGHT' : 'LEFT') : (dy > 0 ? 'DOWN' : 'UP');
+        this.onCommand({ type: 'turn', player: 0, direction });
+
+        // Keep dragging to chain another turn
+        this.swipe = { x: e.clientX, y: e.clientY };
+    }
+
+    /**
+     * Poll connected gamepads every animation frame
+     */
+    startGamepadLoop() {
+        if (this.gamepadLoop) return;
+
+        const poll = () => {
+            const pads = Array.from(navigator.getGamepads ? navigator.getGamepads() : []).filter(Boolean);
+            if (pads.length === 0) {
+                this.gamepadLoop = null;
+                return;
+            }
+            pads.forEach(pad => this.pollGamepad(pad));
+            this.gamepadLoop = requestAnimationFrame(poll);
+        };
+        this.gamepadLoop = requestAnimationFrame(poll);
+    }
+
+    /**
+     * Read one pad (pad 1 steers P1, pad 2 steers P2). Commands fire when a
+     * direction or the start button is first pressed, not while held.
+     */
+    pollGamepad(pad) {
+        const last = this.gamepads.get(pad.index) || { direction: null, start: false };
+        const pressed = index => pad.buttons[index] && pad.buttons[index].pressed;
+
+        let direction = null;
+        for (const [index, name] of Object.entries(GAMEPAD_DPAD)) {
+            if (pressed(index)) direction = name;
+        }
+
+        // Left stick, strongest axis wins
+        const [x = 0, y = 0] = pad.axes;
+        if (!direction && Math.max(Math.abs(x), Math.abs(y)) >= GAMEPAD_DEADZONE) {
+            direction = Math.abs(x) > Math.abs(y) ? (x > 0 ? 'RIGHT' : 'LEFT') : (y > 0 ? 'DOWN' : 'UP');
+        }
+
+        if (direction && direction !== last.direction && pad.index < 2) {
+            this.onCommand({ type: 'turn', player: pad.index, direction });
+        }
+
+        const start = pressed(GAMEPAD_START);
+        if (start && !last.start) {
+            this.onCommand({ type: 'pause' });
+        }
+
+        this.gamepads.set(pad.index, { direction, start });
+    }
+
+    /**
+     * Show or hide the on-screen D-pad
+     */
+    setDpad(visible) {
+        this.dpad.classList.toggle('hidden', !visible);
+        this.dpadButton.classList.toggle('active', visible);
+        this.dpadButton.setAttribute('aria-pressed', visible);
+        this.storedDpad.write(visible ? 1 : 0);
+    }
+
+    /**
+     * Bind a key to an action; the key leaves whatever action had it
+     */
+    bind(actionId, key) {
+        key = normalizeKey(key);
+        for (const action of INPUT_ACTIONS) {
+            if (action.id !== actionId && this.bindings[action.id] === key) {
+                this.bindings[action.id] = this.bindings[actionId];
+            }
+        }
+        this.bindings[actionId] = key;
+
+        this.saveBindings();
+        this.buildKeyMap();
+    }
+
+    /**
+     * Back to the default keys
+     */
+    resetBindings() {
+        this.bindings = normalizeBindings();
+        this.rebinding = null;
+        this.saveBindings();
+        this.buildKeyMap();
+        this.renderControls();
+    }
+
+    /**
+     * CONTROLS panel in the player's language
+     */
+    relabel() {
+        this.renderControls();
+    }
+
+    /**
+     * Build the CONTROLS panel from the active bindings. Each key is a
+     * button that waits for the next key press to rebind it.
+     */
+    renderControls() {
+        const groups = new Map();
+        for (const action of INPUT_ACTIONS) {
+            if (!groups.has(action.group)) groups.set(action.group, []);
+            groups.get(action.group).push(action);
+        }
+
+        this.controlList.innerHTML = '';
+        const space = this.i18n.t('controls.space');
+        for (const [id, actions] of groups) {
+            const group = this.i18n.label(`controls.group.${id}`, INPUT_GROUPS[id].name);
+            const item = document.createElement('div');
+            item.className = 'control-item';
+
+            const keys = document.createElement('div');
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.className = 'rebind';
+                button.setAttribute('aria-label', action.direction
+                    ? this.i18n.t('controls.rebindMove', { group, direction: this.i18n.t(`coach.direction.${action.direction}`).toLowerCase() })
+                    : this.i18n.t('controls.rebind', { group }));
+
+                const kbd = document.createElement('kbd');
+                kbd.textContent = this.rebinding === action.id ? '…' : keyLabel(this.bindings[action.id], space);
+                button.appendChild(kbd);
+
+                button.addEventListener('click', () => {
+                    this.rebinding = action.id;
+                    this.renderControls();
+                });
+                keys.appendChild(button);
+            });
+
+            const label = document.createElement('span');
+            label.textContent = group;
+            item.append(keys, label);
+            this.controlList.appendChild(item);
+        }
+
+        const other = document.createElement('div');
+        other.className = 'control-item';
+        const keys = document.createElement('div');
+        for (const text of [this.i18n.t('controls.swipeKey'), '🎮']) {
+            const kbd = document.createElement('kbd');
+            kbd.textContent = text;
+            keys.appendChild(kbd);
+        }
+        const label = document.createElement('span');
+        label.textContent = this.i18n.t('controls.swipe');
+        other.append(keys, label);
+        this.controlList.appendChild(other);
+    }
+
+    /**
+     * Load key bindings from localStorage
+     */
+    loadBindings() {
+        return this.storedBindings.read(() => normalizeBindings(), bindings => (isRecord(bindings) ? normalizeBindings(bindings) : null));
+    }
+
+    /**
+     * Save key bindings to localStorage
+     */
+    saveBindings() {
+        this.storedBindings.write(this.bindings);
+    }
+
+    /**
+     * D-pad preference; shown by default on touch screens
+     */
+    loadDpad() {
+        return this.storedDpad.read(() => window.matchMedia('(pointer: coarse)').matches,
+            saved => (saved === 0 || saved === 1 ? saved === 1 : null));
+    }
+}
+
+// Allow the queue and bindings to be used from Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InputQueue, INPUT_GROUPS, INPUT_ACTIONS, DEFAULT_BINDINGS, normalizeBindings, normalizeKey, keyLabel };
+}
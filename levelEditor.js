@@ -0,0 +1,339 @@
+/* ===================================
+   LEVEL EDITOR - IN-BROWSER BOARD DESIGN
+   Paint walls, spawn and food points
+   =================================== */
+
+class LevelEditor {
+    /**
+     * @param {Function} onPlay - Called with a validated level to play it
+     * @param {Translator} i18n - Text in the player's language
+     */
+    constructor(onPlay, i18n = new Translator()) {
+        this.panel = document.getElementById('levelEditor');
+        this.canvas = document.getElementById('editorCanvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.errorList = document.getElementById('editorErrors');
+        this.playButton = document.getElementById('editorPlayButton');
+        this.onPlay = onPlay;
+        this.i18n = i18n;
+
+        this.level = createBlankLevel();
+        this.tool = 'wall';
+        this.painting = null; // 'add' or 'remove' while dragging walls
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup all event listeners
+     */
+    setupEventListeners() {
+        // Tool palette
+        document.querySelectorAll('[data-tool]').forEach(button => {
+            button.addEventListener('click', () => this.setTool(button.dataset.tool));
+        });
+
+        // Painting (pointer events cover mouse and touch)
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointer(e, true));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointer(e, false));
+        window.addEventListener('pointerup', () => {
+            this.painting = null;
+        });
+
+        // Level settings
+        const fields = ['editorName', 'editorSize', 'editorWrap', 'editorDirection', 'editorLength',
+            'editorSpeedInitial', 'editorSpeedIncrement', 'editorSpeedMin'];
+        fields.forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.readSettings());
+        });
+
+        // Actions
+        this.playButton.addEventListener('click', () => this.play());
+        document.getElementById('editorSaveButton').addEventListener('click', () => this.save());
+        document.getElementById('editorLoadButton').addEventListener('click', () => document.getElementById('editorFile').click());
+        document.getElementById('editorFile').addEventListener('change', (e) => this.load(e.target));
+        document.getElementById('editorClearButton').addEventListener('click', () => this.clear());
+        document.getElementById('editorCloseButton').addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Show the editor, optionally starting from an existing level
+     */
+    open(level) {
+        if (level) {
+            this.level = JSON.parse(JSON.stringify(level));
+        }
+
+        this.panel.classList.remove('hidden');
+        this.panel.parentElement.classList.add('editing');
+        this.writeSettings();
+        this.refresh();
+    }
+
+    /**
+     * Hide the editor and return to the game
+     */
+    close() {
+        this.panel.classList.add('hidden');
+        this.panel.parentElement.classList.remove('editing');
+    }
+
+    /**
+     * Select the active painting tool
+     */
+    setTool(tool) {
+        this.tool = tool;
+        document.querySelectorAll('[data-tool]').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+    }
+
+    /**
+     * Apply the active tool to the cell under the pointer
+     */
+    handlePointer(e, isDown) {
+        if (!isDown && !this.painting) return;
+
+        const cell = this.cellAt(e);
+        if (!cell) return;
+
+        const key = ([x, y]) => x === cell.x && y === cell.y;
+        const isWall = this.level.walls.some(key);
+
+        if (isDown) {
+            e.preventDefault();
+            // Dragging keeps doing whatever the first cell did
+            this.painting = this.tool === 'wall' && isWall ? 'remove' : 'add';
+        }
+
+        switch (this.tool) {
+            case 'wall':
+                if (this.painting === 'add' && !isWall) {
+                    this.level.walls.push([cell.x, cell.y]);
+                    this.level.food = this.level.food.filter(c => !key(c));
+                } else if (this.painting === 'remove') {
+                    this.level.walls = this.level.walls.filter(c => !key(c));
+                }
+                break;
+            case 'erase':
+                this.level.walls = this.level.walls.filter(c => !key(c));
+                this.level.food = this.level.food.filter(c => !key(c));
+                break;
+            case 'spawn':
+                this.level.spawn.x = cell.x;
+                this.level.spawn.y = cell.y;
+                this.painting = null;
+                break;
+            case 'food':
+                if (!isDown) return;
+                if (this.level.food.some(key)) {
+                    this.level.food = this.level.food.filter(c => !key(c));
+                } else if (!isWall) {
+                    this.level.food.push([cell.x, cell.y]);
+                }
+                this.painting = null;
+                break;
+        }
+
+        this.refresh();
+    }
+
+    /**
+     * Board cell under a pointer event
+     */
+    cellAt(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = Math.floor((e.clientX - rect.left) / rect.width * this.level.size);
+        const y = Math.floor((e.clientY - rect.top) / rect.height * this.level.size);
+
+        if (x < 0 || x >= this.level.size || y < 0 || y >= this.level.size) return null;
+        return { x, y };
+    }
+
+    /**
+     * Copy the settings form into the level
+     */
+    readSettings() {
+        const level = this.level;
+        const number = id => Number(document.getElementById(id).value);
+        const size = Math.min(LEVEL_LIMITS.maxSize, Math.max(LEVEL_LIMITS.minSize, Math.round(number('editorSize')) || level.size));
+
+        level.name = document.getElementById('editorName').value.trim() || 'Untitled';
+        level.wrap = document.getElementById('editorWrap').checked;
+        level.spawn.direction = document.getElementById('editorDirection').value;
+        level.spawn.length = Math.round(number('editorLength')) || 1;
+        level.speed.initial = number('editorSpeedInitial');
+        level.speed.increment = number('editorSpeedIncrement');
+        level.speed.min = number('editorSpeedMin');
+
+        // Shrinking the board drops whatever falls off it
+        if (size !== level.size) {
+            const inside = ([x, y]) => x < size && y < size;
+            level.size = size;
+            level.walls = level.walls.filter(inside);
+            level.food = level.food.filter(inside);
+            level.spawn.x = Math.min(level.spawn.x, size - 1);
+            level.spawn.y = Math.min(level.spawn.y, size - 1);
+        }
+
+        this.writeSettings();
+        this.refresh();
+    }
+
+    /**
+     * Copy the level into the settings form
+     */
+    writeSettings() {
+        const level = this.level;
+        document.getElementById('editorName').value = level.name;
+        document.getElementById('editorSize').value = level.size;
+        document.getElementById('editorWrap').checked = level.wrap;
+        document.getElementById('editorDirection').value = level.spawn.direction;
+        document.getElementById('editorLength').value = level.spawn.length;
+        document.getElementById('editorSpeedInitial').value = level.speed.initial;
+        document.getElementById('editorSpeedIncrement').value = level.speed.increment;
+        document.getElementById('editorSpeedMin').value = level.speed.min;
+    }
+
+    /**
+     * Re-validate and redraw after any change
+     */
+    refresh() {
+        const errors = validateLevel(this.level);
+
+        this.errorList.innerHTML = '';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = this.i18n.error(error);
+            this.errorList.appendChild(item);
+        });
+        this.errorList.classList.toggle('valid', errors.length === 0);
+        if (errors.length === 0) {
+            this.showNote(this.i18n.t('editor.playable'));
+        }
+
+        this.playButton.disabled = errors.length > 0;
+        this.render();
+    }
+
+    /**
+     * Level errors in the player's language
+     */
+    relabel() {
+        if (!this.panel.classList.contains('hidden')) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Replace the error list with one line of text
+     */
+    showNote(text) {
+        const item = document.createElement('li');
+        item.textContent = text;
+        this.errorList.replaceChildren(item);
+    }
+
+    /**
+     * Draw the level being edited
+     */
+    render() {
+        const level = this.level;
+        const cell = Math.floor(BOARD_PIXELS / level.size);
+        this.canvas.width = level.size * cell;
+        this.canvas.height = level.size * cell;
+
+        this.ctx.fillStyle = '#000000';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Grid
+        this.ctx.strokeStyle = 'rgba(0, 255, 65, 0.1)';
+        this.ctx.lineWidth = 1;
+        for (let i = 0; i <= level.size; i++) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(i * cell, 0);
+            this.ctx.lineTo(i * cell, this.canvas.height);
+            this.ctx.moveTo(0, i * cell);
+            this.ctx.lineTo(this.canvas.width, i * cell);
+            this.ctx.stroke();
+        }
+
+        // Walls
+        this.ctx.fillStyle = '#1f6b35';
+        level.walls.forEach(([x, y]) => this.ctx.fillRect(x * cell, y * cell, cell, cell));
+
+        // Food spawn points
+        this.ctx.fillStyle = '#ff4444';
+        level.food.forEach(([x, y]) => {
+            this.ctx.beginPath();
+            this.ctx.arc(x * cell + cell / 2, y * cell + cell / 2, cell / 2 - 2, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+
+        // Spawn, head brightest
+        if (DIRECTION[level.spawn.direction]) {
+            getSpawnBody(level).forEach((segment, index) => {
+                this.ctx.fillStyle = index === 0 ? '#00ff41' : 'rgba(0, 255, 65, 0.5)';
+                this.ctx.fillRect(segment.x * cell + 1, segment.y * cell + 1, cell - 2, cell - 2);
+            });
+        }
+    }
+
+    /**
+     * Hand the level to the game
+     */
+    play() {
+        if (validateLevel(this.level).length > 0) return;
+        this.close();
+        this.onPlay(JSON.parse(JSON.stringify(this.level)));
+    }
+
+    /**
+     * Download the level as a JSON file
+     */
+    save() {
+        const blob = new Blob([JSON.stringify(this.level, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.level.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() || 'level'}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Load a level file into the editor (broken levels load too, to be fixed)
+     */
+    load(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        const previous = this.level;
+
+        file.text()
+            .then(text => {
+                const level = JSON.parse(text);
+                if (level.format !== LEVEL_FORMAT || level.version !== LEVEL_VERSION) {
+                    throw new Error('Not a level file');
+                }
+                this.open(level);
+            })
+            .catch(() => {
+                // Missing fields can fail halfway through - keep the old level
+                this.level = previous;
+                this.writeSettings();
+                this.render();
+                this.errorList.classList.remove('valid');
+                this.showNote(this.i18n.t('editor.unreadable'));
+            });
+    }
+
+    /**
+     * Start over from a blank board of the current size
+     */
+    clear() {
+        this.level = createBlankLevel(this.level.size);
+        this.writeSettings();
+        this.refresh();
+    }
+}
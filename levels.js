@@ -0,0 +1,233 @@
+/* ===================================
+   LEVELS - FILE FORMAT AND VALIDATION
+   Custom boards built in the level editor
+   =================================== */
+
+/*
+ * Level file format (JSON, version 1)
+ *
+ * {
+ *   "format": "retro-snake-level",
+ *   "version": 1,
+ *   "name": "Zig Zag",
+ *   "size": 20,                  // Board is size x size cells (10-40)
+ *   "wrap": false,               // true = edges teleport instead of killing
+ *   "walls": [[3, 4], [3, 5]],   // Obstacle cells as [x, y]
+ *   "spawn": {
+ *     "x": 10, "y": 10,          // Head position
+ *     "direction": "RIGHT",      // UP, DOWN, LEFT or RIGHT
+ *     "length": 3                // Body trails behind the head
+ *   },
+ *   "food": [[15, 10]],          // Fixed food spawn points; [] = anywhere
+ *   "speed": {
+ *     "initial": 150,            // ms per tick at the start
+ *     "increment": 5,            // ms faster per food eaten
+ *     "min": 50                  // Fastest allowed tick
+ *   }
+ * }
+ */
+
+const LEVEL_FORMAT = 'retro-snake-level';
+const LEVEL_VERSION = 1;
+
+const LEVEL_LIMITS = {
+    minSize: 10,
+    maxSize: 40,
+    minSpeed: 20,
+    maxSpeed: 1000,
+    maxLength: 20
+};
+
+/**
+ * Empty level with the classic center spawn
+ */
+function createBlankLevel(size = 20) {
+    return {
+        format: LEVEL_FORMAT,
+        version: LEVEL_VERSION,
+        name: 'Untitled',
+        size,
+        wrap: false,
+        walls: [],
+        spawn: {
+            x: Math.floor(size / 2),
+            y: Math.floor(size / 2),
+            direction: 'RIGHT',
+            length: 3
+        },
+        food: [],
+        speed: {
+            initial: 150,
+            increment: 5,
+            min: 50
+        }
+    };
+}
+
+/**
+ * Snake body for a level's spawn: head first, trailing away from the direction
+ */
+function getSpawnBody(level) {
+    const dir = DIRECTION[level.spawn.direction];
+    const body = [];
+
+    for (let i = 0; i < level.spawn.length; i++) {
+        let x = level.spawn.x - dir.x * i;
+        let y = level.spawn.y - dir.y * i;
+        if (level.wrap) {
+            x = (x + level.size) % level.size;
+            y = (y + level.size) % level.size;
+        }
+        body.push({ x, y });
+    }
+
+    return body;
+}
+
+/**
+ * Check a level for format errors and unwinnable layouts
+ * @param {Object} level - Parsed level
+ * @returns {Array} Errors (see localizedError; codes under 'level.'), empty
+ *                  when the level is playable
+ */
+function validateLevel(level) {
+    const errors = [];
+    const isCell = c => Array.isArray(c) && c.length === 2 && c.every(Number.isInteger);
+
+    // Format checks - stop early, later checks rely on these
+    if (!level || level.format !== LEVEL_FORMAT || level.version !== LEVEL_VERSION) {
+        return [localizedError('level.format', 'Not a version 1 level file')];
+    }
+    if (!Number.isInteger(level.size) || level.size < LEVEL_LIMITS.minSize || level.size > LEVEL_LIMITS.maxSize) {
+        return [localizedError('level.size', `Board size must be ${LEVEL_LIMITS.minSize}-${LEVEL_LIMITS.maxSize}`,
+            { min: LEVEL_LIMITS.minSize, max: LEVEL_LIMITS.maxSize })];
+    }
+    if (!Array.isArray(level.walls) || !level.walls.every(isCell) ||
+        !Array.isArray(level.food) || !level.food.every(isCell)) {
+        return [localizedError('level.cells', 'Walls and food must be lists of [x, y] cells')];
+    }
+    const spawn = level.spawn || {};
+    if (!Number.isInteger(spawn.x) || !Number.isInteger(spawn.y) || !DIRECTION[spawn.direction] ||
+        !Number.isInteger(spawn.length) || spawn.length < 1 || spawn.length > LEVEL_LIMITS.maxLength) {
+        return [localizedError('level.spawn', `Spawn needs a position, a direction and a length of 1-${LEVEL_LIMITS.maxLength}`,
+            { max: LEVEL_LIMITS.maxLength })];
+    }
+    const speed = level.speed || {};
+    if (![speed.initial, speed.increment, speed.min].every(Number.isFinite) ||
+        speed.min < LEVEL_LIMITS.minSpeed || speed.initial > LEVEL_LIMITS.maxSpeed ||
+        speed.min > speed.initial || speed.increment < 0) {
+        return [localizedError('level.speed',
+            `Speed curve must satisfy ${LEVEL_LIMITS.minSpeed} <= min <= initial <= ${LEVEL_LIMITS.maxSpeed}, increment >= 0`,
+            { min: LEVEL_LIMITS.minSpeed, max: LEVEL_LIMITS.maxSpeed })];
+    }
+
+    const size = level.size;
+    const inBounds = c => c.x >= 0 && c.x < size && c.y >= 0 && c.y < size;
+    const walls = new Set(level.walls.map(([x, y]) => `${x},${y}`));
+    const isOpen = c => inBounds(c) && !walls.has(`${c.x},${c.y}`);
+
+    if (!level.walls.every(([x, y]) => inBounds({ x, y })) || !level.food.every(([x, y]) => inBounds({ x, y }))) {
+        errors.push(localizedError('level.offBoard', 'Walls and food must lie on the board'));
+    }
+
+    // Spawn must fit on open cells
+    const body = getSpawnBody(level);
+    if (!body.every(isOpen)) {
+        errors.push(localizedError('level.spawnBlocked', 'Snake spawn overlaps a wall or the board edge'));
+        return errors;
+    }
+
+    // Something to move into on the first tick
+    const dir = DIRECTION[spawn.direction];
+    let ahead = { x: spawn.x + dir.x, y: spawn.y + dir.y };
+    if (level.wrap) {
+        ahead = { x: (ahead.x + size) % size, y: (ahead.y + size) % size };
+    }
+    if (!isOpen(ahead) || body.some(c => c.x === ahead.x && c.y === ahead.y)) {
+        errors.push(localizedError('level.spawnFacesWall', 'Snake spawn faces a wall'));
+    }
+
+    // Flood fill from the head; the body moves away so it counts as open
+    const reachable = new Set([`${spawn.x},${spawn.y}`]);
+    const queue = [{ x: spawn.x, y: spawn.y }];
+    while (queue.length > 0) {
+        const cell = queue.shift();
+        for (const d of Object.values(DIRECTION)) {
+            let next = { x: cell.x + d.x, y: cell.y + d.y };
+            if (level.wrap) {
+                next = { x: (next.x + size) % size, y: (next.y + size) % size };
+            }
+            const key = `${next.x},${next.y}`;
+            if (reachable.has(key) || !isOpen(next)) continue;
+            reachable.add(key);
+            queue.push(next);
+        }
+    }
+
+    if (reachable.size <= body.length) {
+        errors.push(localizedError('level.boxedIn', 'Snake spawn is boxed in'));
+    }
+
+    // Every place food can appear must be reachable
+    if (level.food.some(([x, y]) => walls.has(`${x},${y}`))) {
+        errors.push(localizedError('level.foodOnWall', 'Food spawn point placed on a wall'));
+    }
+    const unreachable = level.food.filter(([x, y]) => !walls.has(`${x},${y}`) && !reachable.has(`${x},${y}`));
+    if (unreachable.length > 0) {
+        const cells = unreachable.map(([x, y]) => `(${x}, ${y})`).join(', ');
+        errors.push(localizedError('level.foodUnreachable', `Food unreachable at ${cells}`,
+            { cells, count: unreachable.length }));
+    }
+
+    // Random food needs every open cell reachable. With fixed spawn points a
+    // sealed pocket is only decoration.
+    const openCells = size * size - walls.size;
+    if (level.food.length === 0 && reachable.size < openCells) {
+        const count = openCells - reachable.size;
+        errors.push(localizedError('level.walledOff', `${count} open cells are walled off - fill them with walls`, { count }));
+    }
+
+    return errors;
+}
+
+/**
+ * Parse and validate level JSON
+ * @throws {Error} The first validation problem (see validateLevel)
+ */
+function parseLevel(text) {
+    const level = JSON.parse(text);
+    const errors = validateLevel(level);
+    if (errors.length > 0) {
+        throw errors[0];
+    }
+    return level;
+}
+
+/**
+ * Engine config for a level, built on top of the base CONFIG
+ */
+function createLevelConfig(base, level) {
+    return {
+        ...base,
+        initialSpeed: level.speed.initial,
+        speedIncrement: level.speed.increment,
+        minSpeed: level.speed.min,
+        gridSize: level.size,
+        cellSize: Math.floor(BOARD_PIXELS / level.size),
+        wrap: level.wrap === true,
+        obstacles: level.walls.map(([x, y]) => ({ x, y })),
+        start: {
+            body: getSpawnBody(level),
+            direction: DIRECTION[level.spawn.direction]
+        },
+        foodSpawns: level.food.map(([x, y]) => ({ x, y }))
+    };
+}
+
+// Allow levels to be checked from Node (with engine.js, modes.js and i18n.js exports made global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LEVEL_FORMAT, LEVEL_VERSION, LEVEL_LIMITS,
+        createBlankLevel, getSpawnBody, validateLevel, parseLevel, createLevelConfig
+    };
+}
@@ -0,0 +1,476 @@
+/* ===================================
+   LOCALE - ARABIC
+   Right-to-left; missing keys fall back to English
+   =================================== */
+
+LOCALES.ar = {
+    "meta": { "name": "العربية", "dir": "rtl" },
+    "ui": {
+        "title": "🐍 الثعبان الكلاسيكي",
+        "subtitle": "عودة لعبة الأركيد الكلاسيكية",
+        "score": "النقاط:",
+        "p1": "ل1:",
+        "p2": "ل2:",
+        "rounds": "الجولات:",
+        "high": "الأعلى:",
+        "speed": "السرعة:",
+        "ghost": "الشبح:",
+        "mute": "كتم الصوت",
+        "volume": "مستوى الصوت",
+        "coachTitle": "المدرب الذكي",
+        "overlayTitle": "الثعبان الكلاسيكي",
+        "overlayMessage": "استعد للعب!",
+        "walls": "الجدران",
+        "wallsSolid": "صلبة",
+        "wallsWrap": "عبور الحواف",
+        "layout": "المخطط",
+        "board": "اللوحة",
+        "difficulty": "الصعوبة",
+        "players": "اللاعبون",
+        "playersSolo": "1 - فردي",
+        "playersVersus": "2 - مواجهة",
+        "resumeGame": "متابعة اللعبة",
+        "startGame": "ابدأ اللعب",
+        "startLevel": "ابدأ المرحلة",
+        "onLeaderboard": "أنت في لوحة المتصدرين!",
+        "initials": "الأحرف الأولى",
+        "levelEditor": "محرر المراحل",
+        "stats": "الإحصاءات",
+        "achievements": "الإنجازات",
+        "dpad": "لوحة الاتجاهات",
+        "up": "أعلى",
+        "down": "أسفل",
+        "left": "يسار",
+        "right": "يمين",
+        "pause": "إيقاف مؤقت",
+        "restart": "إعادة",
+        "dpadToggle": "الأسهم",
+        "auto": "تلقائي",
+        "strategy": "خطة الطيار الآلي",
+        "strategyGreedy": "جشعة",
+        "strategyFloodFill": "ملء المساحة",
+        "strategyHamiltonian": "هاميلتونية",
+        "replay": "إعادة العرض",
+        "export": "تصدير",
+        "import": "استيراد",
+        "stepTick": "تقدم خطوة واحدة",
+        "replayPosition": "موضع إعادة العرض",
+        "playbackSpeed": "سرعة العرض",
+        "closeReplay": "إغلاق إعادة العرض",
+        "settings": "الإعدادات",
+        "theme": "المظهر",
+        "language": "اللغة",
+        "radar": "الرادار الصوتي",
+        "reducedMotion": "تقليل الحركة",
+        "ghostRace": "سباق الشبح",
+        "coachHints": "نصائح المدرب",
+        "controls": "التحكم",
+        "controlsHint": "انقر على مفتاح لتغييره ثم اضغط المفتاح الجديد (Esc للإلغاء).",
+        "resetKeys": "استعادة المفاتيح",
+        "pageTitle": "لعبة الثعبان الكلاسيكية - نسخة المدرب الذكي",
+        "footer": "صُنعت بـ ❤️ بواسطة Payal Kumari | الثعبان الكلاسيكي مع مدرب ذكي"
+    },
+    "editor": {
+        "wall": "🧱 جدار",
+        "erase": "🧽 مسح",
+        "spawn": "🐍 البداية",
+        "food": "🍎 طعام",
+        "name": "الاسم",
+        "size": "الحجم",
+        "wrap": "عبور الحواف",
+        "direction": "الاتجاه",
+        "length": "الطول",
+        "startMs": "البداية (مل‌ث)",
+        "stepMs": "الخطوة (مل‌ث)",
+        "minMs": "الأدنى (مل‌ث)",
+        "play": "▶ العب",
+        "save": "💾 حفظ",
+        "load": "📂 فتح",
+        "clear": "🗑 تفريغ",
+        "close": "✖ إغلاق",
+        "playable": "✔ المستوى قابل للعب",
+        "unreadable": "تعذرت قراءة ملف المستوى"
+    },
+    "stats": {
+        "leaderboard": "لوحة المتصدرين",
+        "difficulty": "الصعوبة",
+        "name": "الاسم",
+        "score": "النقاط",
+        "length": "الطول",
+        "time": "الوقت",
+        "mode": "النمط",
+        "end": "النهاية",
+        "averages": "المتوسطات",
+        "runsLabel": "الجولات",
+        "averageScore": "النقاط",
+        "averageLength": "الطول",
+        "averageTime": "الوقت",
+        "topSpeed": "أعلى سرعة",
+        "howRunsEnd": "كيف تنتهي الجولات",
+        "scoreOverTime": "النقاط عبر الزمن",
+        "export": "💾 تصدير",
+        "import": "📂 استيراد",
+        "close": "✖ إغلاق",
+        "noRuns": "لا توجد جولات بعد - هيا العب!",
+        "emptyChart": "يظهر تطور النقاط بعد جولتك الأولى",
+        "runs": {
+            "zero": "لا جولات",
+            "one": "جولة واحدة",
+            "two": "جولتان",
+            "few": "{count} جولات",
+            "many": "{count} جولة",
+            "other": "{count} جولة"
+        },
+        "importError": "تعذر الاستيراد: {error}",
+        "board": "{size}x{size} {layout}",
+        "boardWrap": "{size}x{size} {layout} (بلا حواف)",
+        "boardLevel": "المستوى: {name}",
+        "beforeStats": "قبل الإحصاءات"
+    },
+    "game": {
+        "paused": "⏸ اللعبة متوقفة",
+        "resumed": "▶ استؤنفت اللعبة! ركّز!",
+        "restored": "💾 استُعيدت اللعبة - اضغط المسافة عندما تكون جاهزًا",
+        "restoreFailed": "❌ تعذرت استعادة اللعبة المحفوظة",
+        "replayUnreadable": "❌ تعذرت قراءة ملف إعادة العرض",
+        "autopilot": "الطيار الآلي: {strategy}",
+        "pathOn": "المسار: تشغيل",
+        "pathOff": "المسار: إيقاف",
+        "musicOn": "الموسيقى: تشغيل",
+        "musicOff": "الموسيقى: إيقاف",
+        "levelLoaded": "حُمّلت مرحلة مخصصة - غيّر النمط للخروج منها.",
+        "gameOver": "انتهت اللعبة",
+        "finalScore": "النتيجة النهائية: {score}",
+        "highScore": "أعلى نتيجة: {score}",
+        "newHighScore": "🏆 رقم قياسي جديد!",
+        "playAgain": "العب مجددًا",
+        "matchWinner": "{winner} يفوز بالمباراة",
+        "roundWinner": "{winner} يفوز بالجولة",
+        "draw": "تعادل",
+        "scores": "النقاط: {scores}",
+        "rounds": "الجولات: {rounds} (الفوز بـ {target})",
+        "newMatch": "مباراة جديدة",
+        "nextRound": "الجولة التالية",
+        "player": "ل{number}",
+        "seconds": "{seconds} ث"
+    },
+    "coach": {
+        "severity": {
+            "danger": "⛔ خطر",
+            "warning": "⚠️ تحذير",
+            "success": "✅ أحسنت",
+            "info": "ℹ️ معلومة"
+        },
+        "intro": "اضغط ابدأ لتنطلق في رحلتك!",
+        "start": "هيا بنا! ابقَ منتبهًا!",
+        "direction": { "UP": "الأعلى", "DOWN": "الأسفل", "LEFT": "اليسار", "RIGHT": "اليمين" },
+        "side": { "top": "الأعلى", "bottom": "الأسفل", "left": "اليسار", "right": "اليمين" },
+        "offset": {
+            "left": "{count} إلى اليسار",
+            "right": "{count} إلى اليمين",
+            "up": "{count} إلى الأعلى",
+            "down": "{count} إلى الأسفل"
+        },
+        "rules": {
+            "wallDanger": {
+                "name": "جدار أمامك",
+                "messages": [
+                    "⚠️ جدار أمامك! انعطف الآن!",
+                    "🚨 منطقة خطر! غيّر اتجاهك!",
+                    "⛔ أنت متجه نحو جدار!"
+                ]
+            },
+            "selfTrap": {
+                "name": "تحاصر نفسك",
+                "messages": [
+                    {
+                        "zero": "🔄 أنت تحاصر نفسك! ⬅️ اتجه إلى {direction} (لا خانات فارغة)",
+                        "one": "🔄 أنت تحاصر نفسك! ⬅️ اتجه إلى {direction} (خانة فارغة واحدة)",
+                        "two": "🔄 أنت تحاصر نفسك! ⬅️ اتجه إلى {direction} (خانتان فارغتان)",
+                        "few": "🔄 أنت تحاصر نفسك! ⬅️ اتجه إلى {direction} ({space} خانات فارغة)",
+                        "other": "🔄 أنت تحاصر نفسك! ⬅️ اتجه إلى {direction} ({space} خانة فارغة)"
+                    },
+                    {
+                        "zero": "⚡ المساحة ضيقة! خطط للهروب! ⬅️ اتجه إلى {direction} (لا خانات فارغة)",
+                        "one": "⚡ المساحة ضيقة! خطط للهروب! ⬅️ اتجه إلى {direction} (خانة فارغة واحدة)",
+                        "two": "⚡ المساحة ضيقة! خطط للهروب! ⬅️ اتجه إلى {direction} (خانتان فارغتان)",
+                        "few": "⚡ المساحة ضيقة! خطط للهروب! ⬅️ اتجه إلى {direction} ({space} خانات فارغة)",
+                        "other": "⚡ المساحة ضيقة! خطط للهروب! ⬅️ اتجه إلى {direction} ({space} خانة فارغة)"
+                    },
+                    {
+                        "zero": "🎯 اترك لنفسك مجالًا للحركة! ⬅️ اتجه إلى {direction} (لا خانات فارغة)",
+                        "one": "🎯 اترك لنفسك مجالًا للحركة! ⬅️ اتجه إلى {direction} (خانة فارغة واحدة)",
+                        "two": "🎯 اترك لنفسك مجالًا للحركة! ⬅️ اتجه إلى {direction} (خانتان فارغتان)",
+                        "few": "🎯 اترك لنفسك مجالًا للحركة! ⬅️ اتجه إلى {direction} ({space} خانات فارغة)",
+                        "other": "🎯 اترك لنفسك مجالًا للحركة! ⬅️ اتجه إلى {direction} ({space} خانة فارغة)"
+                    }
+                ]
+            },
+            "pickup": {
+                "name": "عناصر في المتناول",
+                "messages": {
+                    "bonus": {
+                        "one": "🍒 فاكهة إضافية على بعد خانة واحدة - قيمتها 50!",
+                        "two": "🍒 فاكهة إضافية على بعد خانتين - قيمتها 50!",
+                        "few": "🍒 فاكهة إضافية على بعد {distance} خانات - قيمتها 50!",
+                        "other": "🍒 فاكهة إضافية على بعد {distance} خانة - قيمتها 50!"
+                    },
+                    "expiring": {
+                        "one": "⏳ الفاكهة الإضافية ستختفي - على بعد خانة واحدة",
+                        "two": "⏳ الفاكهة الإضافية ستختفي - على بعد خانتين",
+                        "few": "⏳ الفاكهة الإضافية ستختفي - على بعد {distance} خانات",
+                        "other": "⏳ الفاكهة الإضافية ستختفي - على بعد {distance} خانة"
+                    },
+                    "slow": {
+                        "one": "🐢 عنصر الإبطاء على بعد خانة واحدة - التقطه لتلتقط أنفاسك",
+                        "two": "🐢 عنصر الإبطاء على بعد خانتين - التقطه لتلتقط أنفاسك",
+                        "few": "🐢 عنصر الإبطاء على بعد {distance} خانات - التقطه لتلتقط أنفاسك",
+                        "other": "🐢 عنصر الإبطاء على بعد {distance} خانة - التقطه لتلتقط أنفاسك"
+                    },
+                    "shrink": {
+                        "one": "✂️ عنصر التقليص على بعد خانة واحدة - يقص ذيلك",
+                        "two": "✂️ عنصر التقليص على بعد خانتين - يقص ذيلك",
+                        "few": "✂️ عنصر التقليص على بعد {distance} خانات - يقص ذيلك",
+                        "other": "✂️ عنصر التقليص على بعد {distance} خانة - يقص ذيلك"
+                    },
+                    "ghost": {
+                        "one": "👻 عنصر الشبح على بعد خانة واحدة - اعبر جسمك لفترة",
+                        "two": "👻 عنصر الشبح على بعد خانتين - اعبر جسمك لفترة",
+                        "few": "👻 عنصر الشبح على بعد {distance} خانات - اعبر جسمك لفترة",
+                        "other": "👻 عنصر الشبح على بعد {distance} خانة - اعبر جسمك لفترة"
+                    }
+                }
+            },
+            "goodMove": {
+                "name": "حركات جيدة",
+                "messages": [
+                    "✨ حركة رائعة! واصل!",
+                    "👍 تباعد ممتاز!",
+                    "🎮 تنقل سلس!"
+                ]
+            },
+            "route": {
+                "name": "الطريق إلى الطعام",
+                "messages": {
+                    "clear": "🍎 الطعام {offset} - الطريق مفتوح",
+                    "detour": "🧭 الطريق المباشر مسدود - التف عبر {side}",
+                    "none": "🚧 لا يوجد طريق آمن إلى الطعام - اتبع ذيلك الآن"
+                }
+            }
+        },
+        "debrief": {
+            "lastMove": "💀 كان يمكن تجنبه حتى الحركة الأخيرة: {better} كان آمنًا، و{taken} أدى إلى الاصطدام",
+            "noReturn": {
+                "one": "💀 نقطة اللاعودة: قبل الاصطدام بخطوة واحدة",
+                "two": "💀 نقطة اللاعودة: قبل الاصطدام بخطوتين",
+                "few": "💀 نقطة اللاعودة: قبل الاصطدام بـ {ticks} خطوات",
+                "other": "💀 نقطة اللاعودة: قبل الاصطدام بـ {ticks} خطوة"
+            },
+            "missed": "🧭 الاتجاه إلى {better} كان فيه مخرج - {taken} أغلق عليك الطريق",
+            "boxedIn": {
+                "one": "📦 كنت محاصرًا قبل الاصطدام بأكثر من خطوة واحدة",
+                "two": "📦 كنت محاصرًا قبل الاصطدام بأكثر من خطوتين",
+                "few": "📦 كنت محاصرًا قبل الاصطدام بأكثر من {ticks} خطوات",
+                "other": "📦 كنت محاصرًا قبل الاصطدام بأكثر من {ticks} خطوة"
+            },
+            "unsure": {
+                "one": "🤔 الوضع متشابك جدًا لمعرفة أين خسرت الجولة - توقف المدرب عن الفحص قبل الاصطدام بخطوة واحدة",
+                "two": "🤔 الوضع متشابك جدًا لمعرفة أين خسرت الجولة - توقف المدرب عن الفحص قبل الاصطدام بخطوتين",
+                "few": "🤔 الوضع متشابك جدًا لمعرفة أين خسرت الجولة - توقف المدرب عن الفحص قبل الاصطدام بـ{ticks} خطوات",
+                "other": "🤔 الوضع متشابك جدًا لمعرفة أين خسرت الجولة - توقف المدرب عن الفحص قبل الاصطدام بـ{ticks} خطوة"
+            },
+            "ignored": {
+                "one": "⚠️ تجاهلت تحذيرًا واحدًا من المدرب قبل الاصطدام",
+                "two": "⚠️ تجاهلت تحذيرين من المدرب قبل الاصطدام",
+                "few": "⚠️ تجاهلت {count} تحذيرات من المدرب قبل الاصطدام",
+                "other": "⚠️ تجاهلت {count} تحذيرًا من المدرب قبل الاصطدام"
+            },
+            "heeded": "✅ لم تتجاهل أي تحذير من المدرب"
+        },
+        "focus": {
+            "danger": {
+                "one": "🎯 تركيز: {deaths} من آخر جولة انتهت بجدار - ستصلك تحذيرات الجدران أبكر",
+                "two": "🎯 تركيز: {deaths} من آخر جولتين انتهت بجدار - ستصلك تحذيرات الجدران أبكر",
+                "few": "🎯 تركيز: {deaths} من آخر {runs} جولات انتهت بجدار - ستصلك تحذيرات الجدران أبكر",
+                "other": "🎯 تركيز: {deaths} من آخر {runs} جولة انتهت بجدار - ستصلك تحذيرات الجدران أبكر"
+            },
+            "selfTrap": {
+                "one": "🎯 تركيز: {deaths} من آخر جولة انتهت بجسمك - راقب المساحة أمامك",
+                "two": "🎯 تركيز: {deaths} من آخر جولتين انتهت بجسمك - راقب المساحة أمامك",
+                "few": "🎯 تركيز: {deaths} من آخر {runs} جولات انتهت بجسمك - راقب المساحة أمامك",
+                "other": "🎯 تركيز: {deaths} من آخر {runs} جولة انتهت بجسمك - راقب المساحة أمامك"
+            },
+            "ignored": {
+                "danger": "🎯 تركيز: تتجاهل {percent}٪ من تحذيرات الجدران - جرّب الانعطاف عند ظهورها",
+                "selfTrap": "🎯 تركيز: تتجاهل {percent}٪ من تحذيرات ضيق المساحة - جرّب الاتجاه الذي تقترحه"
+            }
+        },
+        "gameOver": {
+            "wall": "💥 اصطدام بالجدار! النتيجة النهائية: {score}",
+            "self": "🔄 اصطدام بنفسك! النتيجة النهائية: {score}",
+            "obstacle": "🧱 اصطدام بعائق! النتيجة النهائية: {score}",
+            "win": "🏆 أكملت اللوحة! النتيجة النهائية: {score}",
+            "default": "انتهت اللعبة! النتيجة النهائية: {score}"
+        },
+        "versus": {
+            "draw": "🤝 تعادل! اصطدم الثعبانان معًا",
+            "match": "🏆 {winner} يفوز بالمباراة!",
+            "round": "🏁 {winner} يحسم الجولة!"
+        }
+    },
+    "tutorial": {
+        "button": "الدروس",
+        "leave": "مغادرة الدروس",
+        "drill": "التمرين",
+        "start": "ابدأ التمرين",
+        "passed": "نجحت في التمرين",
+        "failed": "لم تنجح في التمرين",
+        "next": "التمرين التالي",
+        "retry": "حاول مجددًا",
+        "upNext": "التالي: {name}",
+        "allDone": "🎓 اجتزت كل التمارين - أنت جاهز للعبة الحقيقية!",
+        "coachPassed": "🎓 نجحت في التمرين! أحسنت",
+        "fail": {
+            "wall": "💥 اصطدمت بالجدار - انعطف أبكر قليلًا",
+            "self": "🔄 اصطدمت بنفسك - اترك مساحة للانعطاف",
+            "obstacle": "🧱 اصطدمت بجدار الجيب - انعطف أبكر",
+            "edge": "🚧 اقتربت كثيرًا من الحافة - ابقَ في الوسط",
+            "default": "ليس تمامًا - حاول مجددًا"
+        },
+        "drills": {
+            "wallTurn": {
+                "name": "انعطف قبل الجدار",
+                "goal": "كُل التفاحة قرب الجدار البعيد دون أن تصطدم به.",
+                "steps": {
+                    "heading": "➡️ أنت متجه نحو الجدار. التفاحة في الأعلى بجانبه - انتظر اللحظة المناسبة",
+                    "turn": "⚠️ جدار أمامك! انعطف إلى الأعلى الآن قبل فوات الأوان",
+                    "apple": "👍 انعطاف رائع! اذهب الآن إلى التفاحة"
+                }
+            },
+            "pocket": {
+                "name": "اهرب من جيب على شكل U",
+                "goal": "اخرج من الطريق المسدود وعد إلى اللوحة المفتوحة.",
+                "steps": {
+                    "deadEnd": "🚧 طريق مسدود أمامك - المخرج الوحيد من حيث أتيت. انعطف إلى الأعلى أو الأسفل",
+                    "uturn": "↩️ جيد! انعطف الآن إلى اليسار وسر بمحاذاة جانب الجيب",
+                    "out": "🏃 واصل - اللوحة المفتوحة بعد الفتحة مباشرة"
+                }
+            },
+            "edgeFree": {
+                "name": "ابتعد عن الحواف",
+                "goal": "اجمع 5 تفاحات دون الاقتراب من أي حافة (الإطار الأحمر).",
+                "steps": {
+                    "rules": "🚧 اجمع 5 تفاحات وابقَ خارج الإطار الأحمر - لمسه يُفشل التمرين",
+                    "progress": "🍎 التفاحة الأولى! خطط لانعطافاتك مبكرًا كي لا تنجرف نحو الخارج",
+                    "last": "🏁 التفاحة الأخيرة - اهدأ وابقَ في الوسط"
+                }
+            }
+        }
+    },
+    "achievements": {
+        "title": "الإنجازات",
+        "count": "{unlocked} من {total} مفتوحة",
+        "unlocked": "فُتح إنجاز جديد",
+        "unlockedOn": "فُتح في {date}",
+        "locked": "مقفل",
+        "close": "✖ إغلاق",
+        "list": {
+            "firstBite": { "name": "القضمة الأولى", "description": "كُل أول تفاحة لك" },
+            "length25": { "name": "يكبر", "description": "صِل إلى طول 25" },
+            "length50": { "name": "الطول 50", "description": "صِل إلى طول 50" },
+            "topSpeed": { "name": "بأقصى سرعة", "description": "صِل إلى السرعة القصوى" },
+            "topSpeed30": { "name": "شيطان السرعة", "description": "ابقَ على السرعة القصوى 30 ثانية" },
+            "neverPaused": { "name": "بلا توقف", "description": "كُل 20 تفاحة وأنهِ اللعبة دون إيقاف مؤقت" },
+            "survivor10": { "name": "الناجي", "description": "انجُ من 10 أخطار حذّرك منها المدرب" },
+            "boardCleared": { "name": "اللوحة كاملة", "description": "املأ اللوحة بأكملها" }
+        }
+    },
+    "cause": {
+        "wall": "جدار",
+        "self": "جسمه",
+        "obstacle": "عائق",
+        "snake": "ثعبان آخر",
+        "head": "وجهًا لوجه",
+        "win": "إكمال اللوحة"
+    },
+    "difficulty": {
+        "easy": "سهل",
+        "normal": "عادي",
+        "hard": "صعب",
+        "insane": "جنوني",
+        "adaptive": "متكيف",
+        "level": "مرحلة مخصصة"
+    },
+    "layout": {
+        "open": "ساحة مفتوحة",
+        "pillars": "أعمدة",
+        "bars": "حواجز",
+        "tunnels": "أنفاق"
+    },
+    "theme": {
+        "neon": "نيون",
+        "gameboy": "جيم بوي",
+        "contrast": "تباين عالٍ",
+        "crt": "شاشة CRT"
+    },
+    "item": {
+        "bonus": "فاكهة إضافية",
+        "slow": "إبطاء",
+        "shrink": "تقليص",
+        "ghost": "شبح"
+    },
+    "autopilot": {
+        "greedy": "الأقصر إلى الطعام",
+        "floodFill": "ملء آمن",
+        "hamiltonian": "دورة هاميلتونية"
+    },
+    "controls": {
+        "group": {
+            "p1": "تحريك اللاعب 1",
+            "p2": "تحريك اللاعب 2 (المواجهة)",
+            "pause": "إيقاف/استئناف",
+            "mute": "كتم الصوت"
+        },
+        "rebind": "{group}: تغيير المفتاح",
+        "rebindMove": "{group} {direction}: تغيير المفتاح",
+        "space": "مسافة",
+        "swipeKey": "سحب",
+        "swipe": "اسحب على اللوحة، أو استخدم أزرار الاتجاه أو عصا ذراع التحكم (START للإيقاف)"
+    },
+    "errors": {
+        "unreadable": "تعذرت قراءة الملف",
+        "level": {
+            "format": "ليس ملف مستوى من الإصدار 1",
+            "size": "يجب أن يكون حجم اللوحة بين {min} و{max}",
+            "cells": "يجب أن تكون الجدران والطعام قوائم من الخلايا [x, y]",
+            "spawn": "نقطة البداية تحتاج إلى موضع واتجاه وطول من 1 إلى {max}",
+            "speed": "يجب أن يحقق منحنى السرعة {min} <= الأدنى <= البداية <= {max}، والزيادة >= 0",
+            "offBoard": "يجب أن تكون الجدران والطعام داخل اللوحة",
+            "spawnBlocked": "نقطة بداية الثعبان تتداخل مع جدار أو حافة اللوحة",
+            "spawnFacesWall": "نقطة بداية الثعبان تواجه جدارًا",
+            "boxedIn": "نقطة بداية الثعبان محاصرة",
+            "foodOnWall": "نقطة ظهور طعام موضوعة على جدار",
+            "foodUnreachable": "لا يمكن الوصول إلى الطعام عند {cells}",
+            "walledOff": {
+                "zero": "لا خلايا معزولة",
+                "one": "خلية مفتوحة واحدة معزولة - املأها بجدار",
+                "two": "خليتان مفتوحتان معزولتان - املأهما بجدران",
+                "few": "{count} خلايا مفتوحة معزولة - املأها بجدران",
+                "many": "{count} خلية مفتوحة معزولة - املأها بجدران",
+                "other": "{count} خلية مفتوحة معزولة - املأها بجدران"
+            }
+        },
+        "replay": {
+            "version": "إصدار إعادة العرض غير مدعوم",
+            "missingSeed": "إعادة العرض تفتقد بذرة الأرقام العشوائية",
+            "missingStart": "إعادة العرض تفتقد حالة البداية",
+            "inputs": "مدخلات إعادة العرض تالفة",
+            "noResult": "إعادة العرض بلا نتيجة"
+        },
+        "stats": {
+            "format": "ليس ملف إحصاءات",
+            "version": "إصدار الإحصاءات غير مدعوم",
+            "runs": "جولات الإحصاءات تالفة"
+        }
+    }
+};
@@ -0,0 +1,392 @@
+/* ===================================
+   LOCALE - ENGLISH
+   Reference bundle; every other locale falls back to it
+   =================================== */
+
+LOCALES.en = {
+    "meta": { "name": "English", "dir": "ltr" },
+    "ui": {
+        "title": "🐍 RETRO SNAKE",
+        "subtitle": "Classic Arcade Revival",
+        "score": "SCORE:",
+        "p1": "P1:",
+        "p2": "P2:",
+        "rounds": "ROUNDS:",
+        "high": "HIGH:",
+        "speed": "SPEED:",
+        "ghost": "GHOST:",
+        "mute": "Mute",
+        "volume": "Volume",
+        "coachTitle": "AI COACH",
+        "overlayTitle": "RETRO SNAKE",
+        "overlayMessage": "Get ready to play!",
+        "walls": "WALLS",
+        "wallsSolid": "Solid",
+        "wallsWrap": "Wrap-around",
+        "layout": "LAYOUT",
+        "board": "BOARD",
+        "difficulty": "DIFFICULTY",
+        "players": "PLAYERS",
+        "playersSolo": "1 - Solo",
+        "playersVersus": "2 - Versus",
+        "resumeGame": "RESUME GAME",
+        "startGame": "START GAME",
+        "startLevel": "START LEVEL",
+        "onLeaderboard": "ON THE LEADERBOARD!",
+        "initials": "INITIALS",
+        "levelEditor": "LEVEL EDITOR",
+        "stats": "STATS",
+        "achievements": "ACHIEVEMENTS",
+        "dpad": "Direction pad",
+        "up": "Up",
+        "down": "Down",
+        "left": "Left",
+        "right": "Right",
+        "pause": "PAUSE",
+        "restart": "RESTART",
+        "dpadToggle": "D-PAD",
+        "auto": "AUTO",
+        "strategy": "Autopilot strategy",
+        "strategyGreedy": "Greedy",
+        "strategyFloodFill": "Flood-fill",
+        "strategyHamiltonian": "Hamiltonian",
+        "replay": "REPLAY",
+        "export": "EXPORT",
+        "import": "IMPORT",
+        "stepTick": "Step one tick",
+        "replayPosition": "Replay position",
+        "playbackSpeed": "Playback speed",
+        "closeReplay": "Close replay",
+        "settings": "SETTINGS",
+        "theme": "THEME",
+        "language": "LANGUAGE",
+        "radar": "AUDIO RADAR",
+        "reducedMotion": "REDUCED MOTION",
+        "ghostRace": "GHOST RACE",
+        "coachHints": "COACH HINTS",
+        "controls": "CONTROLS",
+        "controlsHint": "Click a key to change it, then press the new key (Esc cancels).",
+        "resetKeys": "RESET KEYS",
+        "pageTitle": "Retro Snake Game - AI Coach Edition",
+        "footer": "Crafted with ❤️ by Payal Kumari | Retro Snake with an AI Coach"
+    },
+    "editor": {
+        "wall": "🧱 WALL",
+        "erase": "🧽 ERASE",
+        "spawn": "🐍 SPAWN",
+        "food": "🍎 FOOD",
+        "name": "NAME",
+        "size": "SIZE",
+        "wrap": "WRAP",
+        "direction": "DIRECTION",
+        "length": "LENGTH",
+        "startMs": "START MS",
+        "stepMs": "STEP MS",
+        "minMs": "MIN MS",
+        "play": "▶ PLAY",
+        "save": "💾 SAVE",
+        "load": "📂 LOAD",
+        "clear": "🗑 CLEAR",
+        "close": "✖ CLOSE",
+        "playable": "✔ Level is playable",
+        "unreadable": "Could not read level file"
+    },
+    "stats": {
+        "leaderboard": "LEADERBOARD",
+        "difficulty": "DIFFICULTY",
+        "name": "NAME",
+        "score": "SCORE",
+        "length": "LEN",
+        "time": "TIME",
+        "mode": "MODE",
+        "end": "END",
+        "averages": "AVERAGES",
+        "runsLabel": "RUNS",
+        "averageScore": "SCORE",
+        "averageLength": "LENGTH",
+        "averageTime": "TIME",
+        "topSpeed": "TOP SPEED",
+        "howRunsEnd": "HOW RUNS END",
+        "scoreOverTime": "SCORE OVER TIME",
+        "export": "💾 EXPORT",
+        "import": "📂 IMPORT",
+        "close": "✖ CLOSE",
+        "noRuns": "No runs yet - go play!",
+        "emptyChart": "Score over time appears after your first run",
+        "runs": { "one": "{count} run", "other": "{count} runs" },
+        "importError": "Could not import: {error}",
+        "board": "{size}x{size} {layout}",
+        "boardWrap": "{size}x{size} {layout} (wrap)",
+        "boardLevel": "Level: {name}",
+        "beforeStats": "Before stats"
+    },
+    "game": {
+        "paused": "⏸ Game Paused",
+        "resumed": "▶ Resumed! Stay focused!",
+        "restored": "💾 Game restored - press SPACE when you are ready",
+        "restoreFailed": "❌ The saved game could not be restored",
+        "replayUnreadable": "❌ Could not read replay file",
+        "autopilot": "AUTOPILOT: {strategy}",
+        "pathOn": "PATH: ON",
+        "pathOff": "PATH: OFF",
+        "musicOn": "MUSIC: ON",
+        "musicOff": "MUSIC: OFF",
+        "levelLoaded": "Custom level loaded - change the mode to leave it.",
+        "gameOver": "GAME OVER",
+        "finalScore": "Final Score: {score}",
+        "highScore": "High Score: {score}",
+        "newHighScore": "🏆 New High Score!",
+        "playAgain": "PLAY AGAIN",
+        "matchWinner": "{winner} WINS THE MATCH",
+        "roundWinner": "{winner} WINS THE ROUND",
+        "draw": "DRAW",
+        "scores": "Scores: {scores}",
+        "rounds": "Rounds: {rounds} (first to {target})",
+        "newMatch": "NEW MATCH",
+        "nextRound": "NEXT ROUND",
+        "player": "P{number}",
+        "seconds": "{seconds}s"
+    },
+    "coach": {
+        "severity": {
+            "danger": "⛔ DANGER",
+            "warning": "⚠️ WARNING",
+            "success": "✅ GOOD",
+            "info": "ℹ️ INFO"
+        },
+        "intro": "Press START to begin your journey!",
+        "start": "Let's go! Stay alert!",
+        "direction": { "UP": "UP", "DOWN": "DOWN", "LEFT": "LEFT", "RIGHT": "RIGHT" },
+        "side": { "top": "top", "bottom": "bottom", "left": "left", "right": "right" },
+        "offset": {
+            "left": "{count} left",
+            "right": "{count} right",
+            "up": "{count} up",
+            "down": "{count} down"
+        },
+        "rules": {
+            "wallDanger": {
+                "name": "Wall ahead",
+                "messages": [
+                    "⚠️ Wall ahead! Turn now!",
+                    "🚨 Danger zone! Change direction!",
+                    "⛔ You're heading into a wall!"
+                ]
+            },
+            "selfTrap": {
+                "name": "Boxing yourself in",
+                "messages": [
+                    { "one": "🔄 You're boxing yourself in! ➡️ Go {direction} ({space} cell open)", "other": "🔄 You're boxing yourself in! ➡️ Go {direction} ({space} cells open)" },
+                    { "one": "⚡ Tight space! Plan your escape! ➡️ Go {direction} ({space} cell open)", "other": "⚡ Tight space! Plan your escape! ➡️ Go {direction} ({space} cells open)" },
+                    { "one": "🎯 Leave yourself room to move! ➡️ Go {direction} ({space} cell open)", "other": "🎯 Leave yourself room to move! ➡️ Go {direction} ({space} cells open)" }
+                ]
+            },
+            "pickup": {
+                "name": "Pickups in reach",
+                "messages": {
+                    "bonus": { "one": "🍒 Bonus fruit {distance} cell away — worth 50!", "other": "🍒 Bonus fruit {distance} cells away — worth 50!" },
+                    "expiring": { "one": "⏳ Bonus fruit expiring — {distance} cell away", "other": "⏳ Bonus fruit expiring — {distance} cells away" },
+                    "slow": { "one": "🐢 Slow-down {distance} cell away — grab it to catch your breath", "other": "🐢 Slow-down {distance} cells away — grab it to catch your breath" },
+                    "shrink": { "one": "✂️ Shrink pickup {distance} cell away — trims your tail", "other": "✂️ Shrink pickup {distance} cells away — trims your tail" },
+                    "ghost": { "one": "👻 Ghost pickup {distance} cell away — pass through yourself for a while", "other": "👻 Ghost pickup {distance} cells away — pass through yourself for a while" }
+                }
+            },
+            "goodMove": {
+                "name": "Good moves",
+                "messages": [
+                    "✨ Nice move! Keep it up!",
+                    "👍 Good spacing!",
+                    "🎮 Smooth navigation!"
+                ]
+            },
+            "route": {
+                "name": "Route to the food",
+                "messages": {
+                    "clear": "🍎 Food is {offset} — path clear",
+                    "detour": "🧭 Direct path blocked — go around via the {side}",
+                    "none": "🚧 No safe path to the food — follow your tail for now"
+                }
+            }
+        },
+        "debrief": {
+            "lastMove": "💀 Avoidable until the very last move: {better} was safe, {taken} crashed",
+            "noReturn": { "one": "💀 Point of no return: {ticks} tick before the crash", "other": "💀 Point of no return: {ticks} ticks before the crash" },
+            "missed": "🧭 Going {better} there still had a way out — {taken} sealed you in",
+            "boxedIn": { "one": "📦 Already boxed in more than {ticks} tick before the crash", "other": "📦 Already boxed in more than {ticks} ticks before the crash" },
+            "unsure": { "one": "🤔 Too tangled to tell where the run was lost - the coach gave up checking {ticks} tick before the crash", "other": "🤔 Too tangled to tell where the run was lost - the coach gave up checking {ticks} ticks before the crash" },
+            "ignored": { "one": "⚠️ {count} coach warning ignored before the crash", "other": "⚠️ {count} coach warnings ignored before the crash" },
+            "heeded": "✅ No coach warnings ignored"
+        },
+        "focus": {
+            "danger": { "one": "🎯 Focus: {deaths} of your last {runs} run ended in a wall — wall warnings come sooner now", "other": "🎯 Focus: {deaths} of your last {runs} runs ended in a wall — wall warnings come sooner now" },
+            "selfTrap": { "one": "🎯 Focus: {deaths} of your last {runs} run ended in your own body — watch the space ahead", "other": "🎯 Focus: {deaths} of your last {runs} runs ended in your own body — watch the space ahead" },
+            "ignored": {
+                "danger": "🎯 Focus: you skip {percent}% of wall warnings — try turning when they show",
+                "selfTrap": "🎯 Focus: you skip {percent}% of tight-space warnings — try the direction they name"
+            }
+        },
+        "gameOver": {
+            "wall": "💥 Wall collision! Final score: {score}",
+            "self": "🔄 Self collision! Final score: {score}",
+            "obstacle": "🧱 Obstacle collision! Final score: {score}",
+            "win": "🏆 Board cleared! Final score: {score}",
+            "default": "Game Over! Final score: {score}"
+        },
+        "versus": {
+            "draw": "🤝 Draw! Both snakes crashed",
+            "match": "🏆 {winner} wins the match!",
+            "round": "🏁 {winner} takes the round!"
+        }
+    },
+    "tutorial": {
+        "button": "TUTORIAL",
+        "leave": "LEAVE TUTORIAL",
+        "drill": "DRILL",
+        "start": "START DRILL",
+        "passed": "DRILL PASSED",
+        "failed": "DRILL FAILED",
+        "next": "NEXT DRILL",
+        "retry": "TRY AGAIN",
+        "upNext": "Up next: {name}",
+        "allDone": "🎓 Every drill passed - you're ready for the real game!",
+        "coachPassed": "🎓 Drill passed! Well done",
+        "fail": {
+            "wall": "💥 You hit the wall - turn a little earlier",
+            "self": "🔄 You ran into yourself - leave room to turn",
+            "obstacle": "🧱 You hit the pocket wall - turn sooner",
+            "edge": "🚧 Too close to the edge - keep to the middle",
+            "default": "Not quite - try again"
+        },
+        "drills": {
+            "wallTurn": {
+                "name": "Turn before the wall",
+                "goal": "Eat the apple by the far wall without crashing into it.",
+                "steps": {
+                    "heading": "➡️ You're heading for the wall. The apple is up beside it - wait for the right moment",
+                    "turn": "⚠️ Wall ahead! Turn UP now, before it's too late",
+                    "apple": "👍 Nice turn! Now go get the apple"
+                }
+            },
+            "pocket": {
+                "name": "Escape a U-shaped pocket",
+                "goal": "Get out of the dead end and back to the open board.",
+                "steps": {
+                    "deadEnd": "🚧 Dead end ahead - the only way out is back where you came from. Turn UP or DOWN",
+                    "uturn": "↩️ Good! Now turn LEFT and run along the side of the pocket",
+                    "out": "🏃 Keep going - the open board is just past the opening"
+                }
+            },
+            "edgeFree": {
+                "name": "Stay off the edges",
+                "goal": "Collect 5 apples without going near an edge (the red border).",
+                "steps": {
+                    "rules": "🚧 Collect 5 apples, but keep out of the red border - touching it fails the drill",
+                    "progress": "🍎 First apple! Plan your turns early so you never drift outward",
+                    "last": "🏁 Last apple - stay calm and keep to the middle"
+                }
+            }
+        }
+    },
+    "achievements": {
+        "title": "ACHIEVEMENTS",
+        "count": "{unlocked} of {total} unlocked",
+        "unlocked": "ACHIEVEMENT UNLOCKED",
+        "unlockedOn": "Unlocked {date}",
+        "locked": "Locked",
+        "close": "✖ CLOSE",
+        "list": {
+            "firstBite": { "name": "First bite", "description": "Eat your first apple" },
+            "length25": { "name": "Growing up", "description": "Reach a length of 25" },
+            "length50": { "name": "Length 50", "description": "Reach a length of 50" },
+            "topSpeed": { "name": "Full throttle", "description": "Reach the top speed" },
+            "topSpeed30": { "name": "Speed demon", "description": "Stay at top speed for 30 seconds" },
+            "neverPaused": { "name": "Never paused", "description": "Eat 20 apples and finish the game without pausing" },
+            "survivor10": { "name": "Survivor", "description": "Get out of 10 dangers the coach warned you about" },
+            "boardCleared": { "name": "Clean sweep", "description": "Fill the whole board" }
+        }
+    },
+    "cause": {
+        "wall": "Wall",
+        "self": "Own body",
+        "obstacle": "Obstacle",
+        "snake": "Other snake",
+        "head": "Head-on",
+        "win": "Board cleared"
+    },
+    "difficulty": {
+        "easy": "Easy",
+        "normal": "Normal",
+        "hard": "Hard",
+        "insane": "Insane",
+        "adaptive": "Adaptive",
+        "level": "Custom level"
+    },
+    "layout": {
+        "open": "Open field",
+        "pillars": "Pillars",
+        "bars": "Bars",
+        "tunnels": "Tunnels"
+    },
+    "theme": {
+        "neon": "Neon",
+        "gameboy": "Game Boy",
+        "contrast": "High contrast",
+        "crt": "CRT"
+    },
+    "item": {
+        "bonus": "Bonus fruit",
+        "slow": "Slow-down",
+        "shrink": "Shrink",
+        "ghost": "Ghost"
+    },
+    "autopilot": {
+        "greedy": "Greedy to food",
+        "floodFill": "Flood-fill safe",
+        "hamiltonian": "Hamiltonian cycle"
+    },
+    "controls": {
+        "group": {
+            "p1": "P1 move",
+            "p2": "P2 move (versus)",
+            "pause": "Pause/Resume",
+            "mute": "Mute sound"
+        },
+        "rebind": "{group}: change key",
+        "rebindMove": "{group} {direction}: change key",
+        "space": "SPACE",
+        "swipeKey": "SWIPE",
+        "swipe": "Swipe the board, or gamepad d-pad/stick (START pauses)"
+    },
+    "errors": {
+        "unreadable": "The file could not be read",
+        "level": {
+            "format": "Not a version 1 level file",
+            "size": "Board size must be {min}-{max}",
+            "cells": "Walls and food must be lists of [x, y] cells",
+            "spawn": "Spawn needs a position, a direction and a length of 1-{max}",
+            "speed": "Speed curve must satisfy {min} <= min <= initial <= {max}, increment >= 0",
+            "offBoard": "Walls and food must lie on the board",
+            "spawnBlocked": "Snake spawn overlaps a wall or the board edge",
+            "spawnFacesWall": "Snake spawn faces a wall",
+            "boxedIn": "Snake spawn is boxed in",
+            "foodOnWall": "Food spawn point placed on a wall",
+            "foodUnreachable": "Food unreachable at {cells}",
+            "walledOff": {
+                "one": "{count} open cell is walled off - fill it with a wall",
+                "other": "{count} open cells are walled off - fill them with walls"
+            }
+        },
+        "replay": {
+            "version": "Unsupported replay version",
+            "missingSeed": "Replay is missing its RNG seed",
+            "missingStart": "Replay is missing its start state",
+            "inputs": "Replay inputs are malformed",
+            "noResult": "Replay has no result"
+        },
+        "stats": {
+            "format": "Not a stats file",
+            "version": "Unsupported stats version",
+            "runs": "Stats runs are malformed"
+        }
+    }
+};
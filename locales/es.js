@@ -0,0 +1,392 @@
+/* ===================================
+   LOCALE - SPANISH
+   Missing keys fall back to English
+   =================================== */
+
+LOCALES.es = {
+    "meta": { "name": "Español", "dir": "ltr" },
+    "ui": {
+        "title": "🐍 RETRO SNAKE",
+        "subtitle": "El clásico de las recreativas, de vuelta",
+        "score": "PUNTOS:",
+        "p1": "J1:",
+        "p2": "J2:",
+        "rounds": "RONDAS:",
+        "high": "RÉCORD:",
+        "speed": "VELOCIDAD:",
+        "ghost": "FANTASMA:",
+        "mute": "Silenciar",
+        "volume": "Volumen",
+        "coachTitle": "ENTRENADOR IA",
+        "overlayTitle": "RETRO SNAKE",
+        "overlayMessage": "¡Prepárate para jugar!",
+        "walls": "PAREDES",
+        "wallsSolid": "Sólidas",
+        "wallsWrap": "Atravesables",
+        "layout": "MAPA",
+        "board": "TABLERO",
+        "difficulty": "DIFICULTAD",
+        "players": "JUGADORES",
+        "playersSolo": "1 - Solo",
+        "playersVersus": "2 - Duelo",
+        "resumeGame": "CONTINUAR PARTIDA",
+        "startGame": "EMPEZAR",
+        "startLevel": "JUGAR NIVEL",
+        "onLeaderboard": "¡EN LA CLASIFICACIÓN!",
+        "initials": "INICIALES",
+        "levelEditor": "EDITOR DE NIVELES",
+        "stats": "ESTADÍSTICAS",
+        "achievements": "LOGROS",
+        "dpad": "Cruceta",
+        "up": "Arriba",
+        "down": "Abajo",
+        "left": "Izquierda",
+        "right": "Derecha",
+        "pause": "PAUSA",
+        "restart": "REINICIAR",
+        "dpadToggle": "CRUCETA",
+        "auto": "AUTO",
+        "strategy": "Estrategia del piloto automático",
+        "strategyGreedy": "Voraz",
+        "strategyFloodFill": "Relleno",
+        "strategyHamiltonian": "Hamiltoniana",
+        "replay": "REPETICIÓN",
+        "export": "EXPORTAR",
+        "import": "IMPORTAR",
+        "stepTick": "Avanzar un paso",
+        "replayPosition": "Posición de la repetición",
+        "playbackSpeed": "Velocidad de reproducción",
+        "closeReplay": "Cerrar repetición",
+        "settings": "AJUSTES",
+        "theme": "TEMA",
+        "language": "IDIOMA",
+        "radar": "RADAR SONORO",
+        "reducedMotion": "MENOS MOVIMIENTO",
+        "ghostRace": "CARRERA FANTASMA",
+        "coachHints": "CONSEJOS DEL ENTRENADOR",
+        "controls": "CONTROLES",
+        "controlsHint": "Haz clic en una tecla para cambiarla y pulsa la nueva (Esc cancela).",
+        "resetKeys": "RESTABLECER TECLAS",
+        "pageTitle": "Retro Snake - Edición con entrenador IA",
+        "footer": "Hecho con ❤️ por Payal Kumari | Retro Snake con entrenador IA"
+    },
+    "editor": {
+        "wall": "🧱 PARED",
+        "erase": "🧽 BORRAR",
+        "spawn": "🐍 SALIDA",
+        "food": "🍎 COMIDA",
+        "name": "NOMBRE",
+        "size": "TAMAÑO",
+        "wrap": "ATRAVESAR",
+        "direction": "DIRECCIÓN",
+        "length": "LONGITUD",
+        "startMs": "MS INICIAL",
+        "stepMs": "MS POR PASO",
+        "minMs": "MS MÍNIMO",
+        "play": "▶ JUGAR",
+        "save": "💾 GUARDAR",
+        "load": "📂 CARGAR",
+        "clear": "🗑 VACIAR",
+        "close": "✖ CERRAR",
+        "playable": "✔ El nivel se puede jugar",
+        "unreadable": "No se pudo leer el archivo de nivel"
+    },
+    "stats": {
+        "leaderboard": "CLASIFICACIÓN",
+        "difficulty": "DIFICULTAD",
+        "name": "NOMBRE",
+        "score": "PUNTOS",
+        "length": "LONG",
+        "time": "TIEMPO",
+        "mode": "MODO",
+        "end": "FINAL",
+        "averages": "PROMEDIOS",
+        "runsLabel": "PARTIDAS",
+        "averageScore": "PUNTOS",
+        "averageLength": "LONGITUD",
+        "averageTime": "TIEMPO",
+        "topSpeed": "VELOCIDAD MÁX.",
+        "howRunsEnd": "CÓMO TERMINAN LAS PARTIDAS",
+        "scoreOverTime": "PUNTOS A LO LARGO DEL TIEMPO",
+        "export": "💾 EXPORTAR",
+        "import": "📂 IMPORTAR",
+        "close": "✖ CERRAR",
+        "noRuns": "Aún no hay partidas: ¡a jugar!",
+        "emptyChart": "La evolución aparecerá tras tu primera partida",
+        "runs": { "one": "{count} partida", "other": "{count} partidas" },
+        "importError": "No se pudo importar: {error}",
+        "board": "{size}x{size} {layout}",
+        "boardWrap": "{size}x{size} {layout} (sin bordes)",
+        "boardLevel": "Nivel: {name}",
+        "beforeStats": "Antes de las estadísticas"
+    },
+    "game": {
+        "paused": "⏸ Juego en pausa",
+        "resumed": "▶ ¡Seguimos! ¡Concéntrate!",
+        "restored": "💾 Partida recuperada: pulsa ESPACIO cuando estés listo",
+        "restoreFailed": "❌ No se pudo recuperar la partida guardada",
+        "replayUnreadable": "❌ No se pudo leer el archivo de repetición",
+        "autopilot": "PILOTO AUTOMÁTICO: {strategy}",
+        "pathOn": "RUTA: SÍ",
+        "pathOff": "RUTA: NO",
+        "musicOn": "MÚSICA: SÍ",
+        "musicOff": "MÚSICA: NO",
+        "levelLoaded": "Nivel personalizado cargado: cambia el modo para salir.",
+        "gameOver": "FIN DE LA PARTIDA",
+        "finalScore": "Puntuación final: {score}",
+        "highScore": "Récord: {score}",
+        "newHighScore": "🏆 ¡Nuevo récord!",
+        "playAgain": "JUGAR DE NUEVO",
+        "matchWinner": "¡{winner} GANA EL DUELO!",
+        "roundWinner": "¡{winner} GANA LA RONDA!",
+        "draw": "EMPATE",
+        "scores": "Puntos: {scores}",
+        "rounds": "Rondas: {rounds} (gana quien llegue a {target})",
+        "newMatch": "NUEVO DUELO",
+        "nextRound": "SIGUIENTE RONDA",
+        "player": "J{number}",
+        "seconds": "{seconds} s"
+    },
+    "coach": {
+        "severity": {
+            "danger": "⛔ PELIGRO",
+            "warning": "⚠️ AVISO",
+            "success": "✅ BIEN",
+            "info": "ℹ️ INFO"
+        },
+        "intro": "¡Pulsa EMPEZAR para comenzar tu aventura!",
+        "start": "¡Vamos! ¡Atento!",
+        "direction": { "UP": "ARRIBA", "DOWN": "ABAJO", "LEFT": "IZQUIERDA", "RIGHT": "DERECHA" },
+        "side": { "top": "arriba", "bottom": "abajo", "left": "izquierda", "right": "derecha" },
+        "offset": {
+            "left": "{count} a la izquierda",
+            "right": "{count} a la derecha",
+            "up": "{count} arriba",
+            "down": "{count} abajo"
+        },
+        "rules": {
+            "wallDanger": {
+                "name": "Pared delante",
+                "messages": [
+                    "⚠️ ¡Pared delante! ¡Gira ya!",
+                    "🚨 ¡Zona de peligro! ¡Cambia de dirección!",
+                    "⛔ ¡Vas directo a una pared!"
+                ]
+            },
+            "selfTrap": {
+                "name": "Te estás encerrando",
+                "messages": [
+                    { "one": "🔄 ¡Te estás encerrando! ➡️ Ve hacia {direction} ({space} casilla libre)", "other": "🔄 ¡Te estás encerrando! ➡️ Ve hacia {direction} ({space} casillas libres)" },
+                    { "one": "⚡ ¡Poco espacio! ¡Planea tu salida! ➡️ Ve hacia {direction} ({space} casilla libre)", "other": "⚡ ¡Poco espacio! ¡Planea tu salida! ➡️ Ve hacia {direction} ({space} casillas libres)" },
+                    { "one": "🎯 ¡Déjate sitio para moverte! ➡️ Ve hacia {direction} ({space} casilla libre)", "other": "🎯 ¡Déjate sitio para moverte! ➡️ Ve hacia {direction} ({space} casillas libres)" }
+                ]
+            },
+            "pickup": {
+                "name": "Objetos al alcance",
+                "messages": {
+                    "bonus": { "one": "🍒 Fruta extra a {distance} casilla: ¡vale 50!", "other": "🍒 Fruta extra a {distance} casillas: ¡vale 50!" },
+                    "expiring": { "one": "⏳ La fruta extra va a desaparecer: está a {distance} casilla", "other": "⏳ La fruta extra va a desaparecer: está a {distance} casillas" },
+                    "slow": { "one": "🐢 Ralentizador a {distance} casilla: cógelo para tomar aire", "other": "🐢 Ralentizador a {distance} casillas: cógelo para tomar aire" },
+                    "shrink": { "one": "✂️ Tijeras a {distance} casilla: te recortan la cola", "other": "✂️ Tijeras a {distance} casillas: te recortan la cola" },
+                    "ghost": { "one": "👻 Fantasma a {distance} casilla: atraviésate a ti mismo un rato", "other": "👻 Fantasma a {distance} casillas: atraviésate a ti mismo un rato" }
+                }
+            },
+            "goodMove": {
+                "name": "Buenos movimientos",
+                "messages": [
+                    "✨ ¡Buen movimiento! ¡Sigue así!",
+                    "👍 ¡Buen espacio!",
+                    "🎮 ¡Qué soltura!"
+                ]
+            },
+            "route": {
+                "name": "Ruta hacia la comida",
+                "messages": {
+                    "clear": "🍎 La comida está {offset}: camino libre",
+                    "detour": "🧭 Camino directo bloqueado: rodea por {side}",
+                    "none": "🚧 No hay camino seguro a la comida: sigue tu cola por ahora"
+                }
+            }
+        },
+        "debrief": {
+            "lastMove": "💀 Evitable hasta el último movimiento: {better} era seguro, {taken} te estrelló",
+            "noReturn": { "one": "💀 Punto sin retorno: {ticks} paso antes del choque", "other": "💀 Punto sin retorno: {ticks} pasos antes del choque" },
+            "missed": "🧭 Ir hacia {better} aún tenía salida; {taken} te encerró",
+            "boxedIn": { "one": "📦 Ya estabas encerrado más de {ticks} paso antes del choque", "other": "📦 Ya estabas encerrado más de {ticks} pasos antes del choque" },
+            "unsure": { "one": "🤔 Demasiado enredado para saber dónde se perdió la partida: el entrenador dejó de comprobar {ticks} paso antes del choque", "other": "🤔 Demasiado enredado para saber dónde se perdió la partida: el entrenador dejó de comprobar {ticks} pasos antes del choque" },
+            "ignored": { "one": "⚠️ {count} aviso del entrenador ignorado antes del choque", "other": "⚠️ {count} avisos del entrenador ignorados antes del choque" },
+            "heeded": "✅ No ignoraste ningún aviso"
+        },
+        "focus": {
+            "danger": { "one": "🎯 Objetivo: {deaths} de tu última {runs} partida acabó contra una pared; los avisos de pared llegarán antes", "other": "🎯 Objetivo: {deaths} de tus últimas {runs} partidas acabaron contra una pared; los avisos de pared llegarán antes" },
+            "selfTrap": { "one": "🎯 Objetivo: {deaths} de tu última {runs} partida acabó contra tu cuerpo; vigila el espacio de delante", "other": "🎯 Objetivo: {deaths} de tus últimas {runs} partidas acabaron contra tu cuerpo; vigila el espacio de delante" },
+            "ignored": {
+                "danger": "🎯 Objetivo: ignoras el {percent} % de los avisos de pared; prueba a girar cuando aparezcan",
+                "selfTrap": "🎯 Objetivo: ignoras el {percent} % de los avisos de poco espacio; prueba la dirección que indican"
+            }
+        },
+        "gameOver": {
+            "wall": "💥 ¡Choque contra la pared! Puntuación final: {score}",
+            "self": "🔄 ¡Choque contigo mismo! Puntuación final: {score}",
+            "obstacle": "🧱 ¡Choque contra un obstáculo! Puntuación final: {score}",
+            "win": "🏆 ¡Tablero completado! Puntuación final: {score}",
+            "default": "¡Fin de la partida! Puntuación final: {score}"
+        },
+        "versus": {
+            "draw": "🤝 ¡Empate! Las dos serpientes chocaron",
+            "match": "🏆 ¡{winner} gana el duelo!",
+            "round": "🏁 ¡{winner} se lleva la ronda!"
+        }
+    },
+    "tutorial": {
+        "button": "TUTORIAL",
+        "leave": "SALIR DEL TUTORIAL",
+        "drill": "EJERCICIO",
+        "start": "EMPEZAR EJERCICIO",
+        "passed": "EJERCICIO SUPERADO",
+        "failed": "EJERCICIO FALLIDO",
+        "next": "SIGUIENTE EJERCICIO",
+        "retry": "REINTENTAR",
+        "upNext": "A continuación: {name}",
+        "allDone": "🎓 Todos los ejercicios superados: ¡ya estás listo para el juego de verdad!",
+        "coachPassed": "🎓 ¡Ejercicio superado! Bien hecho",
+        "fail": {
+            "wall": "💥 Chocaste con la pared: gira un poco antes",
+            "self": "🔄 Chocaste contigo mismo: deja espacio para girar",
+            "obstacle": "🧱 Chocaste con la pared del bolsillo: gira antes",
+            "edge": "🚧 Demasiado cerca del borde: mantente en el centro",
+            "default": "Casi: inténtalo otra vez"
+        },
+        "drills": {
+            "wallTurn": {
+                "name": "Gira antes de la pared",
+                "goal": "Cómete la manzana junto a la pared del fondo sin chocar con ella.",
+                "steps": {
+                    "heading": "➡️ Vas directo a la pared. La manzana está arriba, a su lado: espera el momento justo",
+                    "turn": "⚠️ ¡Pared delante! Gira ARRIBA ya, antes de que sea tarde",
+                    "apple": "👍 ¡Buen giro! Ahora ve a por la manzana"
+                }
+            },
+            "pocket": {
+                "name": "Sal de un bolsillo en U",
+                "goal": "Sal del callejón sin salida y vuelve al tablero abierto.",
+                "steps": {
+                    "deadEnd": "🚧 Callejón sin salida: la única salida es por donde viniste. Gira ARRIBA o ABAJO",
+                    "uturn": "↩️ ¡Bien! Ahora gira a la IZQUIERDA y recorre el lado del bolsillo",
+                    "out": "🏃 Sigue: el tablero abierto está justo tras la abertura"
+                }
+            },
+            "edgeFree": {
+                "name": "Lejos de los bordes",
+                "goal": "Recoge 5 manzanas sin acercarte a un borde (la franja roja).",
+                "steps": {
+                    "rules": "🚧 Recoge 5 manzanas, pero no entres en la franja roja: tocarla suspende el ejercicio",
+                    "progress": "🍎 ¡Primera manzana! Planea los giros pronto para no irte hacia fuera",
+                    "last": "🏁 Última manzana: con calma y por el centro"
+                }
+            }
+        }
+    },
+    "achievements": {
+        "title": "LOGROS",
+        "count": "{unlocked} de {total} desbloqueados",
+        "unlocked": "LOGRO DESBLOQUEADO",
+        "unlockedOn": "Desbloqueado el {date}",
+        "locked": "Bloqueado",
+        "close": "✖ CERRAR",
+        "list": {
+            "firstBite": { "name": "Primer bocado", "description": "Cómete tu primera manzana" },
+            "length25": { "name": "Creciendo", "description": "Alcanza una longitud de 25" },
+            "length50": { "name": "Longitud 50", "description": "Alcanza una longitud de 50" },
+            "topSpeed": { "name": "A todo gas", "description": "Alcanza la velocidad máxima" },
+            "topSpeed30": { "name": "Demonio de la velocidad", "description": "Aguanta 30 segundos a velocidad máxima" },
+            "neverPaused": { "name": "Sin pausas", "description": "Cómete 20 manzanas y termina la partida sin pausar" },
+            "survivor10": { "name": "Superviviente", "description": "Sal de 10 peligros de los que te avisó el entrenador" },
+            "boardCleared": { "name": "Tablero lleno", "description": "Llena el tablero entero" }
+        }
+    },
+    "cause": {
+        "wall": "Pared",
+        "self": "Propio cuerpo",
+        "obstacle": "Obstáculo",
+        "snake": "Otra serpiente",
+        "head": "De frente",
+        "win": "Tablero completado"
+    },
+    "difficulty": {
+        "easy": "Fácil",
+        "normal": "Normal",
+        "hard": "Difícil",
+        "insane": "Locura",
+        "adaptive": "Adaptativa",
+        "level": "Nivel personalizado"
+    },
+    "layout": {
+        "open": "Campo abierto",
+        "pillars": "Pilares",
+        "bars": "Barras",
+        "tunnels": "Túneles"
+    },
+    "theme": {
+        "neon": "Neón",
+        "gameboy": "Game Boy",
+        "contrast": "Alto contraste",
+        "crt": "CRT"
+    },
+    "item": {
+        "bonus": "Fruta extra",
+        "slow": "Ralentizador",
+        "shrink": "Tijeras",
+        "ghost": "Fantasma"
+    },
+    "autopilot": {
+        "greedy": "Voraz hacia la comida",
+        "floodFill": "Relleno seguro",
+        "hamiltonian": "Ciclo hamiltoniano"
+    },
+    "controls": {
+        "group": {
+            "p1": "Mover J1",
+            "p2": "Mover J2 (versus)",
+            "pause": "Pausar/Reanudar",
+            "mute": "Silenciar sonido"
+        },
+        "rebind": "{group}: cambiar tecla",
+        "rebindMove": "{group} {direction}: cambiar tecla",
+        "space": "ESPACIO",
+        "swipeKey": "DESLIZAR",
+        "swipe": "Desliza sobre el tablero, o cruceta/palanca del mando (START pausa)"
+    },
+    "errors": {
+        "unreadable": "No se pudo leer el archivo",
+        "level": {
+            "format": "No es un archivo de nivel de la versión 1",
+            "size": "El tablero debe medir entre {min} y {max}",
+            "cells": "Los muros y la comida deben ser listas de celdas [x, y]",
+            "spawn": "La salida necesita una posición, una dirección y una longitud de 1 a {max}",
+            "speed": "La curva de velocidad debe cumplir {min} <= mín <= inicial <= {max}, paso >= 0",
+            "offBoard": "Los muros y la comida deben estar dentro del tablero",
+            "spawnBlocked": "La salida de la serpiente choca con un muro o el borde",
+            "spawnFacesWall": "La salida de la serpiente mira a un muro",
+            "boxedIn": "La salida de la serpiente está encerrada",
+            "foodOnWall": "Hay un punto de comida sobre un muro",
+            "foodUnreachable": "Comida inalcanzable en {cells}",
+            "walledOff": {
+                "one": "{count} celda libre está aislada - rellénala con un muro",
+                "other": "{count} celdas libres están aisladas - rellénalas con muros"
+            }
+        },
+        "replay": {
+            "version": "Versión de repetición no compatible",
+            "missingSeed": "A la repetición le falta la semilla aleatoria",
+            "missingStart": "A la repetición le falta el estado inicial",
+            "inputs": "Las entradas de la repetición están dañadas",
+            "noResult": "La repetición no tiene resultado"
+        },
+        "stats": {
+            "format": "No es un archivo de estadísticas",
+            "version": "Versión de estadísticas no compatible",
+            "runs": "Las partidas de las estadísticas están dañadas"
+        }
+    }
+};
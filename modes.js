@@ -0,0 +1,101 @@
+/* ===================================
+   GAME MODES - WALLS, LAYOUTS, SIZES
+   Turns a mode choice into engine config
+   =================================== */
+
+// Canvas edge length the board is scaled to fit
+const BOARD_PIXELS = 400;
+
+// Selectable board sizes (cells per side)
+const BOARD_SIZES = [10, 15, 20, 25, 30, 40];
+
+// Static obstacle layouts. Each builds its cells for an n x n board and keeps
+// the center row clear for the spawn.
+const OBSTACLE_LAYOUTS = {
+    open: {
+        name: 'Open field',
+        build: () => []
+    },
+    pillars: {
+        name: 'Pillars',
+        build(n) {
+            const q = Math.floor(n / 4);
+            const cells = [];
+            for (const [px, py] of [[q, q], [n - q - 2, q], [q, n - q - 2], [n - q - 2, n - q - 2]]) {
+                cells.push({ x: px, y: py }, { x: px + 1, y: py }, { x: px, y: py + 1 }, { x: px + 1, y: py + 1 });
+            }
+            return cells;
+        }
+    },
+    bars: {
+        name: 'Bars',
+        build(n) {
+            const q = Math.floor(n / 4);
+            const cells = [];
+            for (let x = q; x <= n - 1 - q; x++) {
+                cells.push({ x, y: q }, { x, y: n - 1 - q });
+            }
+            return cells;
+        }
+    },
+    tunnels: {
+        name: 'Tunnels',
+        build(n) {
+            // Border ring with a gap in the middle of each side
+            const center = Math.floor(n / 2);
+            const gap = Math.max(1, Math.floor(n / 10));
+            const cells = [];
+            for (let i = 0; i < n; i++) {
+                if (Math.abs(i - center) <= gap) continue;
+                cells.push({ x: i, y: 0 }, { x: i, y: n - 1 });
+                if (i > 0 && i < n - 1) {
+                    cells.push({ x: 0, y: i }, { x: n - 1, y: i });
+                }
+            }
+            return cells;
+        }
+    }
+};
+
+// Mode used until the player picks one
+const DEFAULT_MODE = {
+    wrap: false,
+    layout: 'open',
+    size: 20,
+    players: 1
+};
+
+/**
+ * Fill in and clamp a (possibly stored) mode choice
+ */
+function normalizeMode(mode = {}) {
+    const size = BOARD_SIZES.includes(Number(mode.size)) ? Number(mode.size) : DEFAULT_MODE.size;
+    return {
+        wrap: mode.wrap === true,
+        layout: OBSTACLE_LAYOUTS[mode.layout] ? mode.layout : DEFAULT_MODE.layout,
+        size,
+        players: Number(mode.players) === 2 ? 2 : 1
+    };
+}
+
+/**
+ * Engine config for a mode, built on top of the base CONFIG
+ * @param {Object} base - Settings shared by every mode
+ * @param {Object} mode - { wrap, layout, size, players }
+ */
+function createModeConfig(base, mode) {
+    const { wrap, layout, size, players } = normalizeMode(mode);
+    return {
+        ...base,
+        gridSize: size,
+        cellSize: Math.floor(BOARD_PIXELS / size),
+        players,
+        wrap,
+        obstacles: OBSTACLE_LAYOUTS[layout].build(size)
+    };
+}
+
+// Allow modes to be used with the engine from Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BOARD_PIXELS, BOARD_SIZES, OBSTACLE_LAYOUTS, DEFAULT_MODE, normalizeMode, createModeConfig };
+}
@@ -0,0 +1,179 @@
+/* ===================================
+   REPLAYS - RECORDING AND PLAYBACK
+   Seed + start state + inputs = the whole game
+   =================================== */
+
+const REPLAY_VERSION = 2;
+
+/**
+ * Name of a direction vector ('UP', 'DOWN', ...), used in replay files
+ */
+function directionName(direction) {
+    return Object.keys(DIRECTION).find(name =>
+        DIRECTION[name].x === direction.x && DIRECTION[name].y === direction.y
+    );
+}
+
+/**
+ * Deep copy of plain state data
+ */
+function cloneState(state) {
+    return JSON.parse(JSON.stringify(state));
+}
+
+// Recorder Class - Captures a game as it is played
+class ReplayRecorder {
+    /**
+     * @param {Object} config - Config the game runs with
+     * @param {number} seed - RNG seed of the game
+     * @param {number} rngState - RNG position once the start state was built
+     * @param {Object} start - Engine state before the first tick
+     */
+    constructor(config, seed, rngState, start) {
+        this.log = {
+            version: REPLAY_VERSION,
+            seed,
+            rngState,
+            config: { ...config },
+            start: cloneState(start),
+            inputs: [],
+            result: null,
+            recordedAt: new Date().toISOString()
+        };
+        this.lastDirections = start.snakes.map(snake => directionName(snake.direction));
+    }
+
+    /**
+     * Record the direction each snake took on a tick, only when it changes.
+     * Entries are [tick, direction] for player one, [tick, direction, player] otherwise.
+     */
+    record(state) {
+        state.snakes.forEach((snake, player) => {
+            const name = directionName(snake.direction);
+            if (name === this.lastDirections[player]) return;
+
+            this.log.inputs.push(player === 0 ? [state.tick, name] : [state.tick, name, player]);
+            this.lastDirections[player] = name;
+        });
+    }
+
+    /**
+     * Carry on recording an unfinished log (a saved game) from its last state
+     * @param {Object} log - Log with result still null
+     * @param {Object} state - Engine state the log has been played up to
+     */
+    static resume(log, state) {
+        const recorder = new ReplayRecorder(log.config, log.seed, log.rngState, log.start);
+        recorder.log.inputs = log.inputs.map(input => [...input]);
+        recorder.log.recordedAt = log.recordedAt;
+        recorder.lastDirections = state.snakes.map(snake => directionName(snake.direction));
+        return recorder;
+    }
+
+    /**
+     * Close the log with the outcome and return it
+     */
+    finish(state) {
+        this.log.result = {
+            score: state.snakes[0].score,
+            scores: state.snakes.map(snake => snake.score),
+            cause: state.cause,
+            winner: state.winner,
+            ticks: state.tick
+        };
+        return this.log;
+    }
+}
+
+// Player Class - Rebuilds any tick of a recorded game
+class ReplayPlayer {
+    /**
+     * @param {Object} log - Replay log (see ReplayRecorder)
+     */
+    constructor(log) {
+        log = ReplayPlayer.migrate(log);
+        ReplayPlayer.validate(log);
+        this.log = log;
+        this.inputs = new Map(log.inputs.map(([tick, name, player = 0]) => [`${tick}:${player}`, DIRECTION[name]]));
+    }
+
+    /**
+     * Total number of ticks in the recording
+     */
+    get length() {
+        return this.log.result.ticks;
+    }
+
+    /**
+     * Fresh engine with the RNG at the recorded start position
+     */
+    createEngine() {
+        const rng = createRng(this.log.seed);
+        rng.state = this.log.rngState;
+        return new SnakeEngine(this.log.config, rng);
+    }
+
+    /**
+     * Copy of the state before the first tick
+     */
+    initialState() {
+        return cloneState(this.log.start);
+    }
+
+    /**
+     * Direction change recorded for a player on a tick, if any
+     */
+    inputAt(tick, player = 0) {
+        return this.inputs.get(`${tick}:${player}`) || null;
+    }
+
+    /**
+     * Upgrade older logs. Version 1 stored a single `snake` and a global score.
+     */
+    static migrate(log) {
+        if (!log || log.version !== 1 || !log.start || !log.start.snake) {
+            return log;
+        }
+
+        const { snake, score, ...start } = log.start;
+        return {
+            ...log,
+            version: REPLAY_VERSION,
+            start: {
+                ...start,
+                snakes: [{ ...snake, score: score || 0, alive: true, cause: null }],
+                winner: null
+            }
+        };
+    }
+
+    /**
+     * Reject logs that are not replays or were edited into nonsense
+     * @throws {Error} See localizedError; codes under 'replay.'
+     */
+    static validate(log) {
+        if (!log || log.version !== REPLAY_VERSION) {
+            throw localizedError('replay.version', 'Unsupported replay version');
+        }
+        if (!Number.isInteger(log.seed) || !Number.isInteger(log.rngState)) {
+            throw localizedError('replay.missingSeed', 'Replay is missing its RNG seed');
+        }
+        if (!log.config || !log.start || !Array.isArray(log.start.snakes) || log.start.snakes.length === 0 ||
+            log.start.snakes.some(snake => !snake || !Array.isArray(snake.body))) {
+            throw localizedError('replay.missingStart', 'Replay is missing its start state');
+        }
+        const players = log.start.snakes.length;
+        if (!Array.isArray(log.inputs) || log.inputs.some(([tick, name, player = 0]) =>
+            !Number.isInteger(tick) || !DIRECTION[name] || !Number.isInteger(player) || player < 0 || player >= players)) {
+            throw localizedError('replay.inputs', 'Replay inputs are malformed');
+        }
+        if (!log.result || !Number.isInteger(log.result.ticks)) {
+            throw localizedError('replay.noResult', 'Replay has no result');
+        }
+    }
+}
+
+// Allow replays to be verified from Node (with engine.js and i18n.js exports made global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReplayRecorder, ReplayPlayer, directionName, cloneState, REPLAY_VERSION };
+}
@@ -0,0 +1,129 @@
+/* ===================================
+   SAVED GAME - SUSPEND AND RESUME
+   One unfinished game kept across reloads
+   =================================== */
+
+/*
+ * Save format (JSON, version 1), kept in localStorage
+ *
+ * {
+ *   "format": "retro-snake-save",
+ *   "version": 1,
+ *   "savedAt": "...",
+ *   "replay": { ...replay log so far, result null... },   // See replay.js
+ *   "world": { ...engine state at the save... },
+ *   "setup": { "mode": {...}, "level": {...} or null, "difficulty": "normal" },
+ *   "match": { "wins": [0, 0] },
+ *   "progress": { "playTime": 41200, "peakSpeed": 4, "autopilotUsed": false }
+ * }
+ *
+ * The replay log is the source of truth: on load it is played back to the
+ * saved tick and has to land on exactly the saved world. A save edited by
+ * hand (a higher score, a shorter snake) fails that check and is dropped.
+ */
+
+const SAVE_FORMAT = 'retro-snake-save';
+const SAVE_VERSION = 1;
+const SAVE_KEY = 'snakeSavedGame';
+
+// Longest game worth re-simulating on load (about an hour at top speed)
+const SAVE_MAX_TICKS = 100000;
+
+/**
+ * Check a save and rebuild its game from the replay log
+ * @param {Object} save - Parsed save
+ * @returns {Object} { save, engine, world } - the save, and an engine and
+ *   state rebuilt from its replay, ready to play on
+ * @throws {Error} When the save is malformed or does not add up
+ */
+function validateSave(save) {
+    if (!save || save.format !== SAVE_FORMAT || save.version !== SAVE_VERSION) {
+        throw new Error('Not a version 1 saved game');
+    }
+
+    const { replay, world, setup, match, progress } = save;
+    if (!replay || !world || !setup || !match || !progress) {
+        throw new Error('Saved game is incomplete');
+    }
+
+    const config = replay.config || {};
+    if (!Number.isInteger(config.gridSize) || config.gridSize < 5 || config.gridSize > 60 ||
+        !Number.isFinite(config.cellSize) || config.cellSize <= 0 ||
+        ![config.initialSpeed, config.minSpeed].every(speed => Number.isFinite(speed) && speed > 0)) {
+        throw new Error('Saved game has a broken board');
+    }
+    if (!Number.isInteger(world.tick) || world.tick < 0 || world.tick > SAVE_MAX_TICKS || world.over) {
+        throw new Error('Saved game is not in progress');
+    }
+    if (!Array.isArray(match.wins) || match.wins.length !== 2 || !match.wins.every(wins => Number.isInteger(wins) && wins >= 0)) {
+        throw new Error('Saved match score is malformed');
+    }
+    if (!Number.isFinite(progress.playTime) || progress.playTime < 0 ||
+        !Number.isInteger(progress.peakSpeed) || progress.peakSpeed < 1) {
+        throw new Error('Saved progress is malformed');
+    }
+    if (setup.level && validateLevel(setup.level).length > 0) {
+        throw new Error('Saved level is not playable');
+    }
+
+    // Same checks as any replay file, then play it to the saved tick
+    const player = new ReplayPlayer({ ...replay, result: { ticks: world.tick } });
+    const engine = player.createEngine();
+    let state = player.initialState();
+    while (state.tick < world.tick && !state.over) {
+        const directions = state.snakes.map((snake, index) => player.inputAt(state.tick + 1, index) || snake.direction);
+        state = engine.step(state, { directions }).state;
+    }
+
+    if (JSON.stringify(state) !== JSON.stringify(world)) {
+        throw new Error('Saved game does not match its replay');
+    }
+
+    return { save, engine, world: state };
+}
+
+// Saved Game Store Class - Keeps the one suspended game
+class SavedGameStore {
+    /**
+     * @param {Storage} storage - Where to keep the save (see StoredJson)
+     */
+    constructor(storage = localStorage) {
+        this.stored = new StoredJson(SAVE_KEY, storage);
+    }
+
+    /**
+     * Write a save, stamped with the format and time
+     * @param {Object} game - { replay, world, setup, match, progress } (see above)
+     */
+    save(game) {
+        const save = {
+            format: SAVE_FORMAT,
+            version: SAVE_VERSION,
+            savedAt: new Date().toISOString(),
+            ...game
+        };
+        this.stored.write(save);
+    }
+
+    /**
+     * The saved game if there is a valid one. Bad saves are deleted.
+     * @returns {Object|null} { save, engine, world } (see validateSave)
+     */
+    load() {
+        const loaded = this.stored.read(() => null, validateSave);
+        if (!loaded) this.clear();
+        return loaded;
+    }
+
+    /**
+     * Forget the saved game
+     */
+    clear() {
+        this.stored.clear();
+    }
+}
+
+// Allow saves to be checked from Node (with storage, engine, replay and level exports made global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SAVE_FORMAT, SAVE_VERSION, SAVE_KEY, SAVE_MAX_TICKS, validateSave, SavedGameStore };
+}
@@ -0,0 +1,312 @@
+/* ===================================
+   SOUND - WEBAUDIO CHIPTUNE SYNTH
+   Every effect is generated in code
+   =================================== */
+
+const SOUND_KEY = 'snakeSound';
+
+// Settings until the player changes them
+const DEFAULT_SOUND = {
+    volume: 0.5,
+    muted: false,
+    music: false,
+    radar: false
+};
+
+/*
+ * Effects as lists of notes. A note is a tone { frequency, to, type, duration,
+ * delay, volume } gliding from frequency to `to` (Hz, seconds), or a burst of
+ * noise { noise: true, duration, delay, volume }. Either can take a stereo
+ * `pan` from -1 (left) to 1 (right).
+ */
+const SOUNDS = {
+    eat: [
+        { frequency: 660, to: 990, type: 'square', duration: 0.07, volume: 0.25 }
+    ],
+    pickup: [
+        { frequency: 880, type: 'square', duration: 0.05, volume: 0.2 },
+        { frequency: 1320, type: 'square', duration: 0.08, delay: 0.05, volume: 0.2 }
+    ],
+    pause: [
+        { frequency: 988, type: 'triangle', duration: 0.12, volume: 0.3 },
+        { frequency: 659, type: 'triangle', duration: 0.18, delay: 0.1, volume: 0.3 }
+    ],
+    resume: [
+        { frequency: 659, type: 'triangle', duration: 0.12, volume: 0.3 },
+        { frequency: 988, type: 'triangle', duration: 0.18, delay: 0.1, volume: 0.3 }
+    ],
+    // Coach alerts: a fast double beep for danger, one low buzz for warnings
+    danger: [
+        { frequency: 1200, type: 'square', duration: 0.06, volume: 0.18 },
+        { frequency: 1200, type: 'square', duration: 0.06, delay: 0.1, volume: 0.18 }
+    ],
+    warning: [
+        { frequency: 440, to: 380, type: 'sawtooth', duration: 0.15, volume: 0.12 }
+    ],
+    // Achievement unlocked: a quick rising arpeggio
+    achievement: [
+        { frequency: 784, type: 'triangle', duration: 0.08, volume: 0.25 },
+        { frequency: 988, type: 'triangle', duration: 0.08, delay: 0.08, volume: 0.25 },
+        { frequency: 1319, type: 'triangle', duration: 0.2, delay: 0.16, volume: 0.25 }
+    ]
+};
+
+// One crash per gameOver cause
+const CRASH_SOUNDS = {
+    wall: [
+        { noise: true, duration: 0.25, volume: 0.4 },
+        { frequency: 140, to: 40, type: 'square', duration: 0.3, volume: 0.35 }
+    ],
+    self: [
+        { frequency: 520, to: 70, type: 'sawtooth', duration: 0.6, volume: 0.3 }
+    ],
+    obstacle: [
+        { noise: true, duration: 0.12, volume: 0.4 },
+        { noise: true, duration: 0.2, delay: 0.14, volume: 0.35 },
+        { frequency: 200, to: 60, type: 'square', duration: 0.35, volume: 0.3 }
+    ],
+    snake: [
+        { frequency: 330, to: 110, type: 'square', duration: 0.25, volume: 0.3 },
+        { frequency: 247, to: 82, type: 'square', duration: 0.35, delay: 0.2, volume: 0.3 }
+    ],
+    head: [
+        { noise: true, duration: 0.3, volume: 0.45 },
+        { frequency: 110, to: 55, type: 'square', duration: 0.4, volume: 0.35 }
+    ],
+    win: [523, 659, 784, 1047].map((frequency, i) => (
+        { frequency, type: 'square', duration: i === 3 ? 0.4 : 0.12, delay: i * 0.12, volume: 0.25 }
+    ))
+};
+
+// Bassline, one note per game tick: semitones above A1 (55 Hz)
+const BASSLINE = [0, 0, 12, 0, 7, 0, 10, 12, 0, 0, 12, 0, 5, 7, 10, 7];
+
+/**
+ * Frequency of a note some semitones above a base
+ */
+function semitones(base, steps) {
+    return base * Math.pow(2, steps / 12);
+}
+
+// Sound Engine Class - Synthesizes effects and music with WebAudio
+class SoundEngine {
+    /**
+     * @param {Storage} storage - Where to keep volume and mute (localStorage in the browser)
+     */
+    constructor(storage = localStorage) {
+        this.stored = new StoredJson(SOUND_KEY, storage);
+        this.settings = this.load();
+        this.context = null; // Created on first use - browsers want a user gesture first
+        this.master = null;
+        this.beat = 0;
+    }
+
+    /**
+     * Read saved settings, falling back to the defaults
+     */
+    load() {
+        return this.stored.read(() => ({ ...DEFAULT_SOUND }), saved => {
+            const settings = saved || {};
+            return {
+                volume: Number.isFinite(settings.volume) ? Math.min(1, Math.max(0, settings.volume)) : DEFAULT_SOUND.volume,
+                muted: settings.muted === true,
+                music: settings.music === true,
+                radar: settings.radar === true
+            };
+        });
+    }
+
+    /**
+     * Write the settings to storage
+     */
+    save() {
+        this.stored.write(this.settings);
+    }
+
+    /**
+     * Audio context and master volume, or null where WebAudio is missing
+     */
+    ensureContext() {
+        if (!this.context) {
+            const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+            if (!AudioContextClass) return null;
+
+            this.context = new AudioContextClass();
+            this.master = this.context.createGain();
+            this.master.connect(this.context.destination);
+            this.applyVolume();
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+        return this.context;
+    }
+
+    /**
+     * Push the volume and mute settings to the master gain
+     */
+    applyVolume() {
+        if (this.master) {
+            this.master.gain.value = this.settings.muted ? 0 : this.settings.volume;
+        }
+    }
+
+    /**
+     * Set the volume (0-1) and save it
+     */
+    setVolume(volume) {
+        this.settings.volume = Math.min(1, Math.max(0, volume));
+        this.settings.muted = false;
+        this.applyVolume();
+        this.save();
+    }
+
+    /**
+     * Mute or unmute and save it
+     */
+    toggleMute() {
+        this.settings.muted = !this.settings.muted;
+        this.applyVolume();
+        this.save();
+    }
+
+    /**
+     * Turn the bassline on or off and save it
+     */
+    toggleMusic() {
+        this.settings.music = !this.settings.music;
+        this.beat = 0;
+        this.save();
+    }
+
+    /**
+     * Turn the audio radar on or off and save it
+     */
+    toggleRadar() {
+        this.settings.radar = !this.settings.radar;
+        this.save();
+    }
+
+    /**
+     * Play a list of notes (see SOUNDS)
+     */
+    playNotes(notes) {
+        if (this.settings.muted || this.settings.volume === 0) return;
+
+        const context = this.ensureContext();
+        if (!context) return;
+
+        const now = context.currentTime;
+        notes.forEach(note => {
+            const start = now + (note.delay || 0);
+            const end = start + note.duration;
+
+            // Short attack, exponential decay - the classic blip envelope
+            const gain = context.createGain();
+            gain.gain.setValueAtTime(0.0001, start);
+            gain.gain.exponentialRampToValueAtTime(note.volume || 0.3, start + 0.005);
+            gain.gain.exponentialRampToValueAtTime(0.0001, end);
+
+            if (note.pan && context.createStereoPanner) {
+                const panner = context.createStereoPanner();
+                panner.pan.value = note.pan;
+                gain.connect(panner);
+                panner.connect(this.master);
+            } else {
+                gain.connect(this.master);
+            }
+
+            const source = note.noise ? this.createNoise(context, note.duration) : context.createOscillator();
+            if (!note.noise) {
+                source.type = note.type || 'square';
+                source.frequency.setValueAtTime(note.frequency, start);
+                if (note.to) {
+                    source.frequency.exponentialRampToValueAtTime(note.to, end);
+                }
+            }
+            source.connect(gain);
+            source.start(start);
+            source.stop(end);
+        });
+    }
+
+    /**
+     * White noise source for crashes
+     */
+    createNoise(context, duration) {
+        const length = Math.ceil(context.sampleRate * duration);
+        const buffer = context.createBuffer(1, length, context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        return source;
+    }
+
+    /**
+     * Named effect from SOUNDS ('eat', 'pickup', 'pause', 'resume', 'danger',
+     * 'warning', 'achievement')
+     */
+    play(name) {
+        if (SOUNDS[name]) {
+            this.playNotes(SOUNDS[name]);
+        }
+    }
+
+    /**
+     * Crash for a gameOver cause
+     */
+    crash(cause) {
+        this.playNotes(CRASH_SOUNDS[cause] || CRASH_SOUNDS.wall);
+    }
+
+    /**
+     * Rising tone when the game speeds up, higher for every level
+     */
+    speedUp(level) {
+        const frequency = semitones(220, Math.min(level, 36));
+        this.playNotes([
+            { frequency, to: frequency * 2, type: 'triangle', duration: 0.2, volume: 0.2 }
+        ]);
+    }
+
+    /**
+     * Audio radar ping
+     * @param {Object|null} food - { pan, rise } where the food is: pan -1 (left)
+     *                             to 1 (right), rise -1 (below) to 1 (above)
+     * @param {Array} walls - { pan, distance } for each side with a wall near
+     */
+    radar(food, walls) {
+        const notes = [];
+        if (food) {
+            notes.push({ frequency: semitones(660, Math.round(food.rise * 12)), type: 'sine', duration: 0.08, volume: 0.2, pan: food.pan });
+        }
+        walls.forEach(wall => {
+            notes.push({ frequency: 110, type: 'square', duration: 0.06, delay: 0.1, volume: 0.2 / wall.distance, pan: wall.pan });
+        });
+        this.playNotes(notes);
+    }
+
+    /**
+     * Next bassline note, called once per game tick so the tempo follows the speed
+     * @param {number} tickLength - Current tick length in ms
+     */
+    step(tickLength) {
+        if (!this.settings.music) return;
+
+        const note = BASSLINE[this.beat % BASSLINE.length];
+        this.beat++;
+        this.playNotes([
+            { frequency: semitones(55, note), type: 'triangle', duration: tickLength / 1000 * 0.9, volume: 0.35 }
+        ]);
+    }
+}
+
+// Allow the sound engine to be checked from Node (silent without an
+// AudioContext; storage.js exports made global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SOUND_KEY, DEFAULT_SOUND, SOUNDS, CRASH_SOUNDS, BASSLINE, semitones, SoundEngine };
+}
@@ -0,0 +1,285 @@
+/* ===================================
+   STATS - LEADERBOARD AND RUN HISTORY
+   Versioned localStorage store
+   =================================== */
+
+/*
+ * Stats file format (JSON, version 3) - also what EXPORT downloads
+ *
+ * {
+ *   "format": "retro-snake-stats",
+ *   "version": 3,
+ *   "leaderboard": [run, ...],   // Top 10 runs by score for each difficulty
+ *   "history": [run, ...]        // Most recent runs, oldest first
+ * }
+ *
+ * run = {
+ *   "id": 1718000000000,         // Unique per run (finish time)
+ *   "name": "AJK",               // Initials
+ *   "score": 120,
+ *   "length": 15,                // Snake length at the end
+ *   "duration": 48200,           // Game time in ms (pauses excluded)
+ *   "peakSpeed": 9,              // Highest speed level reached
+ *   "board": board,              // What the run was played on
+ *   "difficulty": "normal",      // Id from DIFFICULTIES, or "level" for custom levels
+ *   "cause": "self",             // How the run ended
+ *   "date": "2024-06-10T09:00:00.000Z"
+ * }
+ *
+ * board = { "size": 20, "layout": "open", "wrap": false }   // A mode
+ *       | { "level": "Maze" }                               // A custom level
+ *
+ * Runs migrated from the old single high score have null for what was not kept.
+ * Version 1 had no difficulty; its runs were all played on Normal. Versions 1
+ * and 2 kept the board as English text ("20x20 Pillars (wrap)", "Level: Maze").
+ */
+
+const STATS_FORMAT = 'retro-snake-stats';
+const STATS_VERSION = 3;
+const STATS_KEY = 'snakeStats';
+const LEGACY_HIGH_SCORE_KEY = 'snakeHighScore';
+const LEADERBOARD_SIZE = 10;
+const HISTORY_SIZE = 200;
+const LEGACY_DIFFICULTY = 'normal'; // The only speed curve before difficulties
+
+/**
+ * Empty store
+ */
+function createStats() {
+    return {
+        format: STATS_FORMAT,
+        version: STATS_VERSION,
+        leaderboard: [],
+        history: []
+    };
+}
+
+/**
+ * Board of an older run from its mode text; null when the text names none
+ * (the run migrated from the old single high score says "Before stats")
+ */
+function boardFromMode(mode) {
+    if (typeof mode !== 'string') return null;
+    if (mode.startsWith('Level: ')) {
+        return { level: mode.slice('Level: '.length) };
+    }
+
+    const match = /^(\d+)x\1 (.+?)( \(wrap\))?$/.exec(mode);
+    const layout = match && Object.keys(OBSTACLE_LAYOUTS).find(id => OBSTACLE_LAYOUTS[id].name === match[2]);
+    return layout ? { size: Number(match[1]), layout, wrap: !!match[3] } : null;
+}
+
+// Run upgrades, by the version they upgrade from
+const RUN_UPGRADES = {
+    1: run => ({ ...run, difficulty: LEGACY_DIFFICULTY }),
+    2: ({ mode, ...run }) => ({ ...run, board: boardFromMode(mode) })
+};
+
+/**
+ * Upgrade older stores one version at a time
+ */
+function migrateStats(stats) {
+    if (!stats || stats.format !== STATS_FORMAT ||
+        !Array.isArray(stats.leaderboard) || !Array.isArray(stats.history)) {
+        return stats;
+    }
+
+    let migrated = stats;
+    while (RUN_UPGRADES[migrated.version]) {
+        const upgrade = RUN_UPGRADES[migrated.version];
+        migrated = {
+            ...migrated,
+            version: migrated.version + 1,
+            leaderboard: migrated.leaderboard.map(upgrade),
+            history: migrated.history.map(upgrade)
+        };
+    }
+    return migrated;
+}
+
+/**
+ * Check that a parsed object is a stats store this version can read
+ * @throws {Error} The first problem (see localizedError; codes under 'stats.')
+ */
+function validateStats(stats) {
+    if (!stats || stats.format !== STATS_FORMAT) {
+        throw localizedError('stats.format', 'Not a stats file');
+    }
+    if (stats.version !== STATS_VERSION) {
+        throw localizedError('stats.version', 'Unsupported stats version');
+    }
+    const isRun = run => run && Number.isFinite(run.id) && Number.isFinite(run.score) &&
+                         typeof run.name === 'string' && typeof run.difficulty === 'string' &&
+                         (run.board === null || isRecord(run.board));
+    if (!Array.isArray(stats.leaderboard) || !Array.isArray(stats.history) ||
+        !stats.leaderboard.every(isRun) || !stats.history.every(isRun)) {
+        throw localizedError('stats.runs', 'Stats runs are malformed');
+    }
+}
+
+/**
+ * Keep the best runs of each difficulty, highest score first (earlier run
+ * wins a tie)
+ */
+function rankRuns(runs) {
+    const kept = {};
+    return runs
+        .slice()
+        .sort((a, b) => b.score - a.score || a.id - b.id)
+        .filter(run => {
+            kept[run.difficulty] = (kept[run.difficulty] || 0) + 1;
+            return kept[run.difficulty] <= LEADERBOARD_SIZE;
+        });
+}
+
+/**
+ * Averages and death causes over a list of runs
+ */
+function summarizeRuns(runs) {
+    const average = field => {
+        const values = runs.map(run => run[field]).filter(Number.isFinite);
+        return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    };
+
+    const causes = {};
+    runs.forEach(run => {
+        if (run.cause) causes[run.cause] = (causes[run.cause] || 0) + 1;
+    });
+
+    return {
+        runs: runs.length,
+        averageScore: average('score'),
+        averageLength: average('length'),
+        averageDuration: average('duration'),
+        bestSpeed: runs.reduce((best, run) => Math.max(best, run.peakSpeed || 0), 0),
+        causes
+    };
+}
+
+// Stats Store Class - Loads, updates and saves the stats in localStorage
+class StatsStore {
+    /**
+     * @param {Storage} storage - Where to keep the stats (see StoredJson)
+     */
+    constructor(storage = localStorage) {
+        this.stored = new StoredJson(STATS_KEY, storage);
+        this.legacy = new StoredJson(LEGACY_HIGH_SCORE_KEY, storage);
+        this.stats = this.load();
+    }
+
+    /**
+     * Top runs of one difficulty, best first
+     */
+    leaderboardFor(difficulty) {
+        return this.stats.leaderboard.filter(run => run.difficulty === difficulty);
+    }
+
+    /**
+     * Best score on record for a difficulty
+     */
+    highScore(difficulty) {
+        const best = this.leaderboardFor(difficulty)[0];
+        return best ? best.score : 0;
+    }
+
+    /**
+     * Read the store, starting one from the legacy high score if there is none
+     */
+    load() {
+        return this.stored.read(() => this.createFromLegacy(), saved => {
+            const stats = migrateStats(saved);
+            if (stats) {
+                validateStats(stats);
+            }
+            return stats;
+        });
+    }
+
+    /**
+     * New store, holding the old single high score as a run if there is one
+     */
+    createFromLegacy() {
+        const stats = createStats();
+        const legacy = this.legacy.read(() => 0, score => parseInt(score, 10));
+        if (legacy > 0) {
+            stats.leaderboard.push({
+                id: 0,
+                name: '---',
+                score: legacy,
+                length: null,
+                duration: null,
+                peakSpeed: null,
+                board: null,
+                difficulty: LEGACY_DIFFICULTY,
+                cause: null,
+                date: null
+            });
+        }
+        return stats;
+    }
+
+    /**
+     * Write the store to storage
+     */
+    save() {
+        this.stored.write(this.stats);
+    }
+
+    /**
+     * Record a finished run
+     * @returns {number} Its position (0-based) on its difficulty's leaderboard,
+     *   or -1 if it missed the top 10
+     */
+    addRun(run) {
+        this.stats.history = this.stats.history.concat(run).slice(-HISTORY_SIZE);
+        this.stats.leaderboard = rankRuns(this.stats.leaderboard.concat(run));
+        this.save();
+        return this.leaderboardFor(run.difficulty).findIndex(entry => entry.id === run.id);
+    }
+
+    /**
+     * Change the name on a run (initials typed after it ended)
+     */
+    rename(id, name) {
+        for (const run of [...this.stats.leaderboard, ...this.stats.history]) {
+            if (run.id === id) run.name = name;
+        }
+        this.save();
+    }
+
+    /**
+     * Store as a JSON string for download
+     */
+    export() {
+        return JSON.stringify(this.stats, null, 2);
+    }
+
+    /**
+     * Merge runs from an exported store (older versions are upgraded); runs
+     * already here are skipped
+     * @throws {Error} If the text is not a valid stats file
+     */
+    import(text) {
+        const incoming = migrateStats(JSON.parse(text));
+        validateStats(incoming);
+
+        const known = new Set(this.stats.history.map(run => run.id));
+        const history = this.stats.history.concat(incoming.history.filter(run => !known.has(run.id)));
+        history.sort((a, b) => a.id - b.id);
+
+        const ranked = new Set(this.stats.leaderboard.map(run => run.id));
+        this.stats.leaderboard = rankRuns(this.stats.leaderboard.concat(
+            incoming.leaderboard.filter(run => !ranked.has(run.id))
+        ));
+        this.stats.history = history.slice(-HISTORY_SIZE);
+        this.save();
+    }
+}
+
+// Allow the store to be used from Node (with storage.js, i18n.js and modes.js exports made global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STATS_FORMAT, STATS_VERSION, LEADERBOARD_SIZE, HISTORY_SIZE,
+        createStats, boardFromMode, migrateStats, validateStats, rankRuns, summarizeRuns, StatsStore
+    };
+}
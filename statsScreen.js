@@ -0,0 +1,265 @@
+/* ===================================
+   STATS SCREEN - LEADERBOARD AND CHARTS
+   Reads the StatsStore, draws on canvas
+   =================================== */
+
+class StatsScreen {
+    /**
+     * @param {StatsStore} store - Stats to show
+     * @param {Function} onChange - Called after an import changes the stats
+     * @param {Translator} i18n - Text in the player's language
+     */
+    constructor(store, onChange, i18n = new Translator()) {
+        this.store = store;
+        this.onChange = onChange;
+        this.i18n = i18n;
+        this.panel = document.getElementById('statsPanel');
+        this.chart = document.getElementById('statsChart');
+        this.ctx = this.chart.getContext('2d');
+        this.errorElement = document.getElementById('statsError');
+        this.difficultySelect = document.getElementById('statsDifficulty');
+
+        for (const id of [...Object.keys(DIFFICULTIES), LEVEL_DIFFICULTY]) {
+            this.difficultySelect.add(new Option(difficultyName(id, this.i18n), id));
+        }
+        this.relabel();
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Difficulty names in the player's language, and the open screen redrawn
+     */
+    relabel() {
+        for (const option of this.difficultySelect.options) {
+            option.textContent = difficultyName(option.value, this.i18n);
+        }
+        if (!this.panel.classList.contains('hidden')) {
+            this.render();
+        }
+    }
+
+    /**
+     * Translated label of a run's cause
+     */
+    causeLabel(cause) {
+        return this.i18n.label(`cause.${cause}`, cause);
+    }
+
+    /**
+     * Translated board a run was played on
+     */
+    boardLabel(run) {
+        const { board } = run;
+        if (board && board.level !== undefined) {
+            return this.i18n.t('stats.boardLevel', { name: board.level });
+        }
+        if (board) {
+            const layout = OBSTACLE_LAYOUTS[board.layout];
+            return this.i18n.t(board.wrap ? 'stats.boardWrap' : 'stats.board', {
+                size: board.size,
+                layout: this.i18n.label(`layout.${board.layout}`, layout ? layout.name : board.layout)
+            });
+        }
+        // The run migrated from the old single high score has id 0
+        return run.id === 0 ? this.i18n.t('stats.beforeStats') : '-';
+    }
+
+    /**
+     * Setup all event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('statsExportButton').addEventListener('click', () => this.exportStats());
+        document.getElementById('statsImportButton').addEventListener('click', () => document.getElementById('statsFile').click());
+        document.getElementById('statsFile').addEventListener('change', (e) => this.importStats(e.target));
+        document.getElementById('statsCloseButton').addEventListener('click', () => this.close());
+        this.difficultySelect.addEventListener('change', () => this.render());
+    }
+
+    /**
+     * Show the stats screen
+     * @param {string} difficulty - Leaderboard to show first
+     */
+    open(difficulty) {
+        this.difficultySelect.value = difficulty;
+        this.errorElement.textContent = '';
+        this.panel.classList.remove('hidden');
+        this.panel.parentElement.classList.add('viewing-stats');
+        this.render();
+    }
+
+    /**
+     * Hide the stats screen and return to the game
+     */
+    close() {
+        this.panel.classList.add('hidden');
+        this.panel.parentElement.classList.remove('viewing-stats');
+    }
+
+    /**
+     * Fill every section from the store
+     */
+    render() {
+        const { history } = this.store.stats;
+        this.renderLeaderboard(this.store.leaderboardFor(this.difficultySelect.value));
+        this.renderSummary(summarizeRuns(history));
+        this.renderChart(history);
+    }
+
+    /**
+     * Top 10 table
+     */
+    renderLeaderboard(leaderboard) {
+        const body = document.getElementById('leaderboardBody');
+        body.innerHTML = '';
+
+        if (leaderboard.length === 0) {
+            body.innerHTML = `<tr><td colspan="7">${this.i18n.t('stats.noRuns')}</td></tr>`;
+            return;
+        }
+
+        leaderboard.forEach((run, index) => {
+            const row = document.createElement('tr');
+            const cells = [
+                index + 1,
+                run.name,
+                this.i18n.number(run.score),
+                Number.isFinite(run.length) ? run.length : '-',
+                Number.isFinite(run.duration) ? this.formatDuration(run.duration) : '-',
+                this.boardLabel(run),
+                run.cause ? this.causeLabel(run.cause) : '-'
+            ];
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+    }
+
+    /**
+     * Averages and the death-cause breakdown over the run history
+     */
+    renderSummary(summary) {
+        const number = value => this.i18n.number(value);
+        document.getElementById('statsRuns').textContent = number(summary.runs);
+        document.getElementById('statsAverageScore').textContent = number(Math.round(summary.averageScore));
+        document.getElementById('statsAverageLength').textContent = number(Math.round(summary.averageLength));
+        document.getElementById('statsAverageDuration').textContent = this.formatDuration(summary.averageDuration);
+        document.getElementById('statsBestSpeed').textContent = number(summary.bestSpeed);
+
+        // One bar per cause, widest for the most common
+        const list = document.getElementById('statsCauses');
+        list.innerHTML = '';
+        const entries = Object.entries(summary.causes).sort((a, b) => b[1] - a[1]);
+        entries.forEach(([cause, count]) => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            const percent = new Intl.NumberFormat(this.i18n.locale, { style: 'percent' }).format(count / summary.runs);
+            label.textContent = `${this.causeLabel(cause)}: ${this.i18n.number(count)} (${percent})`;
+            const bar = document.createElement('div');
+            bar.className = 'cause-bar';
+            bar.style.width = `${count / entries[0][1] * 100}%`;
+            item.append(label, bar);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Score of every run in the history, oldest on the left
+     */
+    renderChart(history) {
+        const { width, height } = this.chart;
+        const pad = 24;
+
+        // Colors of the active theme (CSS variables, see themes.js)
+        const style = getComputedStyle(document.documentElement);
+        const color = name => style.getPropertyValue(name).trim();
+
+        this.ctx.fillStyle = color('--background');
+        this.ctx.fillRect(0, 0, width, height);
+
+        this.ctx.fillStyle = color('--secondary');
+        this.ctx.font = '11px Courier New, monospace';
+        if (history.length === 0) {
+            this.ctx.fillText(this.i18n.t('stats.emptyChart'), pad, height / 2);
+            return;
+        }
+
+        const max = Math.max(10, ...history.map(run => run.score));
+        const x = i => pad + (history.length === 1 ? 0 : i / (history.length - 1) * (width - pad * 2));
+        const y = score => height - pad - score / max * (height - pad * 2);
+
+        // Axes and scale
+        this.ctx.strokeStyle = `rgba(${color('--primary-rgb')}, 0.3)`;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(pad, pad);
+        this.ctx.lineTo(pad, height - pad);
+        this.ctx.lineTo(width - pad, height - pad);
+        this.ctx.stroke();
+        this.ctx.fillText(this.i18n.number(max), 2, pad);
+        this.ctx.fillText(this.i18n.number(0), 2, height - pad);
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(this.i18n.t('stats.runs', { count: history.length }), width - pad, height - 6);
+        this.ctx.textAlign = 'left';
+
+        // Score line with a dot per run
+        this.ctx.strokeStyle = color('--primary');
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        history.forEach((run, i) => {
+            if (i === 0) this.ctx.moveTo(x(i), y(run.score));
+            else this.ctx.lineTo(x(i), y(run.score));
+        });
+        this.ctx.stroke();
+
+        this.ctx.fillStyle = color('--primary');
+        history.forEach((run, i) => {
+            this.ctx.beginPath();
+            this.ctx.arc(x(i), y(run.score), 2.5, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+    }
+
+    /**
+     * 83500 -> "1:23"
+     */
+    formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Download the stats store as JSON
+     */
+    exportStats() {
+        const blob = new Blob([this.store.export()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'snake-stats.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Merge runs from a stats file
+     */
+    importStats(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        file.text()
+            .then(text => {
+                this.store.import(text);
+                this.errorElement.textContent = '';
+                this.render();
+                this.onChange();
+            })
+            .catch(err => {
+                this.errorElement.textContent = this.i18n.t('stats.importError', { error: this.i18n.error(err) });
+            });
+    }
+}
@@ -0,0 +1,64 @@
+/* ===================================
+   STORAGE - SAVED JSON VALUES
+   What the stores keep in localStorage
+   =================================== */
+
+// StoredJson Class - One JSON value under one storage key. A value that is
+// missing, unreadable or rejected is replaced with a fresh one rather than
+// breaking the game.
+class StoredJson {
+    /**
+     * @param {string} key - Storage key ('snake...')
+     * @param {Storage} storage - localStorage in the browser; anything with
+     *                            getItem, setItem and removeItem elsewhere
+     */
+    constructor(key, storage = localStorage) {
+        this.key = key;
+        this.storage = storage;
+    }
+
+    /**
+     * The stored value, or a fresh one
+     * @param {Function} fallback - Builds the value to start over with
+     * @param {Function} accept - Gets the parsed value and returns what to use
+     *                            (checked, upgraded or filled in), or null to
+     *                            start over. May throw, which also starts over.
+     */
+    read(fallback, accept = value => value) {
+        try {
+            const value = accept(JSON.parse(this.storage.getItem(this.key)));
+            if (value !== null && value !== undefined) {
+                return value;
+            }
+        } catch (err) {
+            // Unreadable or rejected - fall through to a fresh value
+        }
+        return fallback();
+    }
+
+    /**
+     * Replace the stored value
+     */
+    write(value) {
+        this.storage.setItem(this.key, JSON.stringify(value));
+    }
+
+    /**
+     * Forget the stored value
+     */
+    clear() {
+        this.storage.removeItem(this.key);
+    }
+}
+
+/**
+ * Whether a parsed value is a plain { key: value } object (for stores keyed by id)
+ */
+function isRecord(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Allow the stores to be used from Node (with an in-memory storage)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StoredJson, isRecord };
+}
@@ -0,0 +1,150 @@
+/* ===================================
+   COACH RULE TESTS - REGISTRY IN NODE
+   Run with: node --test tests/
+   =================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The browser loads these as scripts; share their globals the same way
+Object.assign(global, require('../storage.js'), require('../i18n.js'), require('../engine.js'), require('../coachProfile.js'), require('../coachRules.js'));
+require('../locales/en.js');
+const { AICoach } = require('../aiCoach.js');
+const { createStorage } = require('./helpers.js');
+
+function createCoach(storage = createStorage()) {
+    return new AICoach(null, new Translator(storage, ['en']), null, { storage, page: null });
+}
+
+const grid = { cols: 10, rows: 10, wrap: false, obstacles: new Set() };
+
+// Head two cells from the left wall, heading for it
+const nearWall = {
+    snake: { head: { x: 1, y: 5 }, direction: DIRECTION.LEFT },
+    body: [{ x: 1, y: 5 }, { x: 2, y: 5 }, { x: 3, y: 5 }]
+};
+
+// Same snake in open space, food straight ahead
+const openBoard = {
+    snake: { head: { x: 5, y: 5 }, direction: DIRECTION.RIGHT },
+    body: [{ x: 5, y: 5 }, { x: 4, y: 5 }, { x: 3, y: 5 }],
+    food: { x: 8, y: 5 }
+};
+
+/**
+ * Run the coach on a board and return what it says
+ */
+function analyze(coach, board) {
+    coach.analyze(board.snake, grid, board.body, board.food || { x: 9, y: 9 });
+    return coach.lastMessage;
+}
+
+function rule(id) {
+    return COACH_RULES.find(entry => entry.id === id);
+}
+
+test('evaluateRule fills a built-in rule from the locale bundle', () => {
+    const view = { ...nearWall.snake, grid, body: nearWall.body };
+    const hint = evaluateRule(normalizeRule(rule('wallDanger')), view, createCoach(), () => 0);
+
+    assert.deepStrictEqual(hint, { id: 'wallDanger', severity: 'danger', message: '⚠️ Wall ahead! Turn now!', values: { distance: 2 } });
+});
+
+test('evaluateRule returns null when the rule does not apply', () => {
+    const view = { ...openBoard.snake, grid, body: openBoard.body };
+
+    assert.strictEqual(evaluateRule(normalizeRule(rule('wallDanger')), view, createCoach()), null);
+});
+
+test('evaluateRule uses a custom rule\'s own messages and variants', () => {
+    const custom = normalizeRule({
+        id: 'length',
+        messages: { short: ['Only {size} long'], long: ['{size} long!'] },
+        check: view => ({ size: view.body.length, variant: view.body.length > 5 ? 'long' : 'short' })
+    });
+
+    const hint = evaluateRule(custom, { body: [1, 2, 3] }, createCoach());
+    assert.strictEqual(hint.message, 'Only 3 long');
+    assert.strictEqual(hint.severity, 'info');
+});
+
+test('a disabled rule stays quiet, and the switch is saved', () => {
+    const storage = createStorage();
+    const coach = createCoach(storage);
+    coach.setRuleEnabled('wallDanger', false);
+
+    assert.ok(!analyze(coach, nearWall).includes('Wall ahead'));
+    assert.deepStrictEqual(JSON.parse(storage.getItem('snakeCoachRules')), ['wallDanger']);
+    assert.strictEqual(createCoach(storage).isRuleEnabled('wallDanger'), false);
+});
+
+test('each rule waits out its own cooldown', t => {
+    let now = 100000;
+    t.mock.method(Date, 'now', () => now);
+
+    const coach = createCoach();
+    coach.reset();
+
+    analyze(coach, nearWall);
+    assert.strictEqual(coach.severity, 'danger');
+
+    // The wall warning is cooling down, but that does not hold back other rules
+    now += 100;
+    assert.strictEqual(analyze(coach, openBoard), '🍎 Food is 3 right — path clear');
+
+    // Still within its own cooldown: no second warning yet
+    now += 100;
+    analyze(coach, nearWall);
+    assert.notStrictEqual(coach.severity, 'danger');
+
+    now += 3000;
+    analyze(coach, nearWall);
+    assert.strictEqual(coach.severity, 'danger');
+});
+
+test('a rule\'s cooldown can be set per rule', t => {
+    let now = 100000;
+    t.mock.method(Date, 'now', () => now);
+
+    const coach = createCoach();
+    coach.reset();
+    coach.rules.clear();
+    let spoken = 0;
+    coach.register({ id: 'tick', cooldown: 500, messages: ['Tick {n}'], check: () => ({ n: ++spoken }) });
+
+    const said = [];
+    for (let step = 0; step < 10; step++) {
+        said.push(analyze(coach, openBoard));
+        now += 200;
+    }
+
+    // Every 600 ms with a 500 ms cooldown and 200 ms ticks: ticks 0, 3, 6 and 9
+    assert.deepStrictEqual([...new Set(said)], ['Tick 1', 'Tick 2', 'Tick 3', 'Tick 4']);
+});
+
+test('a notice stays up before the rules talk over it', t => {
+    let now = 100000;
+    t.mock.method(Date, 'now', () => now);
+
+    const coach = createCoach();
+    coach.reset();
+    coach.showMessage('Drill step');
+
+    now += 1000;
+    assert.strictEqual(analyze(coach, nearWall), 'Drill step');
+
+    now += 3000;
+    assert.notStrictEqual(analyze(coach, nearWall), 'Drill step');
+});
+
+test('registering a rule later tells the game, so it can add a switch', () => {
+    const storage = createStorage();
+    let changes = 0;
+    const coach = new AICoach(null, new Translator(storage, ['en']), null, { storage, page: null, onRulesChange: () => changes++ });
+    assert.strictEqual(changes, 0);
+
+    coach.register({ id: 'custom', name: 'Custom', check: () => null, messages: ['x'] });
+
+    assert.strictEqual(changes, 1);
+    assert.ok(coach.rules.has('custom'));
+});
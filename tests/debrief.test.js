@@ -0,0 +1,72 @@
+/* ===================================
+   DEBRIEF TESTS - POINT OF NO RETURN
+   Run with: node --test tests/
+   =================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The browser loads these as scripts; share their globals the same way
+Object.assign(global, require('../storage.js'), require('../i18n.js'), require('../engine.js'), require('../coachProfile.js'), require('../coachRules.js'));
+require('../locales/en.js');
+const { AICoach } = require('../aiCoach.js');
+const { createStorage } = require('./helpers.js');
+
+function createCoach() {
+    const storage = createStorage();
+    return new AICoach(null, new Translator(storage, ['en']), null, { storage, page: null });
+}
+
+/**
+ * A 6x6 room (x and y 1-6) walled in by obstacles, with one door at (7, 3).
+ * The snake's head is just inside the door; the rest of it trails out.
+ */
+function roomBoard(length) {
+    const obstacles = new Set();
+    for (let i = 0; i <= 7; i++) {
+        obstacles.add(`${i},0`);
+        obstacles.add(`${i},7`);
+        obstacles.add(`0,${i}`);
+        if (i !== 3) obstacles.add(`7,${i}`);
+    }
+    const body = [{ x: 6, y: 3 }];
+    for (let x = 7; body.length < length; x++) {
+        body.push({ x, y: 3 });
+    }
+    return { grid: { cols: 40, rows: 40, obstacles }, body };
+}
+
+function debriefOn({ grid, body }) {
+    const coach = createCoach();
+    for (let i = 0; i < 10; i++) {
+        coach.history.push({ head: body[0], direction: DIRECTION.LEFT, body, grid, warning: null });
+    }
+    return coach.debrief(DIRECTION.LEFT);
+}
+
+test('a snake that can reach its tail has a way out', () => {
+    const grid = { cols: 10, rows: 10, obstacles: new Set() };
+    const body = [{ x: 5, y: 5 }, { x: 6, y: 5 }, { x: 7, y: 5 }, { x: 8, y: 5 }];
+
+    // No budget for a search: the path to the tail settles it
+    assert.strictEqual(createCoach().hasEscape(body, DIRECTION.UP, grid, 40, { positions: 0 }), true);
+});
+
+test('a room smaller than the snake has no way out', () => {
+    const { grid, body } = roomBoard(20);
+    // Wall the room down to the 2x2 corner by the door
+    for (let x = 1; x <= 6; x++) {
+        for (let y = 1; y <= 6; y++) {
+            if (x < 5 || y < 2 || y > 3) grid.obstacles.add(`${x},${y}`);
+        }
+    }
+
+    assert.strictEqual(createCoach().hasEscape(body, DIRECTION.LEFT, grid, 10, { positions: 1000 }), false);
+});
+
+test('the debrief says so when the search runs out of budget', () => {
+    const result = debriefOn(roomBoard(60));
+
+    assert.strictEqual(result.better, null);
+    assert.match(result.lines[0], /Too tangled to tell/);
+});
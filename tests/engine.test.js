@@ -0,0 +1,132 @@
+/* ===================================
+   ENGINE TESTS - SEEDED RUNS IN NODE
+   Run with: node --test tests/
+   =================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DIRECTION, SnakeEngine, createRng } = require('../engine.js');
+
+const CONFIG = {
+    gridSize: 10,
+    initialSpeed: 150,
+    speedIncrement: 2,
+    minSpeed: 50,
+    wrap: false,
+    items: false
+};
+
+/**
+ * Play a run from a seed: turns is a map of tick -> direction name
+ */
+function play(seed, turns, ticks) {
+    const engine = new SnakeEngine(CONFIG, createRng(seed));
+    let state = engine.createState();
+    const events = [];
+
+    for (let tick = 1; tick <= ticks && !state.over; tick++) {
+        const result = engine.step(state, { direction: DIRECTION[turns[tick]] });
+        state = result.state;
+        events.push(...result.events);
+    }
+    return { engine, state, events };
+}
+
+test('the snake eats food and grows by one', () => {
+    const engine = new SnakeEngine(CONFIG, createRng(1));
+    const start = engine.createState();
+    const head = start.snakes[0].body[0];
+    const state = { ...start, food: { x: head.x + 1, y: head.y } };
+
+    const { state: next, events } = engine.step(state, {});
+
+    assert.strictEqual(next.foodEaten, 1);
+    assert.strictEqual(next.snakes[0].score, 10);
+    assert.strictEqual(next.snakes[0].body.length, start.snakes[0].body.length + 1);
+    assert.ok(events.some(event => event.type === 'eat'));
+    assert.notDeepStrictEqual(next.food, state.food);
+    assert.strictEqual(next.speed, CONFIG.initialSpeed - CONFIG.speedIncrement);
+});
+
+test('driving into the wall ends the game', () => {
+    // Head starts at (5, 5) moving right: the wall is 5 ticks away
+    const { state, events } = play(7, {}, 20);
+
+    assert.strictEqual(state.over, true);
+    assert.strictEqual(state.cause, 'wall');
+    assert.strictEqual(state.tick, 5);
+    assert.strictEqual(state.snakes[0].alive, false);
+    assert.deepStrictEqual(events.filter(event => event.type === 'over'), [{ type: 'over', cause: 'wall', winner: null }]);
+});
+
+test('step leaves the state it was given untouched', () => {
+    const engine = new SnakeEngine(CONFIG, createRng(3));
+    const state = engine.createState();
+    const before = JSON.stringify(state);
+
+    engine.step(state, { direction: DIRECTION.UP });
+
+    assert.strictEqual(JSON.stringify(state), before);
+});
+
+test('the same seed and inputs give the same game', () => {
+    const turns = { 2: 'UP', 5: 'LEFT', 9: 'DOWN', 14: 'RIGHT', 18: 'UP' };
+    const first = play(12345, turns, 40);
+    const second = play(12345, turns, 40);
+
+    assert.deepStrictEqual(second.state, first.state);
+    assert.deepStrictEqual(second.events, first.events);
+    assert.strictEqual(second.engine.rng.state, first.engine.rng.state);
+});
+
+test('food never lands in a walled-off pocket', () => {
+    // Bottom-right corner sealed off; the only spawn point is under the head after eating
+    const pocket = [[7, 7], [8, 7], [9, 7], [7, 8], [7, 9]].map(([x, y]) => ({ x, y }));
+    const config = { ...CONFIG, obstacles: pocket, foodSpawns: [{ x: 5, y: 5 }] };
+
+    for (let seed = 1; seed <= 200; seed++) {
+        const engine = new SnakeEngine(config, createRng(seed));
+        const state = { ...engine.createState(), food: { x: 6, y: 5 } };
+        const { food } = engine.step({ ...state, snakes: [{ ...state.snakes[0], body: [{ x: 5, y: 5 }, { x: 4, y: 5 }] }] }, {}).state;
+
+        assert.ok(!(food.x >= 8 && food.y >= 8), `seed ${seed} put food at (${food.x}, ${food.y})`);
+    }
+});
+
+test('spawn points the snake cannot reach are skipped', () => {
+    const pocket = [[7, 7], [8, 7], [9, 7], [7, 8], [7, 9]].map(([x, y]) => ({ x, y }));
+    const config = { ...CONFIG, obstacles: pocket, foodSpawns: [{ x: 9, y: 9 }] };
+
+    for (let seed = 1; seed <= 50; seed++) {
+        const { food } = new SnakeEngine(config, createRng(seed)).createState();
+
+        assert.ok(!(food.x >= 8 && food.y >= 8), `seed ${seed} put food at (${food.x}, ${food.y})`);
+    }
+});
+
+test('food stays out of the margin', () => {
+    const config = { ...CONFIG, foodMargin: 2 };
+
+    for (let seed = 1; seed <= 200; seed++) {
+        const engine = new SnakeEngine(config, createRng(seed));
+        const { food } = engine.createState();
+
+        assert.ok(food.x >= 2 && food.y >= 2 && food.x < 8 && food.y < 8, `seed ${seed} put food at (${food.x}, ${food.y})`);
+    }
+});
+
+test('a planned apple in the margin is not dealt', () => {
+    const config = { ...CONFIG, foodMargin: 2, foodSequence: [{ x: 0, y: 0 }] };
+
+    for (let seed = 1; seed <= 50; seed++) {
+        const { food } = new SnakeEngine(config, createRng(seed)).createState();
+
+        assert.ok(food.x >= 2 && food.y >= 2 && food.x < 8 && food.y < 8, `seed ${seed} put food at (${food.x}, ${food.y})`);
+    }
+});
+
+test('a different seed places different food', () => {
+    const foods = [1, 2, 3, 4, 5].map(seed => JSON.stringify(new SnakeEngine(CONFIG, createRng(seed)).createState().food));
+
+    assert.ok(new Set(foods).size > 1);
+});
@@ -0,0 +1,18 @@
+/* ===================================
+   TEST HELPERS - SHARED FIXTURES
+   Required by the *.test.js files
+   =================================== */
+
+/**
+ * In-memory stand-in for localStorage
+ * @param {Object} items - Stored strings by key to start with
+ */
+function createStorage(items = {}) {
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+        removeItem: key => { delete items[key]; }
+    };
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,77 @@
+/* ===================================
+   SAVED GAME TESTS - TAMPERED SAVES
+   Run with: node --test tests/
+   =================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The browser loads these as scripts; share their globals the same way
+Object.assign(global, require('../storage.js'), require('../i18n.js'), require('../engine.js'), require('../levels.js'), require('../replay.js'));
+const { SAVE_FORMAT, SAVE_VERSION, SAVE_KEY, SAVE_MAX_TICKS, validateSave, SavedGameStore } = require('../savedGame.js');
+const { createStorage } = require('./helpers.js');
+
+const CONFIG = { gridSize: 10, cellSize: 20, initialSpeed: 150, speedIncrement: 2, minSpeed: 50, wrap: true, items: false };
+
+/**
+ * A save of a seeded game after `ticks` ticks, turning now and then
+ */
+function createSave(ticks = 30) {
+    const engine = new SnakeEngine(CONFIG, createRng(7));
+    let state = engine.createState();
+    const recorder = new ReplayRecorder(CONFIG, 7, engine.rng.state, state);
+    const turns = { 3: DIRECTION.UP, 8: DIRECTION.LEFT, 15: DIRECTION.DOWN, 22: DIRECTION.RIGHT };
+
+    for (let tick = 1; tick <= ticks; tick++) {
+        state = engine.step(state, { directions: [turns[tick] || state.snakes[0].direction] }).state;
+        recorder.record(state);
+    }
+
+    return JSON.parse(JSON.stringify({
+        format: SAVE_FORMAT,
+        version: SAVE_VERSION,
+        savedAt: '2024-06-10T09:00:00.000Z',
+        replay: recorder.log,
+        world: state,
+        setup: { mode: { wrap: true, layout: 'open', size: 10, players: 1 }, level: null, difficulty: 'normal' },
+        match: { wins: [0, 0] },
+        progress: { playTime: 4500, peakSpeed: 1, autopilotUsed: false }
+    }));
+}
+
+test('an untouched save plays back to the saved world', () => {
+    const save = createSave();
+    const { world } = validateSave(save);
+
+    assert.deepStrictEqual(world, save.world);
+});
+
+test('a save with a forged score is rejected', () => {
+    const save = createSave();
+    save.world.snakes[0].score += 100;
+
+    assert.throws(() => validateSave(save), /does not match its replay/);
+});
+
+test('a save with a forged tick is rejected', () => {
+    const save = createSave();
+    save.world.tick += 5;
+
+    assert.throws(() => validateSave(save), /does not match its replay/);
+});
+
+test('a save beyond the longest replayable game is rejected without replaying it', () => {
+    const save = createSave();
+    save.world.tick = SAVE_MAX_TICKS + 1;
+
+    assert.throws(() => validateSave(save), /not in progress/);
+});
+
+test('the store drops a save that fails the check', () => {
+    const save = createSave();
+    save.world.snakes[0].score += 100;
+    const items = { [SAVE_KEY]: JSON.stringify(save) };
+
+    assert.strictEqual(new SavedGameStore(createStorage(items)).load(), null);
+    assert.ok(!(SAVE_KEY in items));
+});
@@ -0,0 +1,51 @@
+/* ===================================
+   STATS TESTS - FORMAT UPGRADES
+   Run with: node --test tests/
+   =================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The browser loads these as scripts; share their globals the same way
+Object.assign(global, require('../storage.js'), require('../i18n.js'), require('../modes.js'));
+const { STATS_FORMAT, STATS_VERSION, boardFromMode, migrateStats, validateStats, StatsStore } = require('../stats.js');
+const { createStorage } = require('./helpers.js');
+
+function run(id, fields) {
+    return { id, name: 'AJK', score: 10 * id, length: 5, duration: 1000, peakSpeed: 2, cause: 'wall', date: null, ...fields };
+}
+
+test('board text from older runs becomes a board', () => {
+    assert.deepStrictEqual(boardFromMode('20x20 Open field'), { size: 20, layout: 'open', wrap: false });
+    assert.deepStrictEqual(boardFromMode('30x30 Pillars (wrap)'), { size: 30, layout: 'pillars', wrap: true });
+    assert.deepStrictEqual(boardFromMode('Level: Maze (hard)'), { level: 'Maze (hard)' });
+    assert.strictEqual(boardFromMode('Before stats'), null);
+    assert.strictEqual(boardFromMode('20x20 Somewhere else'), null);
+});
+
+test('a version 2 store is upgraded to boards', () => {
+    const stats = migrateStats({
+        format: STATS_FORMAT,
+        version: 2,
+        leaderboard: [run(1, { difficulty: 'hard', mode: '10x10 Bars' })],
+        history: [run(1, { difficulty: 'hard', mode: '10x10 Bars' })]
+    });
+
+    validateStats(stats);
+    assert.strictEqual(stats.version, STATS_VERSION);
+    assert.deepStrictEqual(stats.history[0], run(1, { difficulty: 'hard', board: { size: 10, layout: 'bars', wrap: false } }));
+});
+
+test('a version 1 store gets a difficulty and a board', () => {
+    const stats = migrateStats({ format: STATS_FORMAT, version: 1, leaderboard: [], history: [run(2, { mode: 'Level: Maze' })] });
+
+    validateStats(stats);
+    assert.deepStrictEqual(stats.history[0], run(2, { difficulty: 'normal', board: { level: 'Maze' } }));
+});
+
+test('a stored version 2 store loads upgraded', () => {
+    const saved = { format: STATS_FORMAT, version: 2, leaderboard: [run(3, { difficulty: 'easy', mode: '20x20 Tunnels (wrap)' })], history: [] };
+    const store = new StatsStore(createStorage({ snakeStats: JSON.stringify(saved) }));
+
+    assert.deepStrictEqual(store.leaderboardFor('easy')[0].board, { size: 20, layout: 'tunnels', wrap: true });
+});
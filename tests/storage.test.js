@@ -0,0 +1,60 @@
+/* ===================================
+   STORAGE TESTS - STORES ON BAD DATA
+   Run with: node --test tests/
+   =================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(global, require('../storage.js'), require('../engine.js'), require('../replay.js'));
+const { StatsStore, createStats } = require('../stats.js');
+const { AchievementStore, createAchievements } = require('../achievements.js');
+const { GhostStore } = require('../ghost.js');
+const { SoundEngine, DEFAULT_SOUND } = require('../sound.js');
+const { CoachProfile } = require('../coachProfile.js');
+const { createStorage } = require('./helpers.js');
+
+test('a stored value comes back as written', () => {
+    const storage = createStorage();
+    new StoredJson('snakeTest', storage).write({ runs: [1, 2] });
+
+    assert.deepStrictEqual(new StoredJson('snakeTest', storage).read(() => null), { runs: [1, 2] });
+});
+
+test('missing, unreadable and rejected values start over', () => {
+    const storage = createStorage({ snakeJunk: '{not json', snakeList: '[1]' });
+    const fresh = () => ({ fresh: true });
+
+    assert.deepStrictEqual(new StoredJson('snakeMissing', storage).read(fresh), { fresh: true });
+    assert.deepStrictEqual(new StoredJson('snakeJunk', storage).read(fresh), { fresh: true });
+    assert.deepStrictEqual(new StoredJson('snakeList', storage).read(fresh, value => (isRecord(value) ? value : null)), { fresh: true });
+    assert.deepStrictEqual(new StoredJson('snakeList', storage).read(fresh, () => { throw new Error('bad'); }), { fresh: true });
+});
+
+test('the stores survive corrupt data', () => {
+    const storage = createStorage({
+        snakeStats: '{"format":"retro-snake-stats","version":2,"leaderboard":"x"}',
+        snakeAchievements: 'null',
+        snakeGhosts: '[]',
+        snakeSound: '{'
+    });
+
+    assert.deepStrictEqual(new StatsStore(storage).stats, createStats());
+    assert.deepStrictEqual(new AchievementStore(storage).achievements, createAchievements());
+    assert.deepStrictEqual(new GhostStore(storage).ghosts, {});
+    assert.deepStrictEqual(new SoundEngine(storage).settings, DEFAULT_SOUND);
+});
+
+test('a new stats store keeps the old high score', () => {
+    const stats = new StatsStore(createStorage({ snakeHighScore: '230' }));
+
+    assert.strictEqual(stats.highScore('normal'), 230);
+});
+
+test('situations the coach profile counts are saved right away', () => {
+    const storage = createStorage();
+    new CoachProfile(storage).recordSituation('danger', true, true);
+
+    const counts = new CoachProfile(storage).profile.situations.danger;
+    assert.deepStrictEqual([counts.seen, counts.handled, counts.warned, counts.heeded], [1, 1, 1, 1]);
+});
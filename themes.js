@@ -0,0 +1,198 @@
+/* ===================================
+   THEMES - CANVAS AND PAGE SKINS
+   Colors, glow, segment shapes, CSS variables
+   =================================== */
+
+/*
+ * A theme covers:
+ *   canvas     Colors the renderer uses. snakes[i] is player i's color (hex);
+ *              foodOutline, when set, rings the apple; items, when set,
+ *              replaces every pickup's own color; mistake and escape mark
+ *              the moves on the debrief board.
+ *   glow       Multiplier for the canvas glow (0 = flat)
+ *   segment    Snake segment shape: 'square', 'rounded' or 'sprite' (SPRITES)
+ *   scanlines  CRT post-effect over the finished frame
+ *   css        CSS variables for the page (see :root in style.css); missing
+ *              ones fall back to the neon values
+ */
+const THEMES = {
+    neon: {
+        name: 'Neon',
+        canvas: {
+            background: '#000000',
+            grid: 'rgba(0, 255, 65, 0.1)',
+            obstacle: '#1f6b35',
+            obstacleEdge: '#00ff41',
+            snakes: ['#00ff41', '#00d4ff'],
+            food: '#ff4444',
+            foodOutline: null,
+            path: 'rgba(102, 179, 255, 0.25)',
+            items: null,
+            mistake: '#ff4444',
+            escape: '#00d4ff'
+        },
+        glow: 1,
+        segment: 'square',
+        scanlines: false,
+        css: {
+            '--primary': '#00ff41',
+            '--primary-rgb': '0, 255, 65',
+            '--secondary': '#00cc33',
+            '--primary-shadow': '#008822',
+            '--player-two': '#00d4ff',
+            '--accent': '#0080ff',
+            '--accent-light': '#66b3ff',
+            '--accent-rgb': '0, 128, 255',
+            '--accent-shadow': '#004c99',
+            '--gold': '#ffd700',
+            '--danger': '#ff4444',
+            '--warning': '#ffaa00',
+            '--success': '#00ff88',
+            '--background': '#000000',
+            '--background-rgb': '0, 0, 0',
+            '--page-top': '#0a0a0a',
+            '--page-bottom': '#1a1a2e'
+        }
+    },
+    gameboy: {
+        name: 'Game Boy',
+        canvas: {
+            background: '#9bbc0f',
+            grid: 'rgba(48, 98, 48, 0.2)',
+            obstacle: '#306230',
+            obstacleEdge: '#0f380f',
+            snakes: ['#0f380f', '#306230'],
+            food: '#8bac0f',
+            foodOutline: '#0f380f', // Light apple in a dark ring: nothing else is drawn that way
+            path: 'rgba(48, 98, 48, 0.35)',
+            items: '#0f380f',
+            mistake: '#0f380f',
+            escape: '#306230'
+        },
+        glow: 0,
+        segment: 'sprite',
+        scanlines: false,
+        css: {
+            '--primary': '#9bbc0f',
+            '--primary-rgb': '155, 188, 15',
+            '--secondary': '#8bac0f',
+            '--primary-shadow': '#306230',
+            '--player-two': '#8bac0f',
+            '--accent': '#8bac0f',
+            '--accent-light': '#9bbc0f',
+            '--accent-rgb': '139, 172, 15',
+            '--accent-shadow': '#306230',
+            '--gold': '#9bbc0f',
+            '--danger': '#9bbc0f',
+            '--warning': '#8bac0f',
+            '--success': '#9bbc0f',
+            '--background': '#0f380f',
+            '--background-rgb': '15, 56, 15',
+            '--page-top': '#0f380f',
+            '--page-bottom': '#306230'
+        }
+    },
+    contrast: {
+        name: 'High contrast',
+        // Okabe-Ito colors: told apart with any kind of color blindness
+        canvas: {
+            background: '#000000',
+            grid: 'rgba(255, 255, 255, 0.15)',
+            obstacle: '#555555',
+            obstacleEdge: '#ffffff',
+            snakes: ['#56b4e9', '#e69f00'],
+            food: '#f0e442',
+            foodOutline: null,
+            path: 'rgba(255, 255, 255, 0.35)',
+            items: '#ffffff',
+            mistake: '#d55e00',
+            escape: '#56b4e9'
+        },
+        glow: 0,
+        segment: 'rounded',
+        scanlines: false,
+        css: {
+            '--primary': '#ffffff',
+            '--primary-rgb': '255, 255, 255',
+            '--secondary': '#f0e442',
+            '--primary-shadow': '#888888',
+            '--player-two': '#e69f00',
+            '--accent': '#56b4e9',
+            '--accent-light': '#56b4e9',
+            '--accent-rgb': '86, 180, 233',
+            '--accent-shadow': '#2a6f99',
+            '--gold': '#f0e442',
+            '--danger': '#d55e00',
+            '--warning': '#e69f00',
+            '--success': '#009e73',
+            '--page-top': '#000000',
+            '--page-bottom': '#000000'
+        }
+    },
+    crt: {
+        name: 'CRT',
+        canvas: {
+            background: '#020802',
+            grid: 'rgba(0, 255, 65, 0.06)',
+            obstacle: '#1f6b35',
+            obstacleEdge: '#00ff41',
+            snakes: ['#00ff41', '#00d4ff'],
+            food: '#ff4444',
+            foodOutline: null,
+            path: 'rgba(102, 179, 255, 0.25)',
+            items: null,
+            mistake: '#ff4444',
+            escape: '#00d4ff'
+        },
+        glow: 1.6,
+        segment: 'rounded',
+        scanlines: true,
+        css: {}
+    }
+};
+
+const DEFAULT_THEME = 'neon';
+
+// 8x8 pixel sprites for the 'sprite' segment shape: 1 = snake color,
+// 2 = background (eyes). The head faces right and is turned to the heading.
+const SPRITES = {
+    head: [
+        '01111100',
+        '11111110',
+        '11112110',
+        '11111111',
+        '11111111',
+        '11112110',
+        '11111110',
+        '01111100'
+    ],
+    body: [
+        '01111110',
+        '11111111',
+        '11011011',
+        '11111111',
+        '11111111',
+        '11011011',
+        '11111111',
+        '01111110'
+    ]
+};
+
+/**
+ * Known theme id, or the default
+ */
+function normalizeTheme(id) {
+    return THEMES[id] ? id : DEFAULT_THEME;
+}
+
+/**
+ * CSS variables for a theme, filled in from the default theme
+ */
+function themeVariables(id) {
+    return { ...THEMES[DEFAULT_THEME].css, ...THEMES[normalizeTheme(id)].css };
+}
+
+// Allow themes to be checked from Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { THEMES, DEFAULT_THEME, SPRITES, normalizeTheme, themeVariables };
+}